@@ -40,6 +40,7 @@ const { version, login, whoami, getUsers } = M.require('controllers.api-controll
 // Adapter modules
 const APIController = require('./src/api-controller');
 const CommitController = require('./src/commit-controller');
+const elementStream = require('./src/element-stream.js');
 const utils = require('./src/utils.js');
 
 // We do this because MDK automatically appends '/alfresco/service' to the base MMS url.
@@ -378,14 +379,28 @@ router.route('/api/users/:username')
   respond
 );
 
-
+/**
+ * @swagger
+ * /connection/jms:
+ *   get:
+ *     tags:
+ *       - general
+ *     description: Returns the connection descriptor MDK requests to set up realtime sync.
+ *                  A JMS connection is only described if a message broker is configured;
+ *                  the adapter's Server-Sent Events endpoint is always described.
+ *     produces:
+ *       - application/json
+ *     responses:
+ *       200:
+ *         description: OK
+ *       500:
+ *         description: Internal Server Error
+ */
 router.route('/connection/jms')
 .get(
   logRoute,
   utils.addHeaders,
-  (req, res, next) => {
-    res.status(200);
-  },
+  APIController.getJmsConnection,
   logResponse,
   respond
 )
@@ -467,6 +482,79 @@ router.route('/orgs')
  *         description: Not Found
  *       500:
  *         description: Internal Server Error
+ *   put:
+ *     tags:
+ *       - organizations
+ *     description: Updates an organization, such as to rename it, and returns it in an
+ *        array.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: orgid
+ *         description: The ID of the organization.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: body
+ *         description: An object containing a single org in the orgs field.
+ *         in: body
+ *         required: true
+ *         schema:
+ *           type: object
+ *       - name: alf_ticket
+ *         description: A token passed in the query, used for authorization.
+ *         in: query
+ *         required: false
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Bad Request
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Not Found
+ *       500:
+ *         description: Internal Server Error
+ *   delete:
+ *     tags:
+ *       - organizations
+ *     description: Archives an organization, or permanently deletes it and its
+ *        projects if the hard option is set, and returns it in an array.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: orgid
+ *         description: The ID of the organization.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: hard
+ *         description: If true, the org is permanently deleted instead of archived.
+ *         in: query
+ *         required: false
+ *         type: boolean
+ *       - name: alf_ticket
+ *         description: A token passed in the query, used for authorization.
+ *         in: query
+ *         required: false
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Bad Request
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Not Found
+ *       500:
+ *         description: Internal Server Error
  */
 router.route('/orgs/:orgid')
 .get(
@@ -478,6 +566,24 @@ router.route('/orgs/:orgid')
   logResponse,
   respond
 )
+.put(
+  utils.handleTicket,
+  authenticate,
+  logRoute,
+  utils.addHeaders,
+  APIController.putOrg,
+  logResponse,
+  respond
+)
+.delete(
+  utils.handleTicket,
+  authenticate,
+  logRoute,
+  utils.addHeaders,
+  APIController.deleteOrg,
+  logResponse,
+  respond
+)
 .options(
   logRoute,
   utils.addHeaders,
@@ -617,6 +723,80 @@ router.route('/projects')
  *         description: Not Found
  *       500:
  *         description: Internal Server Error
+ *   put:
+ *     tags:
+ *       - projects
+ *     description: Updates a project, such as to rename it, and returns it in an array
+ *        formatted for the MMS API.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: projectid
+ *         description: The ID of the project.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: body
+ *         description: An object containing a single project in the projects field.
+ *         in: body
+ *         required: true
+ *         schema:
+ *           type: object
+ *       - name: alf_ticket
+ *         description: A token passed in the query, used for authorization.
+ *         in: query
+ *         required: false
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Bad Request
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Not Found
+ *       500:
+ *         description: Internal Server Error
+ *   delete:
+ *     tags:
+ *       - projects
+ *     description: Archives a project, or permanently deletes it and its commit
+ *        history if the hard option is set, and returns it in an array
+ *        formatted for the MMS API.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: projectid
+ *         description: The ID of the project.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: hard
+ *         description: If true, the project is permanently deleted instead of archived.
+ *         in: query
+ *         required: false
+ *         type: boolean
+ *       - name: alf_ticket
+ *         description: A token passed in the query, used for authorization.
+ *         in: query
+ *         required: false
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Bad Request
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Not Found
+ *       500:
+ *         description: Internal Server Error
  */
 router.route('/projects/:projectid')
 .get(
@@ -628,6 +808,24 @@ router.route('/projects/:projectid')
   logResponse,
   respond
 )
+.put(
+  utils.handleTicket,
+  authenticate,
+  logRoute,
+  utils.addHeaders,
+  APIController.putProject,
+  logResponse,
+  respond
+)
+.delete(
+  utils.handleTicket,
+  authenticate,
+  logRoute,
+  utils.addHeaders,
+  APIController.deleteProject,
+  logResponse,
+  respond
+)
 .options(
   logRoute,
   utils.addHeaders,
@@ -653,6 +851,11 @@ router.route('/projects/:projectid')
  *         in: path
  *         required: true
  *         type: string
+ *       - name: type
+ *         description: Only returns refs of this type, either Branch or Tag.
+ *         in: query
+ *         required: false
+ *         type: string
  *     responses:
  *       200:
  *         description: OK
@@ -670,7 +873,10 @@ router.route('/projects/:projectid')
  *     tags:
  *       - branches
  *     description: Creates multiple branches under the specified project.
- *        Returns the branches (refs) formatted for the MMS API.
+ *        Refs of type Tag are created as read-only tags. Refs with the
+ *        parentCommitId of an earlier commit start from the parent ref as it
+ *        was at that commit. Returns the branches (refs) formatted for the
+ *        MMS API.
  *     produces:
  *       - application/json
  *     parameters:
@@ -762,49 +968,31 @@ router.route('/projects/:projectid/refs')
  *         description: Not Found
  *       500:
  *         description: Internal Server Error
- */
-router.route('/projects/:projectid/refs/:refid')
-.get(
-  utils.handleTicket,
-  authenticate,
-  logRoute,
-  utils.addHeaders,
-  APIController.getRef,
-  logResponse,
-  respond
-)
-.options(
-  logRoute,
-  utils.addHeaders,
-  APIController.optionsDefault,
-  logResponse,
-  respond
-);
-
-/**
- * @swagger
- * /projects/{projectid}/refs/{refid}/mounts:
- *   get:
+ *   put:
  *     tags:
- *       - elements
- *       - projects
- *     description: Finds all elements of type "Mount" and looks for the project referenced
- *                  in their "mountedElementProjectId" field. Finds all projects referenced by all
- *                  "Mount" elements and returns the found projects.
+ *       - branches
+ *     description: Updates a branch, such as to rename it, and returns it in an array
+ *        formatted as a ref for the MMS API. The parent of a ref cannot be
+ *        changed.
  *     produces:
  *       - application/json
  *     parameters:
  *       - name: projectid
- *         description: The ID of the project which contains the searched
- *                      branch/ref.
+ *         description: The ID of the project containing the ref.
  *         in: path
  *         required: true
  *         type: string
  *       - name: refid
- *         description: The ID of the ref to find.
+ *         description: The ID of the ref.
  *         in: path
  *         required: true
  *         type: string
+ *       - name: body
+ *         description: An object containing a single ref in the refs field.
+ *         in: body
+ *         required: true
+ *         schema:
+ *           type: object
  *       - name: alf_ticket
  *         description: A token passed in the query, used for authorization.
  *         in: query
@@ -823,46 +1011,31 @@ router.route('/projects/:projectid/refs/:refid')
  *         description: Not Found
  *       500:
  *         description: Internal Server Error
- */
-router.route('/projects/:projectid/refs/:refid/mounts')
-.get(
-  utils.handleTicket,
-  authenticate,
-  logRoute,
-  utils.addHeaders,
-  APIController.getMounts,
-  logResponse,
-  respond
-)
-.options(
-  logRoute,
-  utils.addHeaders,
-  APIController.optionsDefault,
-  logResponse,
-  respond
-);
-
-/**
- * @swagger
- * /projects/{projectid}/refs/{refid}/groups:
- *   get:
+ *   delete:
  *     tags:
- *       - elements
- *     description: Finds all elements that have a field "_isGroup" with the value of true.
+ *       - branches
+ *     description: Archives a branch, or permanently deletes it and its commit
+ *        history if the hard option is set, and returns it in an array
+ *        formatted as a ref for the MMS API. The master ref cannot be
+ *        deleted.
  *     produces:
  *       - application/json
  *     parameters:
  *       - name: projectid
- *         description: The ID of the project which contains the searched
- *                      branch/ref.
+ *         description: The ID of the project containing the ref.
  *         in: path
  *         required: true
  *         type: string
  *       - name: refid
- *         description: The ID of the ref to find.
+ *         description: The ID of the ref.
  *         in: path
  *         required: true
  *         type: string
+ *       - name: hard
+ *         description: If true, the ref is permanently deleted instead of archived.
+ *         in: query
+ *         required: false
+ *         type: boolean
  *       - name: alf_ticket
  *         description: A token passed in the query, used for authorization.
  *         in: query
@@ -882,18 +1055,155 @@ router.route('/projects/:projectid/refs/:refid/mounts')
  *       500:
  *         description: Internal Server Error
  */
-router.route('/projects/:projectid/refs/:refid/groups')
+router.route('/projects/:projectid/refs/:refid')
 .get(
   utils.handleTicket,
   authenticate,
   logRoute,
   utils.addHeaders,
-  APIController.getGroups,
+  APIController.getRef,
   logResponse,
   respond
 )
-.options(
-  logRoute,
+.put(
+  utils.handleTicket,
+  authenticate,
+  logRoute,
+  utils.addHeaders,
+  APIController.putRef,
+  logResponse,
+  respond
+)
+.delete(
+  utils.handleTicket,
+  authenticate,
+  logRoute,
+  utils.addHeaders,
+  APIController.deleteRef,
+  logResponse,
+  respond
+)
+.options(
+  logRoute,
+  utils.addHeaders,
+  APIController.optionsDefault,
+  logResponse,
+  respond
+);
+
+/**
+ * @swagger
+ * /projects/{projectid}/refs/{refid}/mounts:
+ *   get:
+ *     tags:
+ *       - elements
+ *       - projects
+ *     description: Finds all elements of type "Mount" and looks for the project referenced
+ *                  in their "mountedElementProjectId" field. Finds all projects referenced by all
+ *                  "Mount" elements and returns the found projects.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: projectid
+ *         description: The ID of the project which contains the searched
+ *                      branch/ref.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: refid
+ *         description: The ID of the ref to find.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: alf_ticket
+ *         description: A token passed in the query, used for authorization.
+ *         in: query
+ *         required: false
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Bad Request
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Not Found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.route('/projects/:projectid/refs/:refid/mounts')
+.get(
+  utils.handleTicket,
+  authenticate,
+  logRoute,
+  utils.addHeaders,
+  APIController.getMounts,
+  logResponse,
+  respond
+)
+.options(
+  logRoute,
+  utils.addHeaders,
+  APIController.optionsDefault,
+  logResponse,
+  respond
+);
+
+/**
+ * @swagger
+ * /projects/{projectid}/refs/{refid}/groups:
+ *   get:
+ *     tags:
+ *       - elements
+ *     description: Finds all elements that have a field "_isGroup" with the value of true.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: projectid
+ *         description: The ID of the project which contains the searched
+ *                      branch/ref.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: refid
+ *         description: The ID of the ref to find.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: alf_ticket
+ *         description: A token passed in the query, used for authorization.
+ *         in: query
+ *         required: false
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Bad Request
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Not Found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.route('/projects/:projectid/refs/:refid/groups')
+.get(
+  utils.handleTicket,
+  authenticate,
+  logRoute,
+  utils.addHeaders,
+  APIController.getGroups,
+  logResponse,
+  respond
+)
+.options(
+  logRoute,
   utils.addHeaders,
   APIController.optionsDefault,
   logResponse,
@@ -966,7 +1276,9 @@ router.route('/projects/:projectid/refs/:refid/elements/:elementid/commits')
  *   post:
  *     tags:
  *       - elements
- *     description: Creates or replaces elements
+ *     description: Creates or replaces elements. Responds with { elements, rejected,
+ *                   messages }, where rejected holds the elements which could not be
+ *                   written along with a code and message for each.
  *     produces:
  *       - application/json
  *     parameters:
@@ -998,6 +1310,20 @@ router.route('/projects/:projectid/refs/:refid/elements/:elementid/commits')
  *                  type: string
  *               type:
  *                 type: string
+ *       - name: patch
+ *         description: Either merge, to keep the properties of existing elements which are
+ *                      left out of the post, or replace, to remove them. By default,
+ *                      elements posted with a type are replaced and others are merged.
+ *         in: query
+ *         required: false
+ *         type: string
+ *       - name: transactional
+ *         description: If true, nothing is written unless every element is valid, and
+ *                      changes are rolled back if a later write fails. Otherwise the valid
+ *                      elements are written and the rest are returned in rejected.
+ *         in: query
+ *         required: false
+ *         type: boolean
  *       - name: alf_ticket
  *         description: A token passed in the query, used for authorization.
  *         in: query
@@ -1006,9 +1332,10 @@ router.route('/projects/:projectid/refs/:refid/elements/:elementid/commits')
  *   put:
  *     tags:
  *       - elements
- *     description: Rather than create or replace, as would be expected from a PUT request,
- *                   this request actually functions as a search. The body of the request
- *                   contains ids of elements, which are searched for and returned.
+ *     description: Searches the elements of the ref using an ElasticSearch query, as the
+ *                   MMS search endpoint does. The query is translated into a MongoDB query
+ *                   scoped to the project and ref, and the matching elements are returned
+ *                   formatted for the MMS API.
  *     produces:
  *       - application/json
  *     parameters:
@@ -1024,16 +1351,37 @@ router.route('/projects/:projectid/refs/:refid/elements/:elementid/commits')
  *         type: string
  *       - name: body
  *         in: body
- *         description: An array of objects containing element ids to search for.
+ *         description: An object containing either an ElasticSearch query or the
+ *                      aggregations requested by View Editor.
  *         schema:
- *           type: array
- *           items:
- *             type: object
- *             required:
- *               - id
- *             properties:
- *               id:
- *                 type: string
+ *           type: object
+ *           properties:
+ *             query:
+ *               type: object
+ *             aggs:
+ *               type: object
+ *             from:
+ *               type: number
+ *               description: The number of matches to skip.
+ *             size:
+ *               type: number
+ *               description: The maximum number of matches to return. Every match is
+ *                            returned if not provided.
+ *             sort:
+ *               type: array
+ *               description: The ElasticSearch sort to order the matches by.
+ *       - name: commitId
+ *         description: If provided, the elements are returned as they were at this commit.
+ *         in: query
+ *         required: false
+ *         type: string
+ *       - name: depth
+ *         description: The depth of the subtrees to return under the requested elements.
+ *                      With -1, every element under them is returned, and the response
+ *                      is streamed as the elements are found.
+ *         in: query
+ *         required: false
+ *         type: number
  *       - name: alf_ticket
  *         description: A token passed in the query, used for authorization.
  *         in: query
@@ -1055,7 +1403,9 @@ router.route('/projects/:projectid/refs/:refid/elements/:elementid/commits')
  *   delete:
  *     tags:
  *       - elements
- *     description: Deletes the specified elements
+ *     description: Deletes the specified elements. Responds with { elements, rejected,
+ *                   messages }, where rejected holds the elements which were not found or
+ *                   could not be deleted along with a code and message for each.
  *     produces:
  *       - application/json
  *     parameters:
@@ -1106,6 +1456,7 @@ router.route('/projects/:projectid/refs/:refid/elements')
   authenticate,
   logRoute,
   utils.addHeaders,
+  elementStream.streamBody,
   APIController.postElements,
   logResponse,
   respond
@@ -1115,6 +1466,7 @@ router.route('/projects/:projectid/refs/:refid/elements')
   authenticate,
   logRoute,
   utils.addHeaders,
+  elementStream.streamBody,
   APIController.putElements,
   logResponse,
   respond
@@ -1142,9 +1494,10 @@ router.route('/projects/:projectid/refs/:refid/elements')
  *   put:
  *     tags:
  *       - elements
- *     description: Rather than create or replace, as would be expected from a PUT request,
- *                   this request actually functions as a search. The body of the request
- *                   contains ids of elements, which are searched for and returned.
+ *     description: Searches the elements of the ref using an ElasticSearch query, as the
+ *                   MMS search endpoint does. The query is translated into a MongoDB query
+ *                   scoped to the project and ref, and the matching elements are returned
+ *                   formatted for the MMS API.
  *     produces:
  *       - application/json
  *     parameters:
@@ -1160,16 +1513,25 @@ router.route('/projects/:projectid/refs/:refid/elements')
  *         type: string
  *       - name: body
  *         in: body
- *         description: An array of objects containing element ids to search for.
+ *         description: An object containing either an ElasticSearch query or the
+ *                      aggregations requested by View Editor.
  *         schema:
- *           type: array
- *           items:
- *             type: object
- *             required:
- *               - id
- *             properties:
- *               id:
- *                 type: string
+ *           type: object
+ *           properties:
+ *             query:
+ *               type: object
+ *             aggs:
+ *               type: object
+ *             from:
+ *               type: number
+ *               description: The number of matches to skip.
+ *             size:
+ *               type: number
+ *               description: The maximum number of matches to return. Every match is
+ *                            returned if not provided.
+ *             sort:
+ *               type: array
+ *               description: The ElasticSearch sort to order the matches by.
  *       - name: alf_ticket
  *         description: A token passed in the query, used for authorization.
  *         in: query
@@ -1237,6 +1599,11 @@ router.route('/projects/:projectid/refs/:refid/search')
  *         in: path
  *         required: true
  *         type: string
+ *       - name: commitId
+ *         description: If provided, the element is returned as it was at this commit.
+ *         in: query
+ *         required: false
+ *         type: string
  *       - name: alf_ticket
  *         description: A token passed in the query, used for authorization.
  *         in: query
@@ -1280,7 +1647,10 @@ router.route('/projects/:projectid/refs/:refid/elements/:elementid')
  *   get:
  *     tags:
  *       - elements
- *     description: The functionality of this endpoint is still a work in progress.
+ *     description: Returns the ids of the elements on the specified ref/branch which
+ *                  transclude or cross-reference the specified element through mms-cf or
+ *                  mms-transclude tags in their documentation, defaultValue, value or
+ *                  specification.
  *     produces:
  *       - application/json
  *     parameters:
@@ -1294,6 +1664,11 @@ router.route('/projects/:projectid/refs/:refid/elements/:elementid')
  *         in: path
  *         required: true
  *         type: string
+ *       - name: elementid
+ *         description: The ID of the referenced element.
+ *         in: path
+ *         required: true
+ *         type: string
  *       - name: alf_ticket
  *         description: A token passed in the query, used for authorization.
  *         in: query
@@ -1301,7 +1676,15 @@ router.route('/projects/:projectid/refs/:refid/elements/:elementid')
  *         type: string
  *     responses:
  *       200:
- *         description: Returns an empty array. This is the only response returned at the moment.
+ *         description: OK
+ *       400:
+ *         description: Bad Request
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Not Found
  *       500:
  *         description: Internal Server Error
  */
@@ -1325,14 +1708,14 @@ router.route('/projects/:projectid/refs/:refid/elements/:elementid/cfids')
 
 /**
  * @swagger
- * /projects/{projectid}/refs/{refid}/documents:
+ * /projects/{projectid}/refs/{refid}/orphans:
  *   get:
  *     tags:
  *       - elements
- *     description: Returns all documents on a specified branch. Searches for all elements that
- *                  have the field "_appliedStereotypeIds" which contain the id
- *                  "_17_0_2_3_87b0275_1371477871400_792964_43374". Returns all elements that
- *                  meet the search criteria.
+ *     description: Returns the orphaned elements on the specified ref/branch. These were
+ *                  posted with an owner which has not been posted yet, and are kept in the
+ *                  holding bin of the project until it is. Each element is returned with
+ *                  the id of its intended owner as its ownerId.
  *     produces:
  *       - application/json
  *     parameters:
@@ -1342,7 +1725,7 @@ router.route('/projects/:projectid/refs/:refid/elements/:elementid/cfids')
  *         required: true
  *         type: string
  *       - name: refid
- *         description: The ID of the ref/branch to search on.
+ *         description: The ID of the ref/branch to list the orphaned elements of.
  *         in: path
  *         required: true
  *         type: string
@@ -1365,24 +1748,34 @@ router.route('/projects/:projectid/refs/:refid/elements/:elementid/cfids')
  *       500:
  *         description: Internal Server Error
  */
-router.route('/projects/:projectid/refs/:refid/documents')
+router.route('/projects/:projectid/refs/:refid/orphans')
 .get(
   utils.handleTicket,
   authenticate,
   logRoute,
   utils.addHeaders,
-  APIController.getDocuments,
+  APIController.getOrphans,
+  logResponse,
+  respond
+)
+.options(
+  logRoute,
+  utils.addHeaders,
+  APIController.optionsDefault,
   logResponse,
   respond
 );
 
 /**
  * @swagger
- * /projects/{projectid}/refs/{refid}/commits:
+ * /projects/{projectid}/refs/{refid}/documents:
  *   get:
  *     tags:
- *       - commits
- *     description: The functionality of this endpoint is still a work in progress.
+ *       - elements
+ *     description: Returns all documents on a specified branch. Searches for all elements that
+ *                  have the field "_appliedStereotypeIds" which contain the id
+ *                  "_17_0_2_3_87b0275_1371477871400_792964_43374". Returns all elements that
+ *                  meet the search criteria.
  *     produces:
  *       - application/json
  *     parameters:
@@ -1403,29 +1796,38 @@ router.route('/projects/:projectid/refs/:refid/documents')
  *         type: string
  *     responses:
  *       200:
- *         description: Returns an empty array. This is the only response returned at the moment.
+ *         description: OK
+ *       400:
+ *         description: Bad Request
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Not Found
  *       500:
  *         description: Internal Server Error
  */
-router.route('/projects/:projectid/refs/:refid/commits')
+router.route('/projects/:projectid/refs/:refid/documents')
 .get(
   utils.handleTicket,
   authenticate,
   logRoute,
   utils.addHeaders,
-  APIController.getCommits,
+  APIController.getDocuments,
   logResponse,
   respond
 );
 
 /**
  * @swagger
- * /projects/{projectid}/refs/{refid}/artifacts:
- *   post:
+ * /projects/{projectid}/refs/{refid}/commits:
+ *   get:
  *     tags:
- *       - artifacts
- *     description: Posts artifact blobs to the MCF storage directory and creates artifact
- *                  documents to store metadata for the blobs.
+ *       - commits
+ *     description: Finds and returns the commits made on the specified ref/branch through
+ *                  the adapter's element endpoints, newest first. Returns the commits
+ *                  formatted for the MMS API.
  *     produces:
  *       - application/json
  *     parameters:
@@ -1439,6 +1841,16 @@ router.route('/projects/:projectid/refs/:refid/commits')
  *         in: path
  *         required: true
  *         type: string
+ *       - name: limit
+ *         description: The maximum number of commits to return.
+ *         in: query
+ *         required: false
+ *         type: number
+ *       - name: maxTimestamp
+ *         description: Only commits made at or before this timestamp are returned.
+ *         in: query
+ *         required: false
+ *         type: string
  *       - name: alf_ticket
  *         description: A token passed in the query, used for authorization.
  *         in: query
@@ -1457,11 +1869,28 @@ router.route('/projects/:projectid/refs/:refid/commits')
  *         description: Not Found
  *       500:
  *         description: Internal Server Error
- *   put:
+ */
+router.route('/projects/:projectid/refs/:refid/commits')
+.get(
+  utils.handleTicket,
+  authenticate,
+  logRoute,
+  utils.addHeaders,
+  APIController.getCommits,
+  logResponse,
+  respond
+);
+
+/**
+ * @swagger
+ * /projects/{projectid}/refs/{refid}/diff:
+ *   get:
  *     tags:
- *       - artifacts
- *     description: Searches for and returns artifact blobs based on the artifact ids sent in
- *                  the body of the request.
+ *       - commits
+ *     description: Compares the elements of the specified ref/branch with the elements of
+ *                  another ref/branch, or of the same ref/branch at another commit. Returns
+ *                  the added and removed elements, and the before and after values of every
+ *                  changed field of the updated elements, formatted for the MMS API.
  *     produces:
  *       - application/json
  *     parameters:
@@ -1471,18 +1900,331 @@ router.route('/projects/:projectid/refs/:refid/commits')
  *         required: true
  *         type: string
  *       - name: refid
- *         description: The ID of the ref/branch to search on.
+ *         description: The ID of the ref/branch to compare against.
  *         in: path
  *         required: true
  *         type: string
- *       - name: alf_ticket
- *         description: A token passed in the query, used for authorization.
+ *       - name: compareRefId
+ *         description: The ID of the ref/branch to compare. Defaults to the specified
+ *                      ref/branch.
  *         in: query
  *         required: false
  *         type: string
- *     responses:
- *       200:
- *         description: OK
+ *       - name: commitId
+ *         description: The ID of the commit on the specified ref/branch to compare against.
+ *                      Defaults to the current state of the ref/branch.
+ *         in: query
+ *         required: false
+ *         type: string
+ *       - name: compareCommitId
+ *         description: The ID of the commit on the compared ref/branch to compare. Defaults
+ *                      to the current state of the ref/branch.
+ *         in: query
+ *         required: false
+ *         type: string
+ *       - name: alf_ticket
+ *         description: A token passed in the query, used for authorization.
+ *         in: query
+ *         required: false
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Bad Request
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Not Found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.route('/projects/:projectid/refs/:refid/diff')
+.get(
+  utils.handleTicket,
+  authenticate,
+  logRoute,
+  utils.addHeaders,
+  APIController.getDiff,
+  logResponse,
+  respond
+)
+.options(
+  logRoute,
+  utils.addHeaders,
+  APIController.optionsDefault,
+  logResponse,
+  respond
+);
+
+/**
+ * @swagger
+ * /projects/{projectid}/refs/{refid}/merge:
+ *   post:
+ *     tags:
+ *       - refs
+ *     description: Merges the specified ref/branch into its parent ref/branch. Changes made
+ *                  on the ref/branch since it was created or last merged are applied to the
+ *                  parent as a single commit. If any element was changed differently on both
+ *                  refs/branches, nothing is written and the conflicts are returned, unless a
+ *                  resolution strategy is provided.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: projectid
+ *         description: The ID of the project containing the specified ref/branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: refid
+ *         description: The ID of the ref/branch to merge.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: strategy
+ *         description: How to resolve conflicts. "ours" keeps the value on the parent
+ *                      ref/branch, "theirs" takes the value on the merged ref/branch.
+ *         in: query
+ *         required: false
+ *         type: string
+ *       - name: body
+ *         description: An optional comment for the merge commit.
+ *         in: body
+ *         required: false
+ *         schema:
+ *           type: object
+ *           properties:
+ *             comment:
+ *               type: string
+ *       - name: alf_ticket
+ *         description: A token passed in the query, used for authorization.
+ *         in: query
+ *         required: false
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Bad Request
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Not Found
+ *       409:
+ *         description: Conflict
+ *       500:
+ *         description: Internal Server Error
+ */
+router.route('/projects/:projectid/refs/:refid/merge')
+.post(
+  utils.handleTicket,
+  authenticate,
+  logRoute,
+  utils.addHeaders,
+  APIController.postMerge,
+  logResponse,
+  respond
+)
+.options(
+  logRoute,
+  utils.addHeaders,
+  APIController.optionsDefault,
+  logResponse,
+  respond
+);
+
+/**
+ * @swagger
+ * /projects/{projectid}/refs/{refid}/events:
+ *   get:
+ *     tags:
+ *       - elements
+ *     description: Streams the changes made to the elements of the specified ref/branch as
+ *                  Server-Sent Events. An "elements" event holding the commit id and the ids
+ *                  of the added, updated and deleted elements is sent for every commit.
+ *     produces:
+ *       - text/event-stream
+ *     parameters:
+ *       - name: projectid
+ *         description: The ID of the project containing the specified ref/branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: refid
+ *         description: The ID of the ref/branch to listen to.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: alf_ticket
+ *         description: A token passed in the query, used for authorization.
+ *         in: query
+ *         required: false
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Not Found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.route('/projects/:projectid/refs/:refid/events')
+.get(
+  utils.handleTicket,
+  authenticate,
+  logRoute,
+  utils.addHeaders,
+  APIController.getEvents,
+  logResponse,
+  respond
+)
+.options(
+  logRoute,
+  utils.addHeaders,
+  APIController.optionsDefault,
+  logResponse,
+  respond
+);
+
+/**
+ * @swagger
+ * /projects/{projectid}/refs/{refid}/artifacts:
+ *   get:
+ *     tags:
+ *       - artifacts
+ *     description: Lists the artifacts on a ref, ordered by id, along with the total number
+ *                  of artifacts matching the filter.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: projectid
+ *         description: The ID of the project containing the specified ref/branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: refid
+ *         description: The ID of the ref/branch to search on.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: contentType
+ *         description: Only returns artifacts of this content type. A wildcard subtype,
+ *                      such as image/*, matches every subtype.
+ *         in: query
+ *         required: false
+ *         type: string
+ *       - name: limit
+ *         description: The maximum number of artifacts to return.
+ *         in: query
+ *         required: false
+ *         type: number
+ *       - name: skip
+ *         description: The number of artifacts to skip, used for paging.
+ *         in: query
+ *         required: false
+ *         type: number
+ *       - name: alf_ticket
+ *         description: A token passed in the query, used for authorization.
+ *         in: query
+ *         required: false
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Bad Request
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Not Found
+ *       500:
+ *         description: Internal Server Error
+ *   post:
+ *     tags:
+ *       - artifacts
+ *     description: Posts artifact blobs to the MCF storage directory and creates artifact
+ *                  documents to store metadata for the blobs. Any content type allowed by
+ *                  the adapter config may be uploaded. Uploading to an existing artifact id
+ *                  stores a new version and keeps the previous blob.
+ *     consumes:
+ *       - multipart/form-data
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: projectid
+ *         description: The ID of the project containing the specified ref/branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: refid
+ *         description: The ID of the ref/branch to search on.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: id
+ *         description: The ID of the artifact.
+ *         in: formData
+ *         required: true
+ *         type: string
+ *       - name: file
+ *         description: The artifact blob.
+ *         in: formData
+ *         required: true
+ *         type: file
+ *       - name: alf_ticket
+ *         description: A token passed in the query, used for authorization.
+ *         in: query
+ *         required: false
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Bad Request
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Not Found
+ *       500:
+ *         description: Internal Server Error
+ *   put:
+ *     tags:
+ *       - artifacts
+ *     description: Searches for and returns artifact blobs based on the artifact ids sent in
+ *                  the body of the request.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: projectid
+ *         description: The ID of the project containing the specified ref/branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: refid
+ *         description: The ID of the ref/branch to search on.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: alf_ticket
+ *         description: A token passed in the query, used for authorization.
+ *         in: query
+ *         required: false
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: OK
  *       400:
  *         description: Bad Request
  *       401:
@@ -1495,6 +2237,15 @@ router.route('/projects/:projectid/refs/:refid/commits')
  *         description: Internal Server Error
  */
 router.route('/projects/:projectid/refs/:refid/artifacts')
+.get(
+  utils.handleTicket,
+  authenticate,
+  logRoute,
+  utils.addHeaders,
+  APIController.getArtifacts,
+  logResponse,
+  respond
+)
 .post(
   utils.handleTicket,
   authenticate,
@@ -1523,11 +2274,135 @@ router.route('/projects/:projectid/refs/:refid/artifacts')
 
 /**
  * @swagger
- * /projects/{projectid}/refs/{refid}/artifacts:
+ * /projects/{projectid}/refs/{refid}/artifacts/{artifactid}:
+ *   patch:
+ *     tags:
+ *       - artifacts
+ *     description: Updates the metadata of an artifact without uploading a new blob. The
+ *                  fields in the body are merged into the artifact; the fields managed by
+ *                  the adapter, such as its filename, contentType and checksum, cannot be
+ *                  updated.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: projectid
+ *         description: The ID of the project containing the specified ref/branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: refid
+ *         description: The ID of the ref/branch containing the artifact.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: artifactid
+ *         description: The ID of the artifact.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: body
+ *         description: The metadata fields to update.
+ *         in: body
+ *         required: true
+ *         schema:
+ *           type: object
+ *       - name: alf_ticket
+ *         description: A token passed in the query, used for authorization.
+ *         in: query
+ *         required: false
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Bad Request
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Not Found
+ *       500:
+ *         description: Internal Server Error
+ *   delete:
+ *     tags:
+ *       - artifacts
+ *     description: Deletes an artifact from a ref. The blobs of the artifact are kept, since
+ *                  they may be shared with the artifact on other refs.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: projectid
+ *         description: The ID of the project containing the specified ref/branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: refid
+ *         description: The ID of the ref/branch containing the artifact.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: artifactid
+ *         description: The ID of the artifact.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: alf_ticket
+ *         description: A token passed in the query, used for authorization.
+ *         in: query
+ *         required: false
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Bad Request
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Not Found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.route('/projects/:projectid/refs/:refid/artifacts/:artifactid')
+.patch(
+  utils.handleTicket,
+  authenticate,
+  logRoute,
+  utils.addHeaders,
+  APIController.patchArtifact,
+  logResponse,
+  respond
+)
+.delete(
+  utils.handleTicket,
+  authenticate,
+  logRoute,
+  utils.addHeaders,
+  APIController.deleteArtifact,
+  logResponse,
+  respond
+)
+.options(
+  logRoute,
+  utils.addHeaders,
+  APIController.optionsDefault,
+  logResponse,
+  respond
+);
+
+/**
+ * @swagger
+ * /alfresco/projects/{projectid}/refs/{refid}/artifacts/blob/{blobid}:
  *   get:
  *     tags:
  *       - artifacts
- *     description: Retrieves an artifact blob.
+ *     description: Retrieves an artifact blob. Signed download links, such as those
+ *                  emailed for exported documents, authorize the request without a login
+ *                  until they expire. The blob's checksum is sent as its ETag, so cached
+ *                  blobs can be revalidated, and a single byte range may be requested.
  *     produces:
  *       - application/octet-stream
  *     parameters:
@@ -1551,9 +2426,56 @@ router.route('/projects/:projectid/refs/:refid/artifacts')
  *         in: query
  *         required: false
  *         type: string
+ *       - name: user
+ *         description: The user a signed download link was created for.
+ *         in: query
+ *         required: false
+ *         type: string
+ *       - name: expires
+ *         description: The time a signed download link expires, in milliseconds since
+ *                      the epoch.
+ *         in: query
+ *         required: false
+ *         type: number
+ *       - name: signature
+ *         description: The signature of a signed download link.
+ *         in: query
+ *         required: false
+ *         type: string
+ *       - name: render_token
+ *         description: A token which lets a document renderer read the artifacts of the
+ *                      ref while an export job runs.
+ *         in: query
+ *         required: false
+ *         type: string
+ *       - name: If-None-Match
+ *         description: The ETag of a cached copy of the blob.
+ *         in: header
+ *         required: false
+ *         type: string
+ *       - name: If-Modified-Since
+ *         description: The Last-Modified time of a cached copy of the blob.
+ *         in: header
+ *         required: false
+ *         type: string
+ *       - name: Range
+ *         description: A single byte range of the blob, such as bytes=0-1023.
+ *         in: header
+ *         required: false
+ *         type: string
+ *       - name: If-Range
+ *         description: The ETag or Last-Modified time of the partial copy of the blob
+ *                      held by the client. The range is ignored if the blob changed.
+ *         in: header
+ *         required: false
+ *         type: string
  *     responses:
  *       200:
  *         description: OK
+ *       206:
+ *         description: Partial Content
+ *       304:
+ *         description: Not Modified
  *       400:
  *         description: Bad Request
  *       401:
@@ -1562,13 +2484,17 @@ router.route('/projects/:projectid/refs/:refid/artifacts')
  *         description: Forbidden
  *       404:
  *         description: Not Found
+ *       416:
+ *         description: Range Not Satisfiable
  *       500:
  *         description: Internal Server Error
  */
 router.route('/alfresco/projects/:projectid/refs/:refid/artifacts/blob/:blobid')
 .get(
   utils.handleTicket,
-  authenticate,
+  utils.handleSignedLink,
+  utils.handleRenderToken,
+  utils.unlessAuthenticated(authenticate),
   logRoute,
   utils.addHeaders,
   APIController.getBlob,
@@ -1586,11 +2512,14 @@ router.route('/alfresco/projects/:projectid/refs/:refid/artifacts/blob/:blobid')
 /**
  * @swagger
  * /projects/{projectid}/refs/{refid}/convert:
- *   get:
+ *   post:
  *     tags:
  *       - pdf
- *     description: Converts View Editor's HTML post into a downloadable PDF artifact.
- *        Requesting users should receive an email to download the PDF file.
+ *     description: Queues View Editor's HTML post to be exported as a downloadable PDF,
+ *        DOCX or standalone HTML artifact and returns the export job. HTML exports have
+ *        their artifact images inlined; DOCX exports require a configured converter. The
+ *        job can be polled through the /convert/jobs endpoints; requesting users also
+ *        receive an email to download the file once the job succeeds.
  *     produces:
  *       - application/json
  *     parameters:
@@ -1609,9 +2538,24 @@ router.route('/alfresco/projects/:projectid/refs/:refid/artifacts/blob/:blobid')
  *         in: query
  *         required: false
  *         type: string
+ *       - name: body
+ *         description: The document to export. The body field holds its HTML and the
+ *                      optional format field is one of pdf (the default), html or docx.
+ *         in: body
+ *         required: true
+ *         schema:
+ *           type: object
  *     responses:
- *       200:
- *         description: Ok.
+ *       202:
+ *         description: Accepted, returns the queued export job.
+ *       400:
+ *         description: Bad Request
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Not Found
  *       500:
  *         description: Internal Server Error
  */
@@ -1635,11 +2579,35 @@ router.route('/projects/:projectid/refs/:refid/convert')
 
 /**
  * @swagger
- * /commit/orgs/:orgid/projects/:projectid/branches/:branchid:
- *   put:
+ * /convert/jobs:
+ *   get:
  *     tags:
- *       - general
- *     description: Handles the commit.
+ *       - pdf
+ *     description: Returns the export jobs requested by the user, newest first, with their
+ *        state (queued, running, succeeded or failed), error and resulting artifact id.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: state
+ *         description: Only return jobs in this state.
+ *         in: query
+ *         required: false
+ *         type: string
+ *       - name: projectId
+ *         description: Only return jobs exporting documents of this project.
+ *         in: query
+ *         required: false
+ *         type: string
+ *       - name: limit
+ *         description: The maximum number of jobs to return.
+ *         in: query
+ *         required: false
+ *         type: number
+ *       - name: alf_ticket
+ *         description: A token passed in the query, used for authorization.
+ *         in: query
+ *         required: false
+ *         type: string
  *     responses:
  *       200:
  *         description: OK
@@ -1649,25 +2617,20 @@ router.route('/projects/:projectid/refs/:refid/convert')
  *         description: Unauthorized
  *       500:
  *         description: Internal Server Error
- *   options:
- *     tags:
- *       - general
- *     description: Returns the org, project, branch, and element that was committed.
- *     responses:
- *       200:
- *         description: OK
  */
-router.route('/commit/orgs/:orgid/projects/:projectid/branches/:branchid')
-.put(
+router.route('/convert/jobs')
+.get(
+  utils.handleTicket,
   authenticate,
   logRoute,
-  doLogin,
-  CommitController.handleCommit,
+  utils.addHeaders,
+  APIController.getExportJobs,
   logResponse,
   respond
 )
 .options(
   logRoute,
+  utils.addHeaders,
   APIController.optionsDefault,
   logResponse,
   respond
@@ -1675,16 +2638,59 @@ router.route('/commit/orgs/:orgid/projects/:projectid/branches/:branchid')
 
 /**
  * @swagger
- * /projects/:projectid/refs/:refid/elements/:elementid
+ * /convert/jobs/{jobid}:
  *   get:
+ *     tags:
+ *       - pdf
+ *     description: Returns an export job requested by the user.
+ *     produces:
+ *       - application/json
  *     parameters:
- *       - name: commitId
- *         description: The ID of the commit.
+ *       - name: jobid
+ *         description: The ID of the export job.
+ *         in: path
  *         required: true
  *         type: string
+ *       - name: alf_ticket
+ *         description: A token passed in the query, used for authorization.
+ *         in: query
+ *         required: false
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Not Found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.route('/convert/jobs/:jobid')
+.get(
+  utils.handleTicket,
+  authenticate,
+  logRoute,
+  utils.addHeaders,
+  APIController.getExportJob,
+  logResponse,
+  respond
+)
+.options(
+  logRoute,
+  utils.addHeaders,
+  APIController.optionsDefault,
+  logResponse,
+  respond
+);
+
+/**
+ * @swagger
+ * /commit/orgs/:orgid/projects/:projectid/branches/:branchid:
+ *   put:
  *     tags:
  *       - general
- *     description: get a commit by Id.
+ *     description: Handles the commit.
  *     responses:
  *       200:
  *         description: OK
@@ -1697,17 +2703,17 @@ router.route('/commit/orgs/:orgid/projects/:projectid/branches/:branchid')
  *   options:
  *     tags:
  *       - general
- *     description: Returns the commit.
+ *     description: Returns the org, project, branch, and element that was committed.
  *     responses:
  *       200:
  *         description: OK
  */
-router.route('/projects/:projectid/refs/:refid/elements/:elementid')
-.get(
+router.route('/commit/orgs/:orgid/projects/:projectid/branches/:branchid')
+.put(
   authenticate,
   logRoute,
   doLogin,
-  CommitController.getCommitById,
+  CommitController.handleCommit,
   logResponse,
   respond
 )
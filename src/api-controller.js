@@ -27,12 +27,10 @@
  */
 
 // Node modules
-const fs = require('fs');
-const path = require('path');
+const util = require('util');
 
 // NPM modules
 const multer = require('multer');
-const upload = multer().single('file');
 const axios = require('axios');
 
 // MCF modules
@@ -40,6 +38,11 @@ const OrgController = M.require('controllers.organization-controller');
 const ProjectController = M.require('controllers.project-controller');
 const BranchController = M.require('controllers.branch-controller');
 const commitController = require('./commit-controller.js');
+const commitLog = require('./commit-log.js');
+const crossReferences = require('./cross-references.js');
+const events = require('./events.js');
+const artifactStore = require('./artifacts.js');
+const exportJobs = require('./export-jobs.js');
 const Branch = M.require('models.branch');
 const ElementController = M.require('controllers.element-controller');
 const ArtifactController = M.require('controllers.artifact-controller');
@@ -47,13 +50,16 @@ const Element = M.require('models.element');
 const { getStatusCode } = M.require('lib.errors');
 const mcfUtils = M.require('lib.utils');
 const jmi = M.require('lib.jmi-conversions');
-const errors = M.require('lib.errors');
-const mbeeCrypto = M.require('lib.crypto');
 const btoa = require('btoa');
 
 // Adapter modules
 const format = require('./formatter.js');
 const utils = require('./utils.js');
+const diff = require('./diff.js');
+const elementBatch = require('./element-batch.js');
+const elementStream = require('./element-stream.js');
+const orphans = require('./orphans.js');
+const search = require('./search.js');
 const sjm = require('./sjm.js');
 const namespace = utils.customDataNamespace;
 
@@ -323,6 +329,89 @@ async function postOrgs(req, res, next) {
   next();
 }
 
+/**
+ * @description Updates an organization, such as to rename it. The body holds the org in the
+ * MMS API style: { orgs: [{...}] }. Returns the updated org formatted as an MMS org in the
+ * same style.
+ * @async
+ *
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
+ * @param {Function} next - Middleware callback to trigger the next function.
+ */
+async function putOrg(req, res, next) {
+  try {
+    // Format the org data for MCF
+    const orgData = format.mcfOrg(getUpdateData(req.body, 'orgs', req.params.orgid));
+
+    // Update the org
+    const orgs = await OrgController.update(req.user, orgData);
+
+    // Set the status code and response message
+    res.locals.statusCode = 200;
+    res.locals.message = { orgs: orgs.map((org) => format.mmsOrg(req.user, org)) };
+  }
+  catch (error) {
+    M.log.warn(error.message);
+    res.locals.statusCode = getStatusCode(error);
+    res.locals.message = error.message;
+  }
+  next();
+}
+
+/**
+ * @description Deletes an organization. The org is archived unless the hard option is set,
+ * in which case it is permanently deleted along with its projects and their commit history.
+ * Returns the org formatted as an MMS org in the MMS API style: { orgs: [deletedOrg] }.
+ * @async
+ *
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
+ * @param {Function} next - Middleware callback to trigger the next function.
+ */
+async function deleteOrg(req, res, next) {
+  try {
+    // Define valid options and their parsed types
+    const validOptions = {
+      alf_ticket: 'string',
+      hard: 'boolean'
+    };
+    const options = mcfUtils.parseOptions(req.query, validOptions);
+
+    // Archived orgs may still be permanently deleted
+    const orgs = await OrgController.find(req.user, req.params.orgid,
+      { includeArchived: true });
+    if (orgs.length === 0) {
+      throw new M.NotFoundError(`Org ${req.params.orgid} not found.`, 'warn');
+    }
+
+    let org = orgs[0];
+    if (options.hard) {
+      const projects = await ProjectController.find(req.user, req.params.orgid, undefined,
+        { includeArchived: true });
+      await OrgController.remove(req.user, req.params.orgid);
+      await utils.asyncForEach(projects, async (project) => {
+        await removeAdapterData(mcfUtils.parseID(project._id).pop());
+      });
+    }
+    else {
+      const archived = await OrgController.update(req.user, { id: req.params.orgid,
+        archived: true });
+      org = archived[0];
+    }
+
+    // Set the status code and response message
+    res.locals.statusCode = 200;
+    res.locals.message = { orgs: [format.mmsOrg(req.user, org)] };
+  }
+  catch (error) {
+    M.log.warn(error.message);
+    res.locals.statusCode = getStatusCode(error);
+    res.locals.message = error.message;
+  }
+  next();
+}
+
 /**
  * @description Gets all projects on a specific org which a requesting user has
  * access to. Returns the projects formatted as MMS projects in the MMS API style:
@@ -370,7 +459,7 @@ async function postProjects(req, res, next) {
     // Create the projects
     const projects = await ProjectController.create(req.user, req.params.orgid, projData);
 
-    // Give each project a view_instances_bin
+    // Give each project a view_instances_bin and a holding bin
     await utils.asyncForEach(projects, async (project) => {
       const projectID = mcfUtils.parseID(project._id).pop();
       const elem = {
@@ -380,6 +469,8 @@ async function postProjects(req, res, next) {
       };
       // Create the view_instances_bin
       await ElementController.create(req.user, req.params.orgid, projectID, 'master', elem);
+      // Create the holding bin for elements posted before their owners
+      await orphans.ensureHoldingBin(req.user, req.params.orgid, projectID, 'master');
     });
 
     // Return the public data of the newly created projects in MMS format
@@ -448,10 +539,101 @@ async function getProject(req, res, next) {
   next();
 }
 
+/**
+ * @description Updates a project, such as to rename it. The body holds the project in the
+ * MMS API style: { projects: [{...}] }. Returns the updated project formatted as an MMS
+ * project in the same style.
+ * @async
+ *
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
+ * @param {Function} next - Middleware callback to trigger the next function.
+ */
+async function putProject(req, res, next) {
+  try {
+    // Grabs the org id from the session user
+    await utils.getOrgId(req);
+
+    // Format the project data for MCF; the org of a project cannot be changed
+    const data = getUpdateData(req.body, 'projects', req.params.projectid);
+    delete data.orgId;
+    const projData = format.mcfProject(data);
+
+    // Update the project
+    const projects = await ProjectController.update(req.user, req.params.orgid, projData);
+
+    // Set the status code and response message
+    res.locals.statusCode = 200;
+    res.locals.message = {
+      projects: projects.map((project) => format.mmsProject(req.user, project))
+    };
+  }
+  catch (error) {
+    M.log.warn(error.message);
+    res.locals.statusCode = getStatusCode(error);
+    res.locals.message = error.message;
+  }
+  next();
+}
+
+/**
+ * @description Deletes a project. The project is archived unless the hard option is set, in
+ * which case it is permanently deleted along with its commit history. Returns the project
+ * formatted as an MMS project in the MMS API style: { projects: [deletedProject] }.
+ * @async
+ *
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
+ * @param {Function} next - Middleware callback to trigger the next function.
+ */
+async function deleteProject(req, res, next) {
+  try {
+    // Grabs the org id from the session user
+    await utils.getOrgId(req);
+
+    // Define valid options and their parsed types
+    const validOptions = {
+      alf_ticket: 'string',
+      hard: 'boolean'
+    };
+    const options = mcfUtils.parseOptions(req.query, validOptions);
+
+    // Archived projects may still be permanently deleted
+    const projects = await ProjectController.find(req.user, req.params.orgid,
+      req.params.projectid, { includeArchived: true });
+    if (projects.length === 0) {
+      throw new M.NotFoundError(`Project ${req.params.projectid} not found.`, 'warn');
+    }
+
+    let project = projects[0];
+    if (options.hard) {
+      await ProjectController.remove(req.user, req.params.orgid, req.params.projectid);
+      await removeAdapterData(req.params.projectid);
+    }
+    else {
+      const archived = await ProjectController.update(req.user, req.params.orgid, {
+        id: req.params.projectid,
+        archived: true
+      });
+      project = archived[0];
+    }
+
+    // Set the status code and response message
+    res.locals.statusCode = 200;
+    res.locals.message = { projects: [format.mmsProject(req.user, project)] };
+  }
+  catch (error) {
+    M.log.warn(error.message);
+    res.locals.statusCode = getStatusCode(error);
+    res.locals.message = error.message;
+  }
+  next();
+}
+
 /**
  * @description Gets all MCF branches (MMS refs) on a specific project which a requesting user
  * has access to. Returns the branches formatted as MMS refs in the MMS API style:
- * { refs: [...foundBranches] }.
+ * { refs: [...foundBranches] }. The type option lists only the branches or only the tags.
  * @async
  *
  * @param {object} req - Request express object.
@@ -463,11 +645,24 @@ async function getRefs(req, res, next) {
     // Grabs the org id from the session user
     await utils.getOrgId(req);
 
+    // Define valid options and their parsed types
+    const validOptions = {
+      alf_ticket: 'string',
+      type: 'string'
+    };
+    const options = mcfUtils.parseOptions(req.query, validOptions);
+    const type = (options.type) ? options.type.toLowerCase() : null;
+    if (type && !['branch', 'tag'].includes(type)) {
+      throw new M.DataFormatError(`Invalid ref type ${options.type}; expected Branch or Tag.`,
+        'warn');
+    }
+
     // Grab all the branches from controller
     const branches = await BranchController.find(req.user, req.params.orgid, req.params.projectid);
 
     // Return the public data of the branches in MMS format
-    const data = branches.map(b => format.mmsRef(req.user, b));
+    const data = branches.map(b => format.mmsRef(req.user, b))
+    .filter((ref) => !type || ref.type.toLowerCase() === type);
 
     // Set the status code and response message
     res.locals.statusCode = 200;
@@ -509,8 +704,9 @@ async function postRefs(req, res, next) {
 
     const foundBranchIDs = foundBranches.map(b => mcfUtils.parseID(b._id).pop());
     branches.forEach((branch) => {
-      // Handle branches to update
+      // Handle branches to update; a ref cannot be turned into a tag or back
       if (foundBranchIDs.includes(branch.id)) {
+        delete branch.tag;
         promises.push(
           BranchController.update(req.user, req.params.orgid, req.params.projectid, branch)
           .then((updatedBranch) => {
@@ -520,10 +716,28 @@ async function postRefs(req, res, next) {
       }
       // Handle branches to create
       else {
+        let fromEarlierCommit = false;
         promises.push(
-          BranchController.create(req.user, req.params.orgid, req.params.projectid, branch)
-          .then((createdBranch) => {
+          setParentCommit(req, branch)
+          .then((earlier) => {
+            fromEarlierCommit = earlier;
+            return BranchController.create(req.user, req.params.orgid, req.params.projectid,
+              branch);
+          })
+          .then(async (createdBranch) => {
             results.push(createdBranch[0]);
+            // The new ref starts with copies of the source's elements and their references
+            if (!createdBranch[0].source) return;
+            const sourceID = mcfUtils.parseID(createdBranch[0].source).pop();
+            if (!fromEarlierCommit) {
+              await crossReferences.copyRef(req.params.projectid, sourceID, branch.id);
+              return;
+            }
+
+            // A ref created from an earlier commit starts from the source as it was then
+            const elements = await commitLog.resetRef(req.params.orgid, req.params.projectid,
+              branch.id, sourceID, branch.custom[namespace].parentCommitId);
+            await crossReferences.indexElements(req.params.projectid, branch.id, elements);
           })
         );
       }
@@ -579,6 +793,102 @@ async function getRef(req, res, next) {
   next();
 }
 
+/**
+ * @description Updates an MCF branch (MMS ref), such as to rename it. The body holds the ref
+ * in the MMS API style: { refs: [{...}] }. The parent of a ref, and whether it is a tag, cannot
+ * be changed. Returns the updated branch formatted as an MMS ref in the same style.
+ * @async
+ *
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
+ * @param {Function} next - Middleware callback to trigger the next function.
+ */
+async function putRef(req, res, next) {
+  try {
+    // Grabs the org id from the session user
+    await utils.getOrgId(req);
+
+    // Format the branch data for MCF
+    const data = getUpdateData(req.body, 'refs', req.params.refid);
+    delete data.parentRefId;
+    const branchData = format.mcfBranch(data);
+    delete branchData.source;
+    delete branchData.tag;
+
+    // Update the branch
+    const branches = await BranchController.update(req.user, req.params.orgid,
+      req.params.projectid, branchData);
+
+    // Set the status code and response message
+    res.locals.statusCode = 200;
+    res.locals.message = { refs: branches.map((b) => format.mmsRef(req.user, b)) };
+  }
+  catch (error) {
+    M.log.warn(error.message);
+    res.locals.statusCode = getStatusCode(error);
+    res.locals.message = error.message;
+  }
+  next();
+}
+
+/**
+ * @description Deletes an MCF branch (MMS ref). The branch is archived unless the hard option
+ * is set, in which case it is permanently deleted along with its commit history. The master
+ * ref cannot be deleted. Returns the branch formatted as an MMS ref in the MMS API style:
+ * { refs: [deletedBranch] }.
+ * @async
+ *
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
+ * @param {Function} next - Middleware callback to trigger the next function.
+ */
+async function deleteRef(req, res, next) {
+  try {
+    // Grabs the org id from the session user
+    await utils.getOrgId(req);
+
+    // Define valid options and their parsed types
+    const validOptions = {
+      alf_ticket: 'string',
+      hard: 'boolean'
+    };
+    const options = mcfUtils.parseOptions(req.query, validOptions);
+
+    if (req.params.refid === 'master') {
+      throw new M.PermissionError('The master ref cannot be deleted.', 'warn');
+    }
+
+    // Archived refs may still be permanently deleted
+    const branches = await BranchController.find(req.user, req.params.orgid,
+      req.params.projectid, req.params.refid, { includeArchived: true });
+    if (branches.length === 0) {
+      throw new M.NotFoundError(`Ref ${req.params.refid} not found.`, 'warn');
+    }
+
+    let branch = branches[0];
+    if (options.hard) {
+      await BranchController.remove(req.user, req.params.orgid, req.params.projectid,
+        req.params.refid);
+      await removeAdapterData(req.params.projectid, req.params.refid);
+    }
+    else {
+      const archived = await BranchController.update(req.user, req.params.orgid,
+        req.params.projectid, { id: req.params.refid, archived: true });
+      branch = archived[0];
+    }
+
+    // Set the status code and response message
+    res.locals.statusCode = 200;
+    res.locals.message = { refs: [format.mmsRef(req.user, branch)] };
+  }
+  catch (error) {
+    M.log.warn(error.message);
+    res.locals.statusCode = getStatusCode(error);
+    res.locals.message = error.message;
+  }
+  next();
+}
+
 /**
  * @description Gets all mounts (referenced projects) of the specified project. Returns the found
  * projects formatted as MMS projects in the MMS API style: { projects: [...foundProjects] }.
@@ -665,8 +975,14 @@ async function getGroups(req, res, next) {
 }
 
 /**
- * @description Creates or updates elements on the MCF. Returns the created elements formatted
- * as MMS elements in the MMS API style: { elements: [createdElements] }.
+ * @description Creates or updates elements on the MCF. Returns the written elements formatted
+ * as MMS elements in the MMS API style: { elements, rejected, messages }. Elements which are
+ * invalid or fail to be written are returned in rejected while the rest of the batch is
+ * written. With the transactional query parameter every element is validated before any is
+ * written, nothing is written unless the whole batch is valid, and changes already written
+ * are rolled back if a later write fails. Existing elements posted with a type are full
+ * elements and are replaced, as in MMS; others are merged. The patch query parameter asks for
+ * one or the other for every element.
  * @async
  *
  * @param {object} req - Request express object.
@@ -674,216 +990,412 @@ async function getGroups(req, res, next) {
  * @param {Function} next - Middleware callback to trigger the next function.
  */
 async function postElements(req, res, next) {
+  // Other MMS query parameters sent by MDK are ignored, so the options are not parsed
+  const transactional = Boolean(req.query) && String(req.query.transactional) === 'true';
+  const patch = (req.query) ? req.query.patch : undefined;
+  // The changes made so far, so that a failed transactional post can be rolled back
+  const applied = { created: [], updated: [], previous: {} };
+  // The elements which could not be written
+  const rejected = [];
   try {
     // Grabs the org id from the session user
     await utils.getOrgId(req);
 
-    // Format the elements for MCF
-    const elements = req.body.elements;
-    await format.mcfElements(req, elements);
-
-    const elemIDs = elements.map((e) => e.id);
+    // Tags are read-only
+    await checkWritable(req, req.params.refid);
 
-    // Check to see if any of the elements exist already
-    const foundElements = await ElementController.find(req.user, req.params.orgid,
-      req.params.projectid, req.params.refid, elemIDs);
-    const foundIDs = foundElements.map((e) => {
-      e._id = mcfUtils.parseID(e._id).pop();
-      return e._id;
-    });
-    const foundJMI = jmi.convertJMI(1, 2, foundElements);
-
-    // Divide the incoming elements into elements that need to be created and elements that need
-    // to be updated
-    const createElements = elements.filter((e) => !foundIDs.includes(e.id));
-    let updateElements = elements.filter((e) => foundIDs.includes(e.id));
-
-    let createdElements = [];
-    let updatedElements = [];
-    const individualUpdates = [];
-    const deletedChildViews = [];
-    const addedChildViews = {};
-
-    // Create elements if there are any elements to be created
-    if (createElements.length !== 0) {
-      createdElements = await ElementController.create(req.user, req.params.orgid,
-        req.params.projectid, req.params.refid, createElements);
+    if (patch !== undefined && !['merge', 'replace'].includes(patch)) {
+      throw new M.DataFormatError(`Invalid patch mode ${patch}; expected merge or replace.`,
+        'warn');
     }
 
-    if (updateElements.length !== 0) {
-      updateElements.forEach((update) => {
-        const existing = foundJMI[update.id];
-
-        // This was needed for creating elements but causes issues with updating elements
-        if (update.custom[namespace].hasOwnProperty('name')) delete update.custom[namespace].name;
-        if (update.custom[namespace].hasOwnProperty('documentation')) {
-          delete update.custom[namespace].documentation;
-        }
-
-        // Additional processing for updates to child views
-        if (update.custom[namespace].hasOwnProperty('_childViews')
-          && Array.isArray(update.custom[namespace]._childViews)
-          && update.custom[namespace]._childViews.length !== 0) {
-          const cvUpdate = update.custom[namespace]._childViews;
-
-          // Verify that the _childViews update is valid
-          if (cvUpdate.every((v) => typeof v.id === 'string'
-            && typeof v.aggregation === 'string' && typeof v.propertyId === 'string')) {
-            // Initialize the ownedAttributeIds field on the update
-            update.custom[namespace].ownedAttributeIds = [];
-            // Add ownedAttributeIds to the update in order corresponding to the _childViews update
-            for (let i = 0; i < cvUpdate.length; i++) {
-              update.custom[namespace].ownedAttributeIds.push(cvUpdate[i].propertyId);
-            }
-          }
-          else {
-            console.log(JSON.stringify(update));
-            throw new M.DataFormatError('Invalid update to _childViews field.', 'warn');
-          }
-          // Check if a child view is being added or removed by comparing existing and
-          // updated ownedAttributeIds
-          let oldIDs = [];
-          if (existing.custom[namespace] && existing.custom[namespace].ownedAttributeIds) {
-            oldIDs = existing.custom[namespace].ownedAttributeIds;
-          }
-          const newIDs = update.custom[namespace].ownedAttributeIds;
-
-          // If not every new id is in the list of old ids, an old id has been deleted
-          if (!oldIDs.every((id) => newIDs.includes(id))) {
-            const deletedIDs = oldIDs.filter((id) => !newIDs.includes(id));
-            deletedIDs.forEach((id) => {
-              deletedChildViews.push(id);
-            });
-          }
-          // If not every old id is in the list of new ids, a new id has been added
-          if (!newIDs.every((id) => oldIDs.includes(id))) {
-            const addedIDs = newIDs.filter((id) => !oldIDs.includes(id));
-            addedIDs.forEach((id) => {
-              addedChildViews[id] = update.id;
-            });
-          }
-        }
-
-        // Special logic for update elements: custom data is normally replaced in an update
-        // operation.  Here, however, we want to keep the data that's already there and only
-        // add new fields.  TBD: deleting fields.
-        if (existing.custom && existing.custom[namespace]) {
-          Object.keys(existing.custom[namespace]).forEach((key) => {
-            if (!Object.keys(update.custom[namespace]).includes(key)
-              && !(update.hasOwnProperty('name') && key === 'name')) {
-              update.custom[namespace][key] = existing.custom[namespace][key];
-            }
-          });
-        }
-
-        // Updates to elements' parents cannot be made in bulk so we'll make those updates on
-        // an individual basis
-        if (update.hasOwnProperty('parent')) {
-          individualUpdates.push(update);
-        }
-      });
+    const createBatch = (items) => ElementController.create(req.user, req.params.orgid,
+      req.params.projectid, req.params.refid, items);
+    // A bulk create which fails may already have created some of its elements
+    const findCreated = async (items) => {
+      const found = await ElementController.find(req.user, req.params.orgid,
+        req.params.projectid, req.params.refid, items.map((e) => e.id));
+      const foundByID = {};
+      found.forEach((e) => { foundByID[mcfUtils.parseID(e._id).pop()] = e; });
+      return items.map((e) => foundByID[e.id] || null);
+    };
+    // Updates to parents cannot be made in bulk, so single updates are passed on their own
+    const updateBatch = (items) => ElementController.update(req.user, req.params.orgid,
+      req.params.projectid, req.params.refid, (items.length === 1) ? items[0] : items);
+
+    // The elements of the current batch as they were sent, to be returned with any rejections
+    let originals = {};
+    // A failed write fails a transactional post as a whole; otherwise only the elements which
+    // could not be written are rejected
+    const write = (items, writeItems, findWritten) => ((transactional)
+      ? writeItems(items)
+      : elementBatch.isolateFailures(items, writeItems, (item, error) => {
+        rejected.push(elementBatch.rejection(originals[item.id] || { id: item.id },
+          getStatusCode(error), error.message));
+      }, findWritten));
+
+    let total = 0;
+    let added = [];
+    let updated = [];
+    let previous = [];
+    const seenIDs = new Set();
+    // The valid elements of a transactional post, which are written once all are validated
+    let validated = [];
+
+    const writeElements = async (elements) => {
+      originals = {};
+      elements.forEach((e) => { originals[e.id] = Object.assign({}, e); });
+
+      const changes = await writeElementBatch(req, elements,
+        { write, createBatch, findCreated, updateBatch, applied, patch });
+      added = added.concat(changes.added);
+      updated = updated.concat(changes.updated);
+      previous = previous.concat(changes.previous);
+    };
 
-      // When a view has been moved, i.e. deleted from one element and added to another element,
-      // we must also make updates to a special relationship element that is linked to the view.
-      if (Object.keys(addedChildViews).length > 0) {
-        await utils.asyncForEach(Object.keys(addedChildViews), async (key) => {
-          // If a view was added that was also deleted, additional updates must be made
-          if (deletedChildViews.includes(key)) {
-            // First find the child view element
-            const cvElems = await ElementController.find(req.user, req.params.orgid,
-              req.params.projectid, req.params.refid, key);
-            // Then find the association element
-            const associations = await ElementController.find(req.user, req.params.orgid,
-              req.params.projectid, req.params.refid, cvElems[0].custom[namespace].associationId);
-            // Then find the element referenced by the association element's ownedEndId
-            const ownedEnds = await ElementController.find(req.user, req.params.orgid,
-              req.params.projectid, req.params.refid,
-              associations[0].custom[namespace].ownedEndIds);
-            const ownedEnd = ownedEnds[0];
-            // Initialize the update to the ownedEnd element.  The typeId of this element needs to
-            // point to the id of the new view element that the child view has been added to.
-            const update = {
-              id: mcfUtils.parseID(ownedEnds[0]._id).pop(),
-              custom: {
-                [namespace]: {
-                  typeId: addedChildViews[key]
-                }
-              }
-            };
-            // Make sure to save the custom data of the element
-            Object.keys(ownedEnd.custom[namespace]).forEach((field) => {
-              if (!Object.keys(update.custom[namespace]).includes(field)
-                && !(update.hasOwnProperty('name') && key === 'name')) {
-                update.custom[namespace][field] = ownedEnd.custom[namespace][field];
-              }
-            });
-            // Add the update to a list of updates to be made
-            individualUpdates.push(update);
-          }
-        });
+    // Large bodies are read and written in batches
+    await elementStream.forEachElementBatch(req, async (batch) => {
+      total += batch.length;
+
+      // Reject the elements which would fail part way through the post. Every batch of a
+      // transactional post is validated before any of them is written, so that nothing is
+      // written if any element is invalid and every invalid element is reported.
+      const batchRejected = elementBatch.validateElements(batch, seenIDs);
+      batch.forEach((e) => { if (e && typeof e.id === 'string') seenIDs.add(e.id); });
+      rejected.push(...batchRejected);
+
+      const rejectedElements = batchRejected.map((r) => r.element);
+      const elements = batch.filter((e) => !rejectedElements.includes(e));
+      if (transactional) {
+        if (rejected.length === 0) validated = validated.concat(elements);
+        return;
       }
+      await writeElements(elements);
+    });
 
-      // If there are elements that need to be updated individually, remove them from the bulk list
-      // and run individual updates
-      if (individualUpdates.length !== 0) {
-        const individualIDs = individualUpdates.map((e) => e.id);
-        updateElements = updateElements.filter((e) => !individualIDs.includes(e.id));
+    if (transactional && rejected.length !== 0) {
+      throw new M.DataFormatError(`${rejected.length} of ${total} elements were rejected; `
+        + 'no elements were written.', 'warn');
+    }
+    const size = elementStream.batchSize();
+    for (let i = 0; i < validated.length; i += size) {
+      await writeElements(validated.slice(i, i + size)); // eslint-disable-line no-await-in-loop
+    }
 
-        await utils.asyncForEach(individualUpdates, async (individualUpdate) => {
-          const updatedElement = await ElementController.update(req.user, req.params.orgid,
-            req.params.projectid, req.params.refid, individualUpdate);
-          updatedElements = updatedElements.concat(updatedElement);
-        });
+    // Move the orphaned elements whose owners have now been written out of the holding bin,
+    // including elements posted in earlier batches or requests than their owners
+    const writtenIDs = new Set(added.concat(updated).map((e) => mcfUtils.parseID(e._id).pop()));
+    let adopted = [];
+    if (writtenIDs.size !== 0) {
+      const found = await orphans.findOrphans(req.params.orgid, req.params.projectid,
+        req.params.refid);
+      adopted = found.filter((e) => writtenIDs.has(orphans.intendedOwner(e)));
+    }
+    originals = {};
+    await utils.asyncForEach(adopted, async (orphan) => {
+      const id = mcfUtils.parseID(orphan._id).pop();
+      const moved = await write([{ id: id, parent: orphans.intendedOwner(orphan) }],
+        updateBatch);
+      if (moved.length === 0) return;
+      applied.updated.push(moved[0]._id);
+
+      // Replace the earlier version of the element in the changes
+      const replace = (elements) => elements.map((e) => ((e._id === orphan._id) ? moved[0] : e));
+      if (added.some((e) => e._id === orphan._id)) {
+        added = replace(added);
       }
-
-      // Update elements in bulk
-      if (updateElements.length !== 0) {
-        const bulkUpdatedElements = await ElementController.update(req.user, req.params.orgid,
-          req.params.projectid, req.params.refid, updateElements);
-        updatedElements = updatedElements.concat(bulkUpdatedElements);
+      else if (updated.some((e) => e._id === orphan._id)) {
+        updated = replace(updated);
       }
-    }
+      else {
+        // The orphan was not part of this post, so keep its state before the move
+        applied.previous[id] = orphan;
+        previous.push(orphan);
+        updated.push(moved[0]);
+      }
+    });
 
-    const results = createdElements.concat(updatedElements);
+    const results = added.concat(updated);
+
+    // Record the changes made to the ref
+    await recordCommit(req, {
+      added: added,
+      updated: updated,
+      previous: previous
+    });
+    await indexCrossReferences(req, { elements: results });
 
     const data = results.map((e) => format.mmsElement(req.user, e));
 
     // Set the status code and response message
-    res.locals.statusCode = 200;
-    res.locals.message = { elements: data };
+    const response = elementBatch.batchResponse(data, rejected, total);
+    res.locals.statusCode = response.statusCode;
+    res.locals.message = response.body;
   }
   catch (error) {
     M.log.warn(error.message);
     res.locals.statusCode = getStatusCode(error);
     res.locals.message = error.message;
+
+    // Undo whatever was written before the failure
+    if (transactional) {
+      const messages = [{ code: res.locals.statusCode, message: error.message, severity: 'ERROR' }];
+      try {
+        await elementBatch.rollback(req.user, req.params.orgid, req.params.projectid,
+          req.params.refid, applied);
+      }
+      catch (rollbackError) {
+        M.log.error(`Failed to roll back element post: ${rollbackError.message}`);
+        messages.push({
+          code: 500,
+          message: `Failed to roll back the changes already written: ${rollbackError.message}`,
+          severity: 'ERROR'
+        });
+      }
+      res.locals.message = { elements: [], rejected: rejected, messages: messages };
+    }
   }
   next();
 }
 
 /**
- * @description This API endpoint does not actually function as you would expect PUT
- * to function. Instead of a create or replace request, MDK is actually requesting a
- * find operation by providing element ids. This function attempts to find elements
- * using the IDs passed in through the body of the request and returns all found elements
- * in the MMS api format: { elements: [...foundElements] }.
+ * @description Creates or updates a batch of elements posted to the requested ref. Elements
+ * which already exist are updated, keeping the custom data they already have; the rest are
+ * created.
  * @async
  *
  * @param {object} req - Request express object.
- * @param {object} res - Response express object.
- * @param {Function} next - Middleware callback to trigger the next function.
+ * @param {object[]} elements - The MMS elements to write. They are formatted for MCF in place.
+ * @param {object} context - How the elements are written.
+ * @param {Function} context.write - Writes items with one of the functions below.
+ * @param {Function} context.createBatch - Creates an array of elements.
+ * @param {Function} context.findCreated - Finds which of an array of elements were created.
+ * @param {Function} context.updateBatch - Updates an array of elements.
+ * @param {object} context.applied - The changes made so far, which the written elements are
+ * added to.
+ * @param {string} [context.patch] - How existing elements are updated: "merge" keeps the MMS
+ * properties left out of the update, and "replace" removes them. By default, elements with a
+ * type are replaced and other elements are merged.
+ *
+ * @returns {Promise<object>} The "added" and "updated" MCF elements, and the "previous" state
+ * of the elements which already existed.
  */
-async function putElements(req, res, next) {
-  try {
-    // Grabs the org id from the session user
-    await utils.getOrgId(req);
+async function writeElementBatch(req, elements, context) {
+  const { write, createBatch, findCreated, updateBatch, applied, patch } = context;
 
-    // Define valid option and its parsed type
-    const validOptions = {
-      alf_ticket: 'string',
-      depth: 'number'
-    };
+  // Format the elements for MCF
+  await format.mcfElements(req, elements);
 
-    // Add custom.* query options
+  const elemIDs = elements.map((e) => e.id);
+
+  // Check to see if any of the elements exist already
+  const foundElements = await ElementController.find(req.user, req.params.orgid,
+    req.params.projectid, req.params.refid, elemIDs);
+  const foundIDs = foundElements.map((e) => {
+    e._id = mcfUtils.parseID(e._id).pop();
+    applied.previous[e._id] = e;
+    return e._id;
+  });
+  const foundJMI = jmi.convertJMI(1, 2, foundElements);
+
+  // Divide the incoming elements into elements that need to be created and elements that need
+  // to be updated
+  const createElements = elements.filter((e) => !foundIDs.includes(e.id));
+  let updateElements = elements.filter((e) => foundIDs.includes(e.id));
+
+  let createdElements = [];
+  let updatedElements = [];
+  const individualUpdates = [];
+  const deletedChildViews = [];
+  const addedChildViews = {};
+
+  // Create elements if there are any elements to be created
+  if (createElements.length !== 0) {
+    createdElements = await write(createElements, createBatch, findCreated);
+    applied.created = applied.created.concat(createdElements.map((e) => e._id));
+  }
+
+  if (updateElements.length !== 0) {
+    updateElements.forEach((update) => {
+      const existing = foundJMI[update.id];
+
+      // A full element, which has a type, replaces the MMS properties of the existing element
+      // unless a patch mode is requested
+      const replaced = (patch === 'replace') || (!patch && update.hasOwnProperty('type'));
+
+      if (replaced) {
+        // A name or documentation left out is removed; the null kept in the custom data stops
+        // it from being returned
+        if (!update.hasOwnProperty('name')) update.name = '';
+        if (!update.hasOwnProperty('documentation')) update.documentation = '';
+      }
+      else {
+        // This was needed for creating elements but causes issues with updating elements
+        if (update.custom[namespace].hasOwnProperty('name')) delete update.custom[namespace].name;
+        if (update.custom[namespace].hasOwnProperty('documentation')) {
+          delete update.custom[namespace].documentation;
+        }
+      }
+
+      // Additional processing for updates to child views
+      if (update.custom[namespace].hasOwnProperty('_childViews')
+        && Array.isArray(update.custom[namespace]._childViews)
+        && update.custom[namespace]._childViews.length !== 0) {
+        const cvUpdate = update.custom[namespace]._childViews;
+
+        // Verify that the _childViews update is valid
+        if (cvUpdate.every((v) => typeof v.id === 'string'
+          && typeof v.aggregation === 'string' && typeof v.propertyId === 'string')) {
+          // Initialize the ownedAttributeIds field on the update
+          update.custom[namespace].ownedAttributeIds = [];
+          // Add ownedAttributeIds to the update in order corresponding to the _childViews update
+          for (let i = 0; i < cvUpdate.length; i++) {
+            update.custom[namespace].ownedAttributeIds.push(cvUpdate[i].propertyId);
+          }
+        }
+        else {
+          console.log(JSON.stringify(update));
+          throw new M.DataFormatError('Invalid update to _childViews field.', 'warn');
+        }
+        // Check if a child view is being added or removed by comparing existing and
+        // updated ownedAttributeIds
+        let oldIDs = [];
+        if (existing.custom[namespace] && existing.custom[namespace].ownedAttributeIds) {
+          oldIDs = existing.custom[namespace].ownedAttributeIds;
+        }
+        const newIDs = update.custom[namespace].ownedAttributeIds;
+
+        // If not every new id is in the list of old ids, an old id has been deleted
+        if (!oldIDs.every((id) => newIDs.includes(id))) {
+          const deletedIDs = oldIDs.filter((id) => !newIDs.includes(id));
+          deletedIDs.forEach((id) => {
+            deletedChildViews.push(id);
+          });
+        }
+        // If not every old id is in the list of new ids, a new id has been added
+        if (!newIDs.every((id) => oldIDs.includes(id))) {
+          const addedIDs = newIDs.filter((id) => !oldIDs.includes(id));
+          addedIDs.forEach((id) => {
+            addedChildViews[id] = update.id;
+          });
+        }
+      }
+
+      // Special logic for update elements: custom data is normally replaced in an update
+      // operation.  Here, however, we want to keep the data that's already there and only
+      // add new fields, unless the element is being replaced.
+      if (!replaced && existing.custom && existing.custom[namespace]) {
+        Object.keys(existing.custom[namespace]).forEach((key) => {
+          if (!Object.keys(update.custom[namespace]).includes(key)
+            && !(update.hasOwnProperty('name') && key === 'name')) {
+            update.custom[namespace][key] = existing.custom[namespace][key];
+          }
+        });
+      }
+
+      // Updates to elements' parents cannot be made in bulk so we'll make those updates on
+      // an individual basis
+      if (update.hasOwnProperty('parent')) {
+        individualUpdates.push(update);
+      }
+    });
+
+    // When a view has been moved, i.e. deleted from one element and added to another element,
+    // we must also make updates to a special relationship element that is linked to the view.
+    if (Object.keys(addedChildViews).length > 0) {
+      await utils.asyncForEach(Object.keys(addedChildViews), async (key) => {
+        // If a view was added that was also deleted, additional updates must be made
+        if (deletedChildViews.includes(key)) {
+          // First find the child view element
+          const cvElems = await ElementController.find(req.user, req.params.orgid,
+            req.params.projectid, req.params.refid, key);
+          // Then find the association element
+          const associations = await ElementController.find(req.user, req.params.orgid,
+            req.params.projectid, req.params.refid, cvElems[0].custom[namespace].associationId);
+          // Then find the element referenced by the association element's ownedEndId
+          const ownedEnds = await ElementController.find(req.user, req.params.orgid,
+            req.params.projectid, req.params.refid,
+            associations[0].custom[namespace].ownedEndIds);
+          const ownedEnd = ownedEnds[0];
+          applied.previous[mcfUtils.parseID(ownedEnd._id).pop()] = ownedEnd;
+          // Initialize the update to the ownedEnd element.  The typeId of this element needs to
+          // point to the id of the new view element that the child view has been added to.
+          const update = {
+            id: mcfUtils.parseID(ownedEnds[0]._id).pop(),
+            custom: {
+              [namespace]: {
+                typeId: addedChildViews[key]
+              }
+            }
+          };
+          // Make sure to save the custom data of the element
+          Object.keys(ownedEnd.custom[namespace]).forEach((field) => {
+            if (!Object.keys(update.custom[namespace]).includes(field)
+              && !(update.hasOwnProperty('name') && key === 'name')) {
+              update.custom[namespace][field] = ownedEnd.custom[namespace][field];
+            }
+          });
+          // Add the update to a list of updates to be made
+          individualUpdates.push(update);
+        }
+      });
+    }
+
+    // If there are elements that need to be updated individually, remove them from the bulk list
+    // and run individual updates
+    if (individualUpdates.length !== 0) {
+      const individualIDs = individualUpdates.map((e) => e.id);
+      updateElements = updateElements.filter((e) => !individualIDs.includes(e.id));
+
+      await utils.asyncForEach(individualUpdates, async (individualUpdate) => {
+        const updatedElement = await write([individualUpdate], updateBatch);
+        updatedElements = updatedElements.concat(updatedElement);
+        applied.updated = applied.updated.concat(updatedElement.map((e) => e._id));
+      });
+    }
+
+    // Update elements in bulk
+    if (updateElements.length !== 0) {
+      const bulkUpdatedElements = await write(updateElements, updateBatch);
+      updatedElements = updatedElements.concat(bulkUpdatedElements);
+      applied.updated = applied.updated.concat(bulkUpdatedElements.map((e) => e._id));
+    }
+  }
+
+  return {
+    added: createdElements,
+    updated: updatedElements,
+    previous: foundElements
+  };
+}
+
+/**
+ * @description This API endpoint does not actually function as you would expect PUT
+ * to function. Instead of a create or replace request, MDK is actually requesting a
+ * find operation by providing element ids. This function attempts to find elements
+ * using the IDs passed in through the body of the request and returns all found elements
+ * in the MMS api format: { elements: [...foundElements] }. With a depth of -1, the response
+ * is streamed to the client as the elements of each subtree are found.
+ * @async
+ *
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
+ * @param {Function} next - Middleware callback to trigger the next function.
+ */
+async function putElements(req, res, next) {
+  let streamed = false;
+  try {
+    // Grabs the org id from the session user
+    await utils.getOrgId(req);
+
+    // Define valid option and its parsed type
+    const validOptions = {
+      alf_ticket: 'string',
+      commitId: 'string',
+      depth: 'number'
+    };
+
+    // Add custom.* query options
     if (req.query) {
       Object.keys(req.query).forEach((k) => {
         // If the key starts with custom., add it to the validOptions object
@@ -898,18 +1410,43 @@ async function putElements(req, res, next) {
     // Remove MMS ticket from find
     delete options.alf_ticket;
     // Convert MMS depth to MCF
+    const depth = options.depth;
     if (options.depth !== 0) {
       options.subtree = true;
     }
     delete options.depth;
+    const commitID = options.commitId;
+    delete options.commitId;
+
+    // Only the ids are kept while the body is read. Elements without an id are skipped
+    // because sometimes VE sends { id: null } and this will cause an error.
+    const elemIDs = [];
+    await elementStream.forEachElementBatch(req, (batch) => {
+      batch.forEach((e) => { if (e && e.id) elemIDs.push(e.id); });
+    });
 
-    const elements = req.body.elements;
-    // .filter because sometimes VE sends { id: null } and this will cause an error
-    const elemIDs = elements.map((e) => e.id).filter((id) => id);
+    // Whole models are sent in batches as their elements are found rather than built in memory
+    if (depth === -1 && !commitID && elemIDs.length !== 0
+      && !Object.keys(options).some((k) => k.startsWith('custom.'))) {
+      const roots = await ElementController.find(req.user, req.params.orgid,
+        req.params.projectid, req.params.refid, elemIDs);
+
+      streamed = true;
+      await elementStream.sendElements(res, (send) => elementStream.forEachSubtreeBatch(
+        req.params.orgid, req.params.projectid, req.params.refid, roots, async (batch) => {
+          await utils.generateChildViews(req.user, req.params.orgid, req.params.projectid,
+            req.params.refid, batch);
+          await send(batch.map((e) => format.mmsElement(req.user, e)));
+        }
+      ));
+      return;
+    }
 
-    // Search for the elements
-    const foundElements = await ElementController.find(req.user, req.params.orgid,
-      req.params.projectid, req.params.refid, elemIDs, options);
+    // Search for the elements, as they were at the requested commit if one was provided
+    const foundElements = (commitID)
+      ? await findElementsAtCommit(req, commitID, elemIDs)
+      : await ElementController.find(req.user, req.params.orgid,
+        req.params.projectid, req.params.refid, elemIDs, options);
 
     // Generate the child views of the element if there are any
     await utils.generateChildViews(req.user, req.params.orgid, req.params.projectid,
@@ -927,12 +1464,14 @@ async function putElements(req, res, next) {
     res.locals.statusCode = getStatusCode(error);
     res.locals.message = error.message;
   }
-  next();
+  // A streamed response has already been sent
+  if (!streamed) next();
 }
 
 /**
  * @description Deletes elements by ID and returns the IDs of the successfully
- * deleted elements in the MMS API format: { elements: [...deletedIDs] }.
+ * deleted elements in the MMS API format: { elements: [...deletedIDs], rejected, messages }.
+ * Elements which are not found or cannot be deleted are returned in rejected.
  * @async
  *
  * @param {object} req - Request express object.
@@ -944,16 +1483,57 @@ async function deleteElements(req, res, next) {
     // Grabs the org id from the session user
     await utils.getOrgId(req);
 
-    const elements = req.body.elements;
-    const elemIDs = elements.map((e) => e.id);
+    // Tags are read-only
+    await checkWritable(req, req.params.refid);
 
-    // Delete the elements; get the element ids back
-    const deletedElements = await ElementController.remove(req.user, req.params.orgid,
-      req.params.projectid, req.params.refid, elemIDs);
+    if (!Array.isArray(req.body.elements)) {
+      throw new M.DataFormatError('Request body must contain an array of elements.', 'warn');
+    }
+
+    // Reject the elements without an id; the rest are deleted
+    const rejected = [];
+    const elements = {};
+    req.body.elements.forEach((e) => {
+      if (e !== null && typeof e === 'object' && typeof e.id === 'string' && e.id.length !== 0) {
+        elements[e.id] = e;
+      }
+      else {
+        rejected.push(elementBatch.rejection(e, 400, 'Element id must be a non-empty string.'));
+      }
+    });
+
+    // Keep the current state of the elements for the commit history
+    const previousElements = await ElementController.find(req.user, req.params.orgid,
+      req.params.projectid, req.params.refid, Object.keys(elements));
+    const foundIDs = previousElements.map((e) => mcfUtils.parseID(e._id).pop());
+    Object.keys(elements).filter((id) => !foundIDs.includes(id)).forEach((id) => {
+      rejected.push(elementBatch.rejection(elements[id], 404, `Element ${id} not found.`));
+    });
+
+    // Delete the elements; get the element ids back. If the bulk delete fails, only the
+    // elements which could not be deleted are rejected.
+    const remove = (ids) => ElementController.remove(req.user, req.params.orgid,
+      req.params.projectid, req.params.refid, ids);
+    let deletedElements = [];
+    if (foundIDs.length !== 0) {
+      deletedElements = await elementBatch.isolateFailures(foundIDs, remove, (id, error) => {
+        rejected.push(elementBatch.rejection(elements[id], getStatusCode(error), error.message));
+      });
+    }
+    const deletedIDs = deletedElements.map((id) => mcfUtils.parseID(id).pop());
+
+    // Record the changes made to the ref
+    await recordCommit(req, {
+      deleted: deletedIDs,
+      previous: previousElements
+    });
+    await indexCrossReferences(req, { deleted: deletedIDs });
 
     // Set the status code and response message
-    res.locals.statusCode = 200;
-    res.locals.message = { elements: deletedElements };
+    const response = elementBatch.batchResponse(deletedElements, rejected,
+      req.body.elements.length);
+    res.locals.statusCode = response.statusCode;
+    res.locals.message = response.body;
   }
   catch (error) {
     M.log.warn(error.message);
@@ -964,11 +1544,15 @@ async function deleteElements(req, res, next) {
 }
 
 /**
- * @description This function is a work in progress. It is expected to mirror the MMS search
- * endpoint which accepts a formatted ElasticSearch query, runs that query on its own ElasticSearch
- * database, and then returns the results of that query. This function is awaiting a small re-write
- * of View Editor's search function to send a more generic query format than specifically
- * formatted ElasticSearch queries.
+ * @description Mirrors the MMS search endpoint, which accepts an ElasticSearch query and runs it
+ * on the MMS ElasticSearch database. The query is translated into a MongoDB query on the
+ * elements of the requested ref and the results are returned in the MMS API format, along
+ * with the total number of matches as ElasticSearch reports it:
+ * { elements: [...foundElements], hits: { total } }. The ElasticSearch from, size and sort
+ * parameters are honored for paging; if no size is provided, every match is returned.
+ * ElasticSearch filter and terms aggregations are also supported; they are run on
+ * the elements matching the query, or on every element of the ref if no query is provided, and
+ * returned as aggregations.
  * @async
  *
  * @param {object} req - Request express object.
@@ -979,40 +1563,64 @@ async function putElementSearch(req, res, next) {
   try {
     // Grabs the org id from the session user
     await utils.getOrgId(req);
-    let projID = req.params.projectid;
+    const projID = req.params.projectid;
     const branchID = req.params.refid;
 
+    if (!req.body.query && !req.body.aggs) {
+      throw new M.DataFormatError('Invalid request: No query or aggs found in request body.');
+    }
+
+    // Verify the ref exists and the user has access to it, since the elements are searched
+    // directly
+    const branches = await BranchController.find(req.user, req.params.orgid, projID, branchID);
+    if (branches.length === 0) {
+      throw new M.NotFoundError(`Ref ${branchID} not found.`, 'warn');
+    }
+
+    const message = {};
     if (req.body.query) {
-      const searchQuery = utils.translateSearchQuery(req.body.query);
-      //const searchQuery = "Requirement Test";
-      //const textSearchQuery = { '$text': '{ $search: "' + `${JSON.stringify(searchQuery)}` + '"'};
-      console.log('searchQuery: ', searchQuery);
-      const elements = await Element.find(searchQuery);
-      console.log('textSearchElements: ', elements);
-      
-      
+      const searchQuery = search.translateQuery(req.body.query, req.params.orgid, projID,
+        branchID);
+
+      // Page the results if requested; every match is returned otherwise
+      const paging = {};
+      ['from', 'size'].forEach((key) => {
+        if (req.body[key] !== undefined && req.body[key] !== null) {
+          const value = Number(req.body[key]);
+          if (!Number.isInteger(value) || value < 0) {
+            throw new M.DataFormatError(`The search ${key} must be a non-negative integer.`,
+              'warn');
+          }
+          paging[key] = value;
+        }
+      });
+      const findOptions = { sort: search.translateSort(req.body.sort) };
+      // Break ties by id so pages do not overlap
+      findOptions.sort._id = findOptions.sort._id || 1;
+      if (paging.from) findOptions.skip = paging.from;
+      if (paging.hasOwnProperty('size')) findOptions.limit = paging.size;
+
+      const total = await Element.countDocuments(searchQuery);
+      const elements = (paging.size === 0)
+        ? []
+        : await Element.find(searchQuery, null, findOptions);
+
       // Generate the child views of the element if there are any
       await utils.generateChildViews(req.user, req.params.orgid, projID, branchID, elements);
 
       // Return the public data of the elements in MMS format
-      const data = elements.map((e) => format.mmsElement(req.user, e));
-
-      // Set the status code and response message
-      res.locals.statusCode = 200;
-      res.locals.message = { elements: data };
-    }
-    else if (req.body.aggs) {
-      const results = await utils.viewEditorMetatypesQuery(req.body.aggs);
-
-      // Set the status code and response message
-      res.locals.statusCode = 200;
-      res.locals.message = results;
+      message.elements = elements.map((e) => format.mmsElement(req.user, e));
+      message.hits = { total: total };
     }
-    else {
-      throw new M.DataFormatError('Invalid request: No query or aggs found in request body.');
+    if (req.body.aggs) {
+      // Aggregate the elements matching the query, if any
+      message.aggregations = await search.aggregate(req.body.aggs, req.body.query,
+        req.params.orgid, projID, branchID);
     }
-    // const elements = await ElementController.find(req.user, req.params.orgid, projID, branchID,
-    //   elemID);
+
+    // Set the status code and response message
+    res.locals.statusCode = 200;
+    res.locals.message = message;
   }
   catch (error) {
     M.log.warn(error.message);
@@ -1037,7 +1645,8 @@ async function putElementSearch(req, res, next) {
 }
 
 /**
- * @description Gets a single element by ID and returns it in the MMS API format.
+ * @description Gets a single element by ID and returns it in the MMS API format. If a commitId
+ * is provided in the query, the element is returned as it was at that commit.
  * @async
  *
  * @param {object} req - Request express object.
@@ -1057,13 +1666,19 @@ async function getElement(req, res, next) {
 
     let elements = [];
 
-    // If the element is found on the current project, great
-    // Grabs an element from controller
-    elements = await ElementController.find(req.user, req.params.orgid, req.params.projectid,
-      req.params.refid, req.params.elementid);
+    if (req.query && req.query.commitId) {
+      // Reconstruct the element as it was at the commit
+      elements = await findElementsAtCommit(req, req.query.commitId, [req.params.elementid]);
+    }
+    else {
+      // If the element is found on the current project, great
+      // Grabs an element from controller
+      elements = await ElementController.find(req.user, req.params.orgid, req.params.projectid,
+        req.params.refid, req.params.elementid);
+    }
 
     // If the element isn't found, look for it on the mounts
-    if (elements.length === 0) {
+    if (elements.length === 0 && !(req.query && req.query.commitId)) {
       // Get all the mounts
       const mounts = await ElementController.find(req.user, req.params.orgid,
         req.params.projectid, req.params.refid, { type: 'Mount' });
@@ -1128,8 +1743,8 @@ async function getElement(req, res, next) {
 }
 
 /**
- * @description This endpoint still needs to be implemented. It is expected to return
- * the ids of all cross-referenced elements on the project.
+ * @description Returns the ids of the elements on the requested ref which transclude or
+ * cross-reference the requested element, in the format: { elementIds: [...referencingIDs] }.
  * @async
  *
  * @param {object} req - Request express object.
@@ -1137,40 +1752,22 @@ async function getElement(req, res, next) {
  * @param {Function} next - Middleware callback to trigger the next function.
  */
 async function getElementCfids(req, res, next) {
-  res.locals.message = { elementIds: [] };
-  res.locals.statusCode = 200;
-  next();
-}
-
-/**
- * @description Returns all documents on a specified branch.
- * @async
- *
- * @param {object} req - Request express object.
- * @param {object} res - Response express object.
- * @param {Function} next - Middleware callback to trigger the next function.
- */
-async function getDocuments(req, res, next) {
   try {
     // Grabs the org id from the session user
     await utils.getOrgId(req);
 
-    // The only way to find documents is to use this hard-coded ID created by the SysML community
-    // several years ago and set to be replaced in the next year or so.
-    const documentStereotypeID = sjm.documentStereotypeID;
-    const documentQuery = { [`custom.${namespace}._appliedStereotypeIds`]: documentStereotypeID };
-    const documentElements = await ElementController.find(req.user, req.params.orgid,
-      req.params.projectid, req.params.refid, documentQuery);
-
-    // Generate the child views of the element if there are any
-    await utils.generateChildViews(req.user, req.params.orgid, req.params.projectid,
-      req.params.refid, documentElements);
+    // Verify the element exists and the user has access to it
+    const elements = await ElementController.find(req.user, req.params.orgid,
+      req.params.projectid, req.params.refid, req.params.elementid);
+    if (elements.length === 0) {
+      throw new M.NotFoundError(`Element ${req.params.elementid} not found.`, 'warn');
+    }
 
-    // Convert elements into MMS format
-    const formattedDocs = documentElements.map((e) => format.mmsElement(req.user, e));
+    const elementIds = await crossReferences.findReferencingIDs(req.params.orgid,
+      req.params.projectid, req.params.refid, req.params.elementid);
 
     res.locals.statusCode = 200;
-    res.locals.message = { documents: formattedDocs };
+    res.locals.message = { elementIds: elementIds };
   }
   catch (error) {
     M.log.warn(error.message);
@@ -1181,22 +1778,33 @@ async function getDocuments(req, res, next) {
 }
 
 /**
- * @description The commits object is an array of every commit on the project. Each commit object
- * has an id, a _creator, and a _created field.  Because commits are not yet implemented in MCF,
- * this function only returns an empty array.
+ * @description Lists the orphaned elements on the requested ref, which were posted with an
+ * owner that has not been posted yet and are waiting in the holding bin of the project. Each
+ * element is returned with the id of its intended owner as its ownerId, in the format:
+ * { elements: [...orphanedElements] }.
  * @async
  *
  * @param {object} req - Request express object.
  * @param {object} res - Response express object.
  * @param {Function} next - Middleware callback to trigger the next function.
  */
-async function getCommits(req, res, next) {
+async function getOrphans(req, res, next) {
   try {
     // Grabs the org id from the session user
     await utils.getOrgId(req);
 
+    // Verify the ref exists and the user has access to it, since the elements are read directly
+    const branches = await BranchController.find(req.user, req.params.orgid,
+      req.params.projectid, req.params.refid);
+    if (branches.length === 0) {
+      throw new M.NotFoundError(`Ref ${req.params.refid} not found.`, 'warn');
+    }
+
+    const found = await orphans.findOrphans(req.params.orgid, req.params.projectid,
+      req.params.refid);
+
     res.locals.statusCode = 200;
-    res.locals.message = { commits: [] };
+    res.locals.message = { elements: found.map((e) => format.mmsElement(req.user, e)) };
   }
   catch (error) {
     M.log.warn(error.message);
@@ -1207,86 +1815,34 @@ async function getCommits(req, res, next) {
 }
 
 /**
- * @description Processes and stores an artifact blob while also creating an artifact
- * document containing metadata on the blob. Intended to handle png and svg files.
- * @async
- *
- * @param {object} req - The Express request object.
- * @param {object} res - The Express response object.
- * @param {Function} next - Middleware callback to trigger the next function.
- */
-async function postArtifact(req, res, next) {
-  // Grabs the org id from the session user
-  await utils.getOrgId(req);
-
-  await upload(req, res, async function(err) {
-    const fileType = req.file.mimetype === 'image/png' ? 'png' : 'svg';
-    const artifactMetadata = {
-      id: req.body.id,
-      location: `${req.params.orgid}/${req.params.projectid}`,
-      filename: `${req.body.id}.${fileType}`,
-      custom: {
-        [namespace]: req.body
-      }
-    };
-    artifactMetadata.custom[namespace].contentType = req.file.mimetype;
-
-    if (err instanceof multer.MulterError) {
-      // A Multer error occurred when uploading.
-      M.log.error(err);
-      const error = new M.ServerError('Artifact upload failed.', 'warn');
-      return mcfUtils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
-    }
-
-    // Sanity Check: file is required
-    if (!req.file) {
-      const error = new M.DataFormatError('Artifact Blob file must be defined.', 'warn');
-      return mcfUtils.formatResponse(req, res, error.message, getStatusCode(error), next);
-    }
-
-    try {
-      await ArtifactController.create(req.user, req.params.orgid,
-        req.params.projectid, req.params.refid, artifactMetadata);
-      const blobResult = await ArtifactController.postBlob(req.user, req.params.orgid,
-        req.params.projectid, artifactMetadata, req.file.buffer);
-
-      // Sets the message to the blob data and the status code to 200
-      res.locals = {
-        message: blobResult,
-        statusCode: 200
-      };
-    }
-    catch (error) {
-      M.log.warn(error.message);
-      res.locals.statusCode = getStatusCode(error);
-      res.locals.message = error.message;
-    }
-  });
-  next();
-}
-
-/**
- * @description Searches for artifact metadata documents.
+ * @description Returns all documents on a specified branch.
  * @async
  *
- * @param {object} req - The Express request object.
- * @param {object} res - The Express response object.
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
  * @param {Function} next - Middleware callback to trigger the next function.
  */
-async function putArtifacts(req, res, next) {
+async function getDocuments(req, res, next) {
   try {
     // Grabs the org id from the session user
     await utils.getOrgId(req);
 
-    const artIDs = req.body.artifacts.map((artifact) => artifact.id);
+    // The only way to find documents is to use this hard-coded ID created by the SysML community
+    // several years ago and set to be replaced in the next year or so.
+    const documentStereotypeID = sjm.documentStereotypeID;
+    const documentQuery = { [`custom.${namespace}._appliedStereotypeIds`]: documentStereotypeID };
+    const documentElements = await ElementController.find(req.user, req.params.orgid,
+      req.params.projectid, req.params.refid, documentQuery);
 
-    const artifacts = await ArtifactController.find(req.user, req.params.orgid,
-      req.params.projectid, req.params.refid, artIDs);
+    // Generate the child views of the element if there are any
+    await utils.generateChildViews(req.user, req.params.orgid, req.params.projectid,
+      req.params.refid, documentElements);
 
-    const data = artifacts.map((a) => format.mmsArtifact(req.user, a));
+    // Convert elements into MMS format
+    const formattedDocs = documentElements.map((e) => format.mmsElement(req.user, e));
 
     res.locals.statusCode = 200;
-    res.locals.message = { artifacts: data };
+    res.locals.message = { documents: formattedDocs };
   }
   catch (error) {
     M.log.warn(error.message);
@@ -1297,28 +1853,39 @@ async function putArtifacts(req, res, next) {
 }
 
 /**
- * @description Retrieves an artifact blob.
+ * @description Returns the commits made on a ref through the adapter, newest first, in the MMS
+ * API format: { commits: [...foundCommits] }. Supports the MMS "limit" and "maxTimestamp"
+ * query parameters for paging.
  * @async
  *
- * @param {object} req - The Express request object.
- * @param {object} res - The Express response object.
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
  * @param {Function} next - Middleware callback to trigger the next function.
  */
-async function getBlob(req, res, next) {
+async function getCommits(req, res, next) {
   try {
     // Grabs the org id from the session user
     await utils.getOrgId(req);
 
-    const artifacts = await ArtifactController.find(req.user, req.params.orgid,
-      req.params.projectid, req.params.refid, req.params.blobid);
-    const artifact = artifacts[0];
+    // Define valid options and their parsed types
+    const validOptions = {
+      alf_ticket: 'string',
+      limit: 'number',
+      maxTimestamp: 'string'
+    };
+    const options = mcfUtils.parseOptions(req.query, validOptions);
 
-    const blob = await ArtifactController.getBlob(req.user, req.params.orgid,
-      req.params.projectid, artifact);
+    // Verify the ref exists and the user has access to it
+    const branches = await BranchController.find(req.user, req.params.orgid,
+      req.params.projectid, req.params.refid);
+    if (branches.length === 0) {
+      throw new M.NotFoundError(`Ref ${req.params.refid} not found.`, 'warn');
+    }
+
+    const commits = await commitLog.findCommits(req.params.projectid, req.params.refid, options);
 
     res.locals.statusCode = 200;
-    res.locals.message = blob;
-    res.locals.contentType = artifact.custom[namespace].contentType;
+    res.locals.message = { commits: commits.map((c) => format.mmsCommit(c)) };
   }
   catch (error) {
     M.log.warn(error.message);
@@ -1329,104 +1896,63 @@ async function getBlob(req, res, next) {
 }
 
 /**
- * @description This function converts a html document into a PDF.
+ * @description Compares the elements of the requested ref with the elements of another ref,
+ * or of the same ref at another point in its history, and returns the differences in the
+ * format: { diff: { added: [...], removed: [...], updated: [...] } }. Added and removed
+ * elements are MMS elements; each updated element is returned as { id, element, changes },
+ * where changes holds the before and after values of every changed field.
  * @async
  *
- * @param {object} req - The Express request object.
- * @param {object} res - The Express response object.
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
  * @param {Function} next - Middleware callback to trigger the next function.
  */
-async function postHtml2Pdf(req, res, next) {
+async function getDiff(req, res, next) {
   try {
     // Grabs the org id from the session user
     await utils.getOrgId(req);
 
-    // Get plugin configuration
-    const pluginCfg = M.config.server.plugins.plugins['mms-adapter'];
-    const filename = pluginCfg.pdf.filename;
-    const directory = pluginCfg.pdf.directory;
-
-    // Extract request body
-    const exportObj = req.body;
-
-    // Get HTML body and remove comment tags
-    // eslint-disable-next-line
-    const removedTagsHTML = exportObj.body.replace(/(?!<\")\<\!\-\- [^\<]+ \-\-\>(?!\")/g, '');
-
-    // Generate refresh token with extended time
-    // Compute token expiration time 24 hours
-    const timeDelta = 24 * mcfUtils.timeConversions.HOURS;
-    const userTokenData = {
-      type: 'temporary_user',
-      username: req.user._id,
-      created: (new Date(Date.now())),
-      expires: (new Date(Date.now() + timeDelta))
+    // Define valid options and their parsed types
+    const validOptions = {
+      alf_ticket: 'string',
+      compareRefId: 'string',
+      commitId: 'string',
+      compareCommitId: 'string'
     };
+    const options = mcfUtils.parseOptions(req.query, validOptions);
+    const refID = req.params.refid;
+    const compareRefID = options.compareRefId || refID;
 
-    // Generate the bearer token and encode it
-    const userBearerToken = encodeURIComponent(mbeeCrypto.generateToken(userTokenData));
-
-    // Replace token with newly generated tmp user token
-    // eslint-disable-next-line
-    const tokenizedHTML = removedTagsHTML.replace(/alf_ticket=[a-zA-Z0-9%]*\"/g,
-    // eslint-disable-next-line
-      `alf_ticket=${userBearerToken}\"`);
-
-    // Define HTML/PDF file paths
-    const date = Date.now();
-    const tempHtmlFileName = `${filename}_${date}.html`;
-    const tempPdfFileName = `${filename}_${date}.pdf`;
-    const fullHtmlFilePath = path.join(directory, tempHtmlFileName);
-    const fullPdfFilePath = path.join(directory, tempPdfFileName);
-
-    // Write the HTML file to storage
-    fs.writeFile(fullHtmlFilePath, tokenizedHTML, async (err) => {
-      // Check for error
-      if (err) throw new M.OperationError(`Could not export PDF: ${err} `, 'warn');
-
-      // Convert HTML to PDF
-      await utils.convertHtml2Pdf(fullHtmlFilePath, fullPdfFilePath);
-
-      // Read the generated pdf file
-      const pdfBlob = fs.readFileSync(fullPdfFilePath);
-
-      // Define artifact blob meta data
-      const artifactMetadata = {
-        id: req.body.id,
-        location: `${req.params.orgid}/${req.params.projectid}`,
-        filename: tempPdfFileName
-      };
-
-      // Store the artifact blob
-      await ArtifactController.postBlob(req.user, req.params.orgid,
-        req.params.projectid, artifactMetadata, pdfBlob);
+    if (compareRefID === refID && !options.commitId && !options.compareCommitId) {
+      throw new M.DataFormatError('A compareRefId, commitId or compareCommitId must be '
+        + 'provided.', 'warn');
+    }
 
-      // Get server url
-      const serverUrl = req.headers.host;
+    // Find the elements on both sides of the comparison
+    const baseElements = (options.commitId)
+      ? await findElementsAtCommit(req, options.commitId, undefined, refID)
+      : await ElementController.find(req.user, req.params.orgid, req.params.projectid, refID);
+    const compareElements = (options.compareCommitId)
+      ? await findElementsAtCommit(req, options.compareCommitId, undefined, compareRefID)
+      : await ElementController.find(req.user, req.params.orgid, req.params.projectid,
+        compareRefID);
 
-      // Create artifact link
-      const link = `http://${serverUrl}/api/orgs/${req.params.orgid}/projects/${req.params.projectid}/artifacts/blob`
-                  + `?location=${artifactMetadata.location}&filename=${artifactMetadata.filename}`;
+    const result = diff.diffElements(baseElements.map((e) => format.mmsElement(req.user, e)),
+      compareElements.map((e) => format.mmsElement(req.user, e)));
 
-      // Check user email
-      if (req.user.email) {
-        // Email user
-        await utils.emailBlobLink(req.user.email, link);
-      }
-      
-      // Delete the temporary files
-      fs.unlink(fullPdfFilePath, (unlinkErr) => {
-        if (unlinkErr) throw unlinkErr;
-        M.log.info(`${fullPdfFilePath} deleted.`);
-      });
-      fs.unlink(fullHtmlFilePath, (unlinkErr) => {
-        if (unlinkErr) throw unlinkErr;
-        M.log.info(`${fullPdfFilePath} deleted.`);
-      });
-    });
-    
-    // Set status code
     res.locals.statusCode = 200;
+    res.locals.message = {
+      diff: {
+        _projectId: req.params.projectid,
+        _refId: refID,
+        _compareRefId: compareRefID,
+        _commitId: options.commitId || null,
+        _compareCommitId: options.compareCommitId || null,
+        added: result.added,
+        removed: result.removed,
+        updated: result.updated
+      }
+    };
   }
   catch (error) {
     M.log.warn(error.message);
@@ -1437,22 +1963,654 @@ async function postHtml2Pdf(req, res, next) {
 }
 
 /**
- * @description Gets element commits
+ * @description Merges the requested ref into its parent ref. Computes a three-way merge of
+ * the elements on both refs, using the parent ref as it was at the requested ref's
+ * parentCommitId as the base, and applies the changes made on the requested ref to the parent
+ * ref as a single commit. If any conflicts are found, nothing is written and the conflicts are
+ * returned with a 409 status, unless a resolution strategy is provided in the query. Only the
+ * parent ref is written, so it may not be a tag, while the requested ref may. Returns the
+ * result in the format: { merge: { added, updated, deleted, conflicts } }.
  * @async
  *
- * @param {object} req - The Express request object.
- * @param {object} res - The Express response object.
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
  * @param {Function} next - Middleware callback to trigger the next function.
  */
-async function getElementCommits(req, res, next) {
+async function postMerge(req, res, next) {
   try {
-    // Add valiation for params
-    const projectid = req.params.projectid;
-    const branchid = req.params.refid;
-    const elementid = req.params.elementid;
+    // Grabs the org id from the session user
+    await utils.getOrgId(req);
 
-    if (!projectid) {
-      res.locals.statusCode = 400;
+    // Define valid options and their parsed types
+    const validOptions = {
+      alf_ticket: 'string',
+      strategy: 'string'
+    };
+    const options = mcfUtils.parseOptions(req.query, validOptions);
+    if (options.strategy && !['ours', 'theirs'].includes(options.strategy)) {
+      throw new M.DataFormatError(`Invalid merge strategy: ${options.strategy}. Must be `
+        + '"ours" or "theirs".', 'warn');
+    }
+
+    const orgID = req.params.orgid;
+    const projID = req.params.projectid;
+    const refID = req.params.refid;
+
+    // Find the ref and the parent ref it merges into
+    const branches = await BranchController.find(req.user, orgID, projID, refID);
+    if (branches.length === 0) {
+      throw new M.NotFoundError(`Ref ${refID} not found.`, 'warn');
+    }
+    const branch = branches[0];
+    if (!branch.source) {
+      throw new M.DataFormatError(`Ref ${refID} has no parent ref to merge into.`, 'warn');
+    }
+    const targetID = mcfUtils.parseID(branch.source).pop();
+    const targets = await BranchController.find(req.user, orgID, projID, targetID);
+    if (targets.length === 0) {
+      throw new M.NotFoundError(`Ref ${targetID} not found.`, 'warn');
+    }
+
+    // Only the parent ref is written, so a tag may be merged but not merged into
+    await checkWritable(req, targetID);
+
+    // The base is the parent ref as it was when the ref was created or last merged
+    const branchCustom = branch.custom[namespace] || {};
+    const baseTime = (branchCustom.parentCommitId)
+      ? (await commitLog.findCommit(projID, branchCustom.parentCommitId)).created
+      : branch.createdOn;
+    const baseElements = await commitLog.findElementsAtTime(orgID, projID, targetID,
+      new Date(baseTime));
+    const ourElements = await ElementController.find(req.user, orgID, projID, targetID);
+    const theirElements = await ElementController.find(req.user, orgID, projID, refID);
+
+    const result = diff.mergeElements(
+      baseElements.map((e) => format.mmsElement(req.user, e)),
+      ourElements.map((e) => format.mmsElement(req.user, e)),
+      theirElements.map((e) => format.mmsElement(req.user, e)),
+      options.strategy
+    );
+
+    // Do not write anything until the caller decides how to resolve the conflicts
+    if (result.conflicts.length !== 0 && !options.strategy) {
+      res.locals.statusCode = 409;
+      res.locals.message = { conflicts: result.conflicts };
+      return next();
+    }
+
+    // Format the merged elements for MCF, with their parents looked up on the parent ref
+    const targetReq = {
+      user: req.user,
+      params: Object.assign({}, req.params, { refid: targetID })
+    };
+    await format.mcfElements(targetReq, result.added.concat(result.updated));
+
+    let createdElements = [];
+    let updatedElements = [];
+    let deletedIDs = [];
+    if (result.added.length !== 0) {
+      createdElements = await ElementController.create(req.user, orgID, projID, targetID,
+        result.added);
+    }
+    if (result.updated.length !== 0) {
+      // Updates to elements' parents cannot be made in bulk
+      const ourParents = {};
+      ourElements.forEach((e) => { ourParents[mcfUtils.parseID(e._id).pop()] = e.parent; });
+      const bulkUpdates = [];
+      await utils.asyncForEach(result.updated, async (update) => {
+        if (update.hasOwnProperty('parent') && update.parent !== mcfUtils.parseID(
+          ourParents[update.id] || '').pop()) {
+          const updated = await ElementController.update(req.user, orgID, projID, targetID,
+            update);
+          updatedElements = updatedElements.concat(updated);
+        }
+        else {
+          delete update.parent;
+          bulkUpdates.push(update);
+        }
+      });
+      if (bulkUpdates.length !== 0) {
+        const updated = await ElementController.update(req.user, orgID, projID, targetID,
+          bulkUpdates);
+        updatedElements = updatedElements.concat(updated);
+      }
+    }
+    if (result.deleted.length !== 0) {
+      const deleted = await ElementController.remove(req.user, orgID, projID, targetID,
+        result.deleted);
+      deletedIDs = deleted.map((id) => mcfUtils.parseID(id).pop());
+    }
+
+    // Record the merge on the parent ref, and use it as the base of the next merge
+    const comment = (req.body && req.body.comment) ? req.body.comment
+      : `Merged ref ${refID} into ${targetID}`;
+    const commit = await commitLog.recordCommit(req.user, orgID, projID, targetID, {
+      added: createdElements,
+      updated: updatedElements,
+      deleted: deletedIDs,
+      previous: ourElements
+    }, comment);
+    await indexCrossReferences(req, {
+      elements: createdElements.concat(updatedElements),
+      deleted: deletedIDs
+    }, targetID);
+    if (commit) {
+      events.publishCommit(commit);
+    }
+    // A tag keeps the commit it was created at
+    if (commit && !branch.tag) {
+      const custom = Object.assign({}, branch.custom, {
+        [namespace]: Object.assign({}, branchCustom, { parentCommitId: commit._id })
+      });
+      await BranchController.update(req.user, orgID, projID, { id: refID, custom: custom });
+    }
+
+    res.locals.statusCode = 200;
+    res.locals.message = {
+      merge: {
+        _projectId: projID,
+        _refId: refID,
+        _targetRefId: targetID,
+        _commitId: (commit) ? commit._id : null,
+        added: createdElements.map((e) => format.mmsElement(req.user, e)),
+        updated: updatedElements.map((e) => format.mmsElement(req.user, e)),
+        deleted: deletedIDs,
+        conflicts: result.conflicts
+      }
+    };
+  }
+  catch (error) {
+    M.log.warn(error.message);
+    res.locals.statusCode = getStatusCode(error);
+    res.locals.message = error.message;
+  }
+  next();
+}
+
+/**
+ * @description Streams the changes made to the elements of the requested ref as Server-Sent
+ * Events. An "elements" event is sent for every commit, holding the commitId and the ids of the
+ * added, updated and deleted elements. Comments are sent periodically to keep the connection
+ * open. The response stays open until the client disconnects, so the next middleware is only
+ * called if the stream could not be opened.
+ * @async
+ *
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
+ * @param {Function} next - Middleware callback to trigger the next function.
+ */
+async function getEvents(req, res, next) {
+  try {
+    // Grabs the org id from the session user
+    await utils.getOrgId(req);
+
+    // Verify the ref exists and the user has access to it
+    const branches = await BranchController.find(req.user, req.params.orgid,
+      req.params.projectid, req.params.refid);
+    if (branches.length === 0) {
+      throw new M.NotFoundError(`Ref ${req.params.refid} not found.`, 'warn');
+    }
+  }
+  catch (error) {
+    M.log.warn(error.message);
+    res.locals.statusCode = getStatusCode(error);
+    res.locals.message = error.message;
+    return next();
+  }
+
+  res.status(200);
+  res.header('Content-Type', 'text/event-stream');
+  res.header('Cache-Control', 'no-cache');
+  res.header('Connection', 'keep-alive');
+  if (typeof res.flushHeaders === 'function') res.flushHeaders();
+  res.write(': connected\n\n');
+
+  const unsubscribe = events.subscribe(req.params.projectid, req.params.refid, (event) => {
+    res.write(`id: ${event.commitId}\nevent: elements\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 30000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+/**
+ * @description Returns the connection descriptor MDK requests to set up realtime sync, in the
+ * MMS format: { connections: [...] }. The adapter does not run a message broker, so a JMS
+ * connection is only described if a broker is configured. The adapter's own Server-Sent
+ * Events endpoint is always described.
+ *
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
+ * @param {Function} next - Middleware callback to trigger the next function.
+ */
+function getJmsConnection(req, res, next) {
+  const config = M.config.server.plugins.plugins['mms-adapter'].jms || {};
+  const connections = [];
+  if (config.uri) {
+    connections.push({
+      uri: config.uri,
+      eventType: config.eventType || 'DELTA'
+    });
+  }
+
+  res.locals.statusCode = 200;
+  res.locals.message = {
+    connections: connections,
+    events: {
+      uri: '/projects/{projectid}/refs/{refid}/events',
+      type: 'text/event-stream'
+    }
+  };
+  next();
+}
+
+/**
+ * @description Processes and stores an artifact blob while also creating an artifact
+ * document containing metadata on the blob. Any content type allowed by the adapter config
+ * is accepted; uploading to an existing artifact id stores a new version of the artifact.
+ * @async
+ *
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {Function} next - Middleware callback to trigger the next function.
+ */
+async function postArtifact(req, res, next) {
+  try {
+    // Grabs the org id from the session user
+    await utils.getOrgId(req);
+
+    // Tags are read-only
+    await checkWritable(req, req.params.refid);
+
+    // Parse the multipart upload, limited to the configured maximum size
+    const upload = multer({
+      limits: { fileSize: artifactStore.uploadSettings().maxSize }
+    }).single('file');
+    try {
+      await util.promisify(upload)(req, res);
+    }
+    catch (error) {
+      M.log.error(error);
+      if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+        throw new M.DataFormatError('Artifact exceeds the maximum size of '
+          + `${artifactStore.uploadSettings().maxSize} bytes.`, 'warn');
+      }
+      throw new M.ServerError('Artifact upload failed.', 'warn');
+    }
+
+    // Sanity Check: file is required
+    if (!req.file) {
+      throw new M.DataFormatError('Artifact Blob file must be defined.', 'warn');
+    }
+
+    const artifact = await artifactStore.uploadArtifact(req.user, req.params.orgid,
+      req.params.projectid, req.params.refid, req.body, req.file);
+
+    res.locals.statusCode = 200;
+    res.locals.message = format.mmsArtifact(req.user, artifact);
+  }
+  catch (error) {
+    M.log.warn(error.message);
+    res.locals.statusCode = getStatusCode(error);
+    res.locals.message = error.message;
+  }
+  next();
+}
+
+/**
+ * @description Searches for artifact metadata documents.
+ * @async
+ *
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {Function} next - Middleware callback to trigger the next function.
+ */
+async function putArtifacts(req, res, next) {
+  try {
+    // Grabs the org id from the session user
+    await utils.getOrgId(req);
+
+    const artIDs = req.body.artifacts.map((artifact) => artifact.id);
+
+    const artifacts = await ArtifactController.find(req.user, req.params.orgid,
+      req.params.projectid, req.params.refid, artIDs);
+
+    const data = artifacts.map((a) => format.mmsArtifact(req.user, a));
+
+    res.locals.statusCode = 200;
+    res.locals.message = { artifacts: data };
+  }
+  catch (error) {
+    M.log.warn(error.message);
+    res.locals.statusCode = getStatusCode(error);
+    res.locals.message = error.message;
+  }
+  next();
+}
+
+/**
+ * @description Lists the artifacts on a ref, ordered by id, in the format:
+ * { artifacts: [...], total }. The artifacts can be filtered by content type, which may end
+ * in a wildcard subtype such as image/*, and paged with the limit and skip options. The total
+ * is the number of artifacts matching the filter before paging.
+ * @async
+ *
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {Function} next - Middleware callback to trigger the next function.
+ */
+async function getArtifacts(req, res, next) {
+  try {
+    // Grabs the org id from the session user
+    await utils.getOrgId(req);
+
+    // Define valid options and their parsed types
+    const validOptions = {
+      alf_ticket: 'string',
+      contentType: 'string',
+      limit: 'number',
+      skip: 'number'
+    };
+    const options = mcfUtils.parseOptions(req.query, validOptions);
+
+    // Verify the ref exists and the user has access to it
+    const branches = await BranchController.find(req.user, req.params.orgid,
+      req.params.projectid, req.params.refid);
+    if (branches.length === 0) {
+      throw new M.NotFoundError(`Ref ${req.params.refid} not found.`, 'warn');
+    }
+
+    const found = await artifactStore.findArtifacts(req.params.orgid, req.params.projectid,
+      req.params.refid, options);
+
+    res.locals.statusCode = 200;
+    res.locals.message = {
+      artifacts: found.artifacts.map((a) => format.mmsArtifact(req.user, a)),
+      total: found.total
+    };
+  }
+  catch (error) {
+    M.log.warn(error.message);
+    res.locals.statusCode = getStatusCode(error);
+    res.locals.message = error.message;
+  }
+  next();
+}
+
+/**
+ * @description Updates the metadata of an artifact without uploading a new blob. Returns the
+ * updated artifact in the format: { artifacts: [{...}] }.
+ * @async
+ *
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {Function} next - Middleware callback to trigger the next function.
+ */
+async function patchArtifact(req, res, next) {
+  try {
+    // Grabs the org id from the session user
+    await utils.getOrgId(req);
+
+    // Tags are read-only
+    await checkWritable(req, req.params.refid);
+
+    const artifact = await artifactStore.updateArtifact(req.user, req.params.orgid,
+      req.params.projectid, req.params.refid, req.params.artifactid, req.body);
+
+    res.locals.statusCode = 200;
+    res.locals.message = { artifacts: [format.mmsArtifact(req.user, artifact)] };
+  }
+  catch (error) {
+    M.log.warn(error.message);
+    res.locals.statusCode = getStatusCode(error);
+    res.locals.message = error.message;
+  }
+  next();
+}
+
+/**
+ * @description Deletes an artifact from a ref. Returns the deleted artifact in the format:
+ * { artifacts: [{...}] }. Blobs are stored per project and may be shared with the artifact on
+ * other refs, so they are kept.
+ * @async
+ *
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {Function} next - Middleware callback to trigger the next function.
+ */
+async function deleteArtifact(req, res, next) {
+  try {
+    // Grabs the org id from the session user
+    await utils.getOrgId(req);
+
+    // Tags are read-only
+    await checkWritable(req, req.params.refid);
+
+    const artifacts = await ArtifactController.find(req.user, req.params.orgid,
+      req.params.projectid, req.params.refid, req.params.artifactid);
+    if (artifacts.length === 0) {
+      throw new M.NotFoundError(`Artifact ${req.params.artifactid} not found.`, 'warn');
+    }
+
+    await ArtifactController.remove(req.user, req.params.orgid, req.params.projectid,
+      req.params.refid, req.params.artifactid);
+
+    res.locals.statusCode = 200;
+    res.locals.message = { artifacts: [format.mmsArtifact(req.user, artifacts[0])] };
+  }
+  catch (error) {
+    M.log.warn(error.message);
+    res.locals.statusCode = getStatusCode(error);
+    res.locals.message = error.message;
+  }
+  next();
+}
+
+/**
+ * @description Retrieves an artifact blob. The response carries the blob's checksum as its
+ * ETag along with its Last-Modified time, so that clients revalidate cached blobs with
+ * conditional requests and receive a 304 Not Modified response, without the blob being read,
+ * while it is unchanged. A single byte range may be requested for partial content, and only
+ * that range is read. The blob is streamed to the client directly rather than sent through the
+ * respond middleware, which only sends complete 200 responses; failures are still passed to
+ * it.
+ * @async
+ *
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {Function} next - Middleware callback to trigger the next function.
+ */
+async function getBlob(req, res, next) {
+  let response = null;
+  try {
+    // Grabs the org id from the session user
+    await utils.getOrgId(req);
+
+    const artifacts = await ArtifactController.find(req.user, req.params.orgid,
+      req.params.projectid, req.params.refid, req.params.blobid);
+    if (artifacts.length === 0) {
+      throw new M.NotFoundError(`Artifact ${req.params.blobid} not found.`, 'warn');
+    }
+    const artifact = artifacts[0];
+    const custom = artifact.custom[namespace] || {};
+    const open = () => artifactStore.openBlob(req.user, req.params.orgid,
+      req.params.projectid, artifact);
+
+    // Artifacts stored before checksums were recorded are hashed once, when first read
+    let blob = (custom.checksum) ? null : await open();
+    const etag = `"${await artifactStore.storedChecksum(artifact, blob)}"`;
+    const lastModified = new Date(artifact.updatedOn);
+    const contentType = custom.contentType || 'application/octet-stream';
+    const headers = Object.assign({
+      ETag: etag,
+      'Cache-Control': 'private, no-cache',
+      'Accept-Ranges': 'bytes'
+    }, artifactStore.securityHeaders(contentType));
+    if (!Number.isNaN(lastModified.getTime())) {
+      headers['Last-Modified'] = lastModified.toUTCString();
+    }
+
+    if (artifactStore.isNotModified(req.headers, etag, lastModified)) {
+      response = { statusCode: 304, headers: headers };
+    }
+    else {
+      if (!blob) blob = await open();
+      headers['Content-Type'] = contentType;
+      headers['Content-Disposition'] = artifactStore.contentDisposition(
+        custom.originalName || artifact.filename, contentType
+      );
+
+      // A range is only served if the client's copy, named by If-Range, is still current
+      const ifRange = req.headers['if-range'];
+      const range = (!ifRange || ifRange === etag || ifRange === headers['Last-Modified'])
+        ? artifactStore.parseRange(req.headers.range, blob.size)
+        : null;
+      if (range === false) {
+        headers['Content-Range'] = `bytes */${blob.size}`;
+        headers['Content-Type'] = 'text/plain';
+        response = { statusCode: 416, headers: headers,
+          body: Buffer.from('Requested range not satisfiable.') };
+      }
+      else if (range) {
+        headers['Content-Range'] = `bytes ${range.start}-${range.end}/${blob.size}`;
+        headers['Content-Length'] = String(range.end - range.start + 1);
+        response = { statusCode: 206, headers: headers, body: blob.read(range) };
+      }
+      else {
+        headers['Content-Length'] = String(blob.size);
+        response = { statusCode: 200, headers: headers, body: blob.read() };
+      }
+    }
+  }
+  catch (error) {
+    M.log.warn(error.message);
+    res.locals.statusCode = getStatusCode(error);
+    res.locals.message = error.message;
+  }
+
+  if (response) sendBlob(res, response.statusCode, response.headers, response.body);
+  else next();
+}
+
+/**
+ * @description Queues a View Editor HTML document to be exported as a PDF, DOCX or
+ * standalone HTML artifact and returns the export job in the format: { job: {...} }. The
+ * format is selected by the format field of the body and defaults to PDF. The job's state
+ * can then be polled through the job endpoints; the requesting user is also emailed a link
+ * to the artifact once the job succeeds.
+ * @async
+ *
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {Function} next - Middleware callback to trigger the next function.
+ */
+async function postHtml2Pdf(req, res, next) {
+  try {
+    // Grabs the org id from the session user
+    await utils.getOrgId(req);
+
+    // Verify the ref exists and the user has access to it
+    const branches = await BranchController.find(req.user, req.params.orgid,
+      req.params.projectid, req.params.refid);
+    if (branches.length === 0) {
+      throw new M.NotFoundError(`Ref ${req.params.refid} not found.`, 'warn');
+    }
+
+    const job = await exportJobs.createJob(req.user, req.params.orgid, req.params.projectid,
+      req.params.refid, req.body);
+
+    res.locals.statusCode = 202;
+    res.locals.message = { job: format.mmsExportJob(job) };
+  }
+  catch (error) {
+    M.log.warn(error.message);
+    res.locals.statusCode = getStatusCode(error);
+    res.locals.message = error.message;
+  }
+  next();
+}
+
+/**
+ * @description Gets the export jobs requested by the user, newest first, in the format:
+ * { jobs: [...] }. The jobs can be filtered by state and project.
+ * @async
+ *
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {Function} next - Middleware callback to trigger the next function.
+ */
+async function getExportJobs(req, res, next) {
+  try {
+    // Define valid options and their parsed types
+    const validOptions = {
+      alf_ticket: 'string',
+      state: 'string',
+      projectId: 'string',
+      limit: 'number'
+    };
+    const options = mcfUtils.parseOptions(req.query, validOptions);
+    const states = ['queued', 'running', 'succeeded', 'failed'];
+    if (options.state && !states.includes(options.state)) {
+      throw new M.DataFormatError(`Invalid state ${options.state}; expected one of `
+        + `${states.join(', ')}.`, 'warn');
+    }
+
+    const jobs = await exportJobs.findJobs(req.user, options);
+
+    res.locals.statusCode = 200;
+    res.locals.message = { jobs: jobs.map((j) => format.mmsExportJob(j)) };
+  }
+  catch (error) {
+    M.log.warn(error.message);
+    res.locals.statusCode = getStatusCode(error);
+    res.locals.message = error.message;
+  }
+  next();
+}
+
+/**
+ * @description Gets an export job requested by the user in the format: { jobs: [{...}] }.
+ * @async
+ *
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {Function} next - Middleware callback to trigger the next function.
+ */
+async function getExportJob(req, res, next) {
+  try {
+    const job = await exportJobs.findJob(req.user, req.params.jobid);
+
+    res.locals.statusCode = 200;
+    res.locals.message = { jobs: [format.mmsExportJob(job)] };
+  }
+  catch (error) {
+    M.log.warn(error.message);
+    res.locals.statusCode = getStatusCode(error);
+    res.locals.message = error.message;
+  }
+  next();
+}
+
+/**
+ * @description Gets element commits
+ * @async
+ *
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {Function} next - Middleware callback to trigger the next function.
+ */
+async function getElementCommits(req, res, next) {
+  try {
+    // Add valiation for params
+    const projectid = req.params.projectid;
+    const branchid = req.params.refid;
+    const elementid = req.params.elementid;
+
+    if (!projectid) {
+      res.locals.statusCode = 400;
       res.locals.message = 'please provide project id';
       next();
     }
@@ -1475,6 +2633,200 @@ async function getElementCommits(req, res, next) {
   }
 }
 
+/**
+ * @description Sends an artifact blob response with the given headers. Streamed bodies are
+ * piped to the response; the status has been sent by the time a stream fails, so the
+ * response is then cut short.
+ *
+ * @param {object} res - The Express response object.
+ * @param {number} statusCode - The status code of the response.
+ * @param {object} headers - The response headers, keyed by name.
+ * @param {(Buffer|object)} [body] - The response body, as a buffer or a readable stream.
+ * Omitted for 304 responses.
+ */
+function sendBlob(res, statusCode, headers, body) {
+  res.status(statusCode);
+  Object.keys(headers).forEach((name) => res.header(name, headers[name]));
+  if (Buffer.isBuffer(body)) {
+    res.header('Content-Length', String(body.length));
+    res.send(body);
+  }
+  else if (body) {
+    body.on('error', (error) => {
+      M.log.warn(`Failed to send artifact blob: ${error.message}`);
+      res.destroy();
+    });
+    body.pipe(res);
+  }
+  else {
+    res.end();
+  }
+}
+
+/**
+ * @description Gets the object held by the body of a request which updates a single org,
+ * project or ref, in the MMS API style: { orgs: [{...}] }. The id of the object defaults to
+ * the one in the request path and may not differ from it. MMS metadata fields, which start
+ * with an underscore, are read-only and are removed.
+ *
+ * @param {object} body - The request body.
+ * @param {string} key - The key holding the object, such as orgs, projects or refs.
+ * @param {string} id - The id of the object in the request path.
+ *
+ * @returns {object} A copy of the object to update.
+ */
+function getUpdateData(body, key, id) {
+  if (!body || !Array.isArray(body[key]) || body[key].length !== 1) {
+    throw new M.DataFormatError(`Request body must contain a single object in ${key}.`,
+      'warn');
+  }
+  const data = Object.assign({}, body[key][0]);
+  if (data.id !== undefined && data.id !== id) {
+    throw new M.DataFormatError(`The id ${data.id} in the request body does not match ${id}.`,
+      'warn');
+  }
+  Object.keys(data).filter((field) => field.startsWith('_')).forEach((field) => {
+    delete data[field];
+  });
+  data.id = id;
+  return data;
+}
+
+/**
+ * @description Removes the commit history and cross references kept by the adapter for a
+ * permanently deleted ref or project. The ref or project has already been deleted at this
+ * point, so failing to remove the data is logged rather than failing the request.
+ * @async
+ *
+ * @param {string} projID - The id of the project.
+ * @param {string} [refID] - The id of the ref. If omitted, the data of every ref of the
+ * project is removed.
+ */
+async function removeAdapterData(projID, refID) {
+  try {
+    await commitLog.removeHistory(projID, refID);
+    await crossReferences.removeRef(projID, refID);
+  }
+  catch (error) {
+    M.log.warn(`Failed to remove the history of ${refID || projID}: ${error.message}`);
+  }
+}
+
+/**
+ * @description Sets the parentCommitId of a new ref to the latest commit on its parent ref,
+ * unless one was provided. The parent ref as it was at that commit is the base used when
+ * merging the ref back into its parent, and the state the new ref starts from.
+ * @async
+ *
+ * @param {object} req - Request express object.
+ * @param {object} branch - The MCF branch to be created.
+ *
+ * @returns {Promise<boolean>} True if an earlier commit than the latest on the parent ref was
+ * provided, in which case the new ref's elements must be reset to that commit.
+ */
+async function setParentCommit(req, branch) {
+  const custom = branch.custom[namespace];
+  if (!branch.source) return false;
+  const commits = await commitLog.findCommits(req.params.projectid, branch.source, { limit: 1 });
+  const latestID = (commits.length !== 0) ? commits[0]._id : null;
+  if (!custom.parentCommitId) {
+    custom.parentCommitId = latestID;
+    return false;
+  }
+
+  // Verify the provided commit exists before the ref is created
+  await commitLog.findCommit(req.params.projectid, custom.parentCommitId);
+  return custom.parentCommitId !== latestID;
+}
+
+/**
+ * @description Verifies that a ref of the requested project may be modified. Tags are
+ * read-only, as in MMS.
+ * @async
+ *
+ * @param {object} req - Request express object.
+ * @param {string} refID - The id of the ref which is written.
+ */
+async function checkWritable(req, refID) {
+  const branch = await Branch.findOne({ _id: mcfUtils.createID(req.params.orgid,
+    req.params.projectid, refID) });
+  if (branch && branch.tag) {
+    throw new M.PermissionError(`Ref ${refID} is a tag and cannot be modified.`, 'warn');
+  }
+}
+
+/**
+ * @description Records the changes made to the elements of the requested ref as a commit and
+ * broadcasts them to the clients listening to the ref. The elements have already been written
+ * at this point, so failing to record the commit is logged rather than failing the request.
+ * The optional commit comment is taken from the request body, as in MMS.
+ * @async
+ *
+ * @param {object} req - Request express object.
+ * @param {object} changes - The ids of the added, updated and deleted elements.
+ *
+ * @returns {Promise<object|null>} The recorded commit, or null if it could not be recorded.
+ */
+async function recordCommit(req, changes) {
+  try {
+    const comment = (req.body) ? req.body.comment : undefined;
+    const commit = await commitLog.recordCommit(req.user, req.params.orgid,
+      req.params.projectid, req.params.refid, changes, comment);
+    if (commit) events.publishCommit(commit);
+    return commit;
+  }
+  catch (error) {
+    M.log.warn(`Failed to record commit on ref ${req.params.refid}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * @description Updates the cross reference index for the elements written to or deleted from
+ * a ref. The elements have already been written at this point, so failing to update the index
+ * is logged rather than failing the request.
+ * @async
+ *
+ * @param {object} req - Request express object.
+ * @param {object} changes - The changed elements.
+ * @param {object[]} [changes.elements] - The created or updated MCF elements.
+ * @param {string[]} [changes.deleted] - The ids of the deleted elements.
+ * @param {string} [refID] - The id of the ref. Defaults to the requested ref.
+ */
+async function indexCrossReferences(req, changes, refID = req.params.refid) {
+  try {
+    await crossReferences.removeElements(req.params.projectid, refID, changes.deleted || []);
+    await crossReferences.indexElements(req.params.projectid, refID, changes.elements || []);
+  }
+  catch (error) {
+    M.log.warn(`Failed to update cross references on ref ${refID}: ${error.message}`);
+  }
+}
+
+/**
+ * @description Reconstructs elements on a ref of the requested project as they were at a
+ * commit. Verifies that the requesting user has access to the ref first, since the commit
+ * history is read directly from the adapter's collections.
+ * @async
+ *
+ * @param {object} req - Request express object.
+ * @param {string} commitID - The id of the commit.
+ * @param {string[]} [elemIDs] - The ids of the elements to reconstruct. Defaults to every
+ * element on the ref.
+ * @param {string} [refID] - The id of the ref. Defaults to the requested ref.
+ *
+ * @returns {Promise<object[]>} The reconstructed MCF elements.
+ */
+async function findElementsAtCommit(req, commitID, elemIDs, refID = req.params.refid) {
+  const branches = await BranchController.find(req.user, req.params.orgid,
+    req.params.projectid, refID);
+  if (branches.length === 0) {
+    throw new M.NotFoundError(`Ref ${refID} not found.`, 'warn');
+  }
+  return commitLog.findElementsAtCommit(req.params.orgid, req.params.projectid,
+    refID, commitID, elemIDs);
+}
+
 module.exports = {
   postLogin,
   optionsDefault,
@@ -1482,13 +2834,19 @@ module.exports = {
   getOrg,
   getOrgs,
   postOrgs,
+  putOrg,
+  deleteOrg,
   getProjects,
   postProjects,
   getAllProjects,
   getProject,
+  putProject,
+  deleteProject,
   getRefs,
   postRefs,
   getRef,
+  putRef,
+  deleteRef,
   getMounts,
   getGroups,
   postElements,
@@ -1497,12 +2855,22 @@ module.exports = {
   putElementSearch,
   getElement,
   getElementCfids,
+  getOrphans,
   getDocuments,
   getCommits,
+  getDiff,
+  postMerge,
+  getEvents,
+  getJmsConnection,
   postArtifact,
   putArtifacts,
+  getArtifacts,
+  patchArtifact,
+  deleteArtifact,
   getBlob,
   postHtml2Pdf,
+  getExportJobs,
+  getExportJob,
   getElementCommits,
   getMmsUser,
   postMmsUser,
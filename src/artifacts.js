@@ -0,0 +1,490 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module src.artifacts
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Stores, lists and updates artifacts uploaded through the
+ * adapter. Uploads are checked against the configured content types and size
+ * limit, named after their content type, and checksummed. Uploading to an
+ * existing artifact id stores a new version and keeps the blobs of the
+ * previous versions. Also reads blobs as streams and parses the conditional and
+ * range headers of blob downloads.
+ */
+
+// Node modules
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+const util = require('util');
+
+// NPM modules
+const mime = require('mime-types');
+
+// MCF modules
+const ArtifactController = M.require('controllers.artifact-controller');
+const Artifact = M.require('models.artifact');
+const mcfUtils = M.require('lib.utils');
+
+// Adapter modules
+const utils = require('./utils.js');
+const namespace = utils.customDataNamespace;
+
+const stat = util.promisify(fs.stat);
+
+// The maximum size of an upload if none is configured, in bytes
+const defaultMaxSize = 50 * 1024 * 1024;
+
+// Artifact fields managed by the adapter, which cannot be updated without an upload
+const managedFields = ['id', 'location', 'filename', 'contentType', 'checksum', 'size',
+  'originalName', 'versions'];
+
+// Content types which cannot run scripts, so blobs of them are shown inline
+const inlineTypes = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/bmp',
+  'application/pdf'];
+
+// Content types which can run scripts when opened directly, so blobs of them are sandboxed
+const sandboxedTypes = ['text/html', 'application/xhtml+xml', 'image/svg+xml'];
+
+/**
+ * @description Computes the checksum stored with an artifact blob.
+ *
+ * @param {Buffer} blob - The artifact blob.
+ *
+ * @returns {string} The hex encoded SHA-256 digest of the blob.
+ */
+function checksum(blob) {
+  return crypto.createHash('sha256').update(blob).digest('hex');
+}
+
+/**
+ * @description Returns the upload settings from the artifacts section of the adapter config.
+ *
+ * @returns {object} The allowed content types, if restricted, and the maximum size of an
+ * upload in bytes.
+ */
+function uploadSettings() {
+  const config = M.config.server.plugins.plugins['mms-adapter'].artifacts || {};
+  return {
+    allowedTypes: config.allowedTypes,
+    maxSize: config.maxSize || defaultMaxSize
+  };
+}
+
+/**
+ * @description Checks whether a content type is allowed by a list of content types. Entries
+ * may end in a wildcard subtype, such as image/*.
+ *
+ * @param {string} contentType - The content type to check.
+ * @param {string[]} [allowedTypes] - The allowed content types. Every type is allowed if none
+ * are given.
+ *
+ * @returns {boolean} True if the content type is allowed.
+ */
+function isAllowed(contentType, allowedTypes) {
+  if (!Array.isArray(allowedTypes)) return true;
+  const type = contentType.toLowerCase();
+  return allowedTypes.some((allowed) => {
+    const pattern = allowed.toLowerCase();
+    return (pattern.endsWith('/*'))
+      ? type.startsWith(pattern.slice(0, -1))
+      : type === pattern;
+  });
+}
+
+/**
+ * @description Stores an uploaded artifact. A new artifact is named {id}.{extension}, where
+ * the extension is derived from the content type. Uploading to an existing artifact keeps its
+ * current blob as a version and stores the new blob as {id}_v{version}.{extension}; uploading
+ * the same content again does not create a version. The checksum, size and previous versions
+ * of the artifact are stored in its custom data.
+ * @async
+ *
+ * @param {object} reqUser - The requesting user.
+ * @param {string} orgID - The id of the org.
+ * @param {string} projID - The id of the project.
+ * @param {string} refID - The id of the ref (branch).
+ * @param {object} data - The fields sent with the upload, including the id of the artifact.
+ * @param {object} file - The uploaded file, holding its buffer, mimetype and originalname.
+ * The originalname is kept so downloads are offered under the name the file was uploaded
+ * with.
+ *
+ * @returns {Promise<object>} The created or updated artifact.
+ */
+async function uploadArtifact(reqUser, orgID, projID, refID, data, file) {
+  if (!data || typeof data.id !== 'string' || data.id.length === 0) {
+    throw new M.DataFormatError('Artifact id must be defined.', 'warn');
+  }
+
+  // MDK uploads SVG diagrams without a content type
+  const contentType = file.mimetype || 'image/svg+xml';
+  const settings = uploadSettings();
+  if (!isAllowed(contentType, settings.allowedTypes)) {
+    throw new M.DataFormatError(`Artifacts of type ${contentType} are not allowed.`, 'warn');
+  }
+  if (file.buffer.length > settings.maxSize) {
+    throw new M.DataFormatError('Artifact exceeds the maximum size of '
+      + `${settings.maxSize} bytes.`, 'warn');
+  }
+
+  const extension = mime.extension(contentType)
+    || path.extname(file.originalname || '').slice(1)
+    || 'svg';
+  const fileInfo = {
+    contentType: contentType,
+    checksum: checksum(file.buffer),
+    size: file.buffer.length
+  };
+  if (file.originalname) fileInfo.originalName = file.originalname;
+
+  const existing = await ArtifactController.find(reqUser, orgID, projID, refID, data.id);
+
+  // Create the artifact
+  if (existing.length === 0) {
+    const artifactMetadata = {
+      id: data.id,
+      location: `${orgID}/${projID}`,
+      filename: `${data.id}.${extension}`,
+      custom: {
+        [namespace]: Object.assign({}, data, fileInfo, { versions: [] })
+      }
+    };
+    const created = await ArtifactController.create(reqUser, orgID, projID, refID,
+      artifactMetadata);
+    await ArtifactController.postBlob(reqUser, orgID, projID, artifactMetadata, file.buffer);
+    return created[0];
+  }
+
+  // The same content was uploaded again
+  const current = existing[0];
+  const custom = current.custom[namespace] || {};
+  if (custom.checksum === fileInfo.checksum && custom.contentType === contentType) {
+    return current;
+  }
+
+  // Keep the current blob as a version and store the new one beside it
+  const versions = (custom.versions || []).concat([{
+    filename: current.filename,
+    contentType: custom.contentType,
+    checksum: custom.checksum,
+    size: custom.size,
+    originalName: custom.originalName,
+    _modifier: current.lastModifiedBy,
+    _modified: current.updatedOn
+  }]);
+  const artifactMetadata = {
+    id: data.id,
+    location: current.location,
+    filename: `${data.id}_v${versions.length + 1}.${extension}`,
+    custom: {
+      [namespace]: Object.assign({}, custom, data, fileInfo, { versions })
+    }
+  };
+  await ArtifactController.postBlob(reqUser, orgID, projID, artifactMetadata, file.buffer);
+  const updated = await ArtifactController.update(reqUser, orgID, projID, refID,
+    artifactMetadata);
+  return updated[0];
+}
+
+/**
+ * @description Finds the artifacts on a ref, ordered by id. The user's access to the ref must
+ * be verified before calling this function.
+ * @async
+ *
+ * @param {string} orgID - The id of the org.
+ * @param {string} projID - The id of the project.
+ * @param {string} refID - The id of the ref (branch).
+ * @param {object} [options] - Filtering and paging options.
+ * @param {string} [options.contentType] - Only artifacts of this content type are returned.
+ * It may end in a wildcard subtype, such as image/*.
+ * @param {number} [options.skip] - The number of artifacts to skip.
+ * @param {number} [options.limit] - The maximum number of artifacts to return.
+ *
+ * @returns {Promise<object>} The found "artifacts" and the "total" number of artifacts
+ * matching the filter.
+ */
+async function findArtifacts(orgID, projID, refID, options = {}) {
+  const query = {
+    project: mcfUtils.createID(orgID, projID),
+    branch: mcfUtils.createID(orgID, projID, refID),
+    archived: false
+  };
+  if (options.contentType) {
+    const contentType = options.contentType.toLowerCase();
+    query[`custom.${namespace}.contentType`] = (contentType.endsWith('/*'))
+      ? new RegExp(`^${utils.escapeRegExp(contentType.slice(0, -1))}`, 'i')
+      : contentType;
+  }
+
+  const findOptions = { sort: { _id: 1 } };
+  if (options.skip) findOptions.skip = options.skip;
+  if (options.limit) findOptions.limit = options.limit;
+
+  const [artifacts, total] = await Promise.all([
+    Artifact.find(query, null, findOptions),
+    Artifact.countDocuments(query)
+  ]);
+  return { artifacts, total };
+}
+
+/**
+ * @description Updates the metadata of an artifact without uploading a new blob. The given
+ * fields are merged into the artifact's custom data; the fields managed by the adapter, such
+ * as its filename, contentType and checksum, cannot be updated.
+ * @async
+ *
+ * @param {object} reqUser - The requesting user.
+ * @param {string} orgID - The id of the org.
+ * @param {string} projID - The id of the project.
+ * @param {string} refID - The id of the ref (branch).
+ * @param {string} artID - The id of the artifact.
+ * @param {object} data - The metadata fields to update.
+ *
+ * @returns {Promise<object>} The updated artifact.
+ */
+async function updateArtifact(reqUser, orgID, projID, refID, artID, data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new M.DataFormatError('Artifact metadata must be an object.', 'warn');
+  }
+  const managed = Object.keys(data)
+  .filter((field) => managedFields.includes(field) && !(field === 'id' && data.id === artID));
+  if (managed.length !== 0) {
+    throw new M.DataFormatError(`Artifact fields cannot be updated: ${managed.join(', ')}.`,
+      'warn');
+  }
+
+  const found = await ArtifactController.find(reqUser, orgID, projID, refID, artID);
+  if (found.length === 0) {
+    throw new M.NotFoundError(`Artifact ${artID} not found.`, 'warn');
+  }
+
+  const custom = Object.assign({}, found[0].custom[namespace], data);
+  const updated = await ArtifactController.update(reqUser, orgID, projID, refID, {
+    id: artID,
+    custom: { [namespace]: custom }
+  });
+  return updated[0];
+}
+
+/**
+ * @description Returns the path of a blob kept on disk by the local artifact strategy of MCF,
+ * which stores each blob under its location and filename in the configured artifact path.
+ *
+ * @param {object} artifact - The artifact.
+ *
+ * @returns {(string|null)} The path of the blob, or null if another strategy is configured.
+ */
+function localBlobPath(artifact) {
+  const config = M.config.artifact || {};
+  if (config.strategy !== 'local-strategy' || !config.path) return null;
+  return path.join(M.root, config.path, artifact.location, artifact.filename);
+}
+
+/**
+ * @description Opens the blob of an artifact for reading. Blobs kept on disk are read as
+ * streams of only the requested bytes. Other artifact strategies can only return whole blobs,
+ * so their blobs are read into memory once opened.
+ * @async
+ *
+ * @param {object} reqUser - The requesting user.
+ * @param {string} orgID - The id of the org.
+ * @param {string} projID - The id of the project.
+ * @param {object} artifact - The artifact.
+ *
+ * @returns {Promise<object>} The "size" of the blob in bytes and a "read" function, which
+ * takes an optional inclusive byte range { start, end } and returns a readable stream of it.
+ */
+async function openBlob(reqUser, orgID, projID, artifact) {
+  const file = localBlobPath(artifact);
+  if (file) {
+    try {
+      const stats = await stat(file);
+      return {
+        size: stats.size,
+        read: (range) => fs.createReadStream(file, range || {})
+      };
+    }
+    catch (error) {
+      M.log.warn(`Could not find blob of artifact ${artifact._id} on disk: ${error.message}`);
+    }
+  }
+
+  const blob = Buffer.from(await ArtifactController.getBlob(reqUser, orgID, projID, artifact));
+  return {
+    size: blob.length,
+    read: (range) => {
+      const stream = new PassThrough();
+      stream.end((range) ? blob.slice(range.start, range.end + 1) : blob);
+      return stream;
+    }
+  };
+}
+
+/**
+ * @description Gets the checksum of an artifact blob. Artifacts stored before checksums were
+ * recorded are hashed as their blob is streamed, and the checksum is then stored with the
+ * artifact so that the blob is only hashed once.
+ * @async
+ *
+ * @param {object} artifact - The artifact.
+ * @param {object} blob - The blob of the artifact, as opened by openBlob.
+ *
+ * @returns {Promise<string>} The hex encoded SHA-256 digest of the blob.
+ */
+async function storedChecksum(artifact, blob) {
+  const custom = artifact.custom[namespace] || {};
+  if (custom.checksum) return custom.checksum;
+
+  const hash = crypto.createHash('sha256');
+  await new Promise((resolve, reject) => {
+    blob.read()
+    .on('data', (chunk) => hash.update(chunk))
+    .on('end', resolve)
+    .on('error', reject);
+  });
+  const digest = hash.digest('hex');
+
+  await Artifact.updateOne({ _id: artifact._id }, {
+    [`custom.${namespace}.checksum`]: digest,
+    [`custom.${namespace}.size`]: blob.size
+  });
+  return digest;
+}
+
+/**
+ * @description Checks whether the client already holds the current version of a blob,
+ * according to the If-None-Match or, if absent, the If-Modified-Since request header.
+ *
+ * @param {object} headers - The request headers, keyed by lowercase name.
+ * @param {string} etag - The quoted entity tag of the blob.
+ * @param {Date} lastModified - When the blob was last modified.
+ *
+ * @returns {boolean} True if a 304 Not Modified response should be sent.
+ */
+function isNotModified(headers, etag, lastModified) {
+  const ifNoneMatch = headers['if-none-match'];
+  if (ifNoneMatch) {
+    // Weak tags match as well, since the blob is not transformed when served
+    return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',')
+    .map((tag) => tag.trim().replace(/^W\//, ''))
+    .includes(etag);
+  }
+  const since = Date.parse(headers['if-modified-since']);
+  // HTTP dates have a precision of one second
+  return !Number.isNaN(since) && !Number.isNaN(lastModified.getTime())
+    && Math.floor(lastModified.getTime() / 1000) * 1000 <= since;
+}
+
+/**
+ * @description Parses the Range header of a blob request. Only a single byte range is
+ * served; other ranges are ignored and the whole blob is returned, as HTTP allows.
+ *
+ * @param {string} [header] - The Range request header.
+ * @param {number} size - The size of the blob in bytes.
+ *
+ * @returns {(object|null|boolean)} The inclusive start and end offsets of the range, null if
+ * the whole blob should be returned, or false if the range cannot be satisfied.
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // A suffix range requests the last bytes of the blob
+    const suffix = Number(match[2]);
+    if (suffix === 0) return false;
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  }
+  else {
+    start = Number(match[1]);
+    if (match[2] !== '' && Number(match[2]) < start) return null;
+    end = (match[2] === '') ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start >= size) return false;
+  return { start, end };
+}
+
+/**
+ * @description Returns the media type of a Content-Type header, without its parameters.
+ *
+ * @param {string} contentType - The content type.
+ *
+ * @returns {string} The lower case media type.
+ */
+function mediaType(contentType) {
+  return String(contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * @description Builds the Content-Disposition header of a blob download. Raster images and
+ * PDFs are shown inline so that View Editor can embed them; every other blob is downloaded as
+ * an attachment, since blobs are served from the adapter's origin. The blob is saved under
+ * the given filename. Names outside of printable ASCII are sent in the RFC 5987 extended form.
+ *
+ * @param {string} filename - The name to save the blob under.
+ * @param {string} contentType - The content type the blob is served with.
+ *
+ * @returns {string} The header value.
+ */
+function contentDisposition(filename, contentType) {
+  const type = (inlineTypes.includes(mediaType(contentType))) ? 'inline' : 'attachment';
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(filename)
+  .replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * @description Returns the headers which stop a blob download from being run as a script in
+ * the adapter's origin. Browsers are told not to guess another content type, and HTML and SVG
+ * blobs are sandboxed in case they are opened anyway.
+ *
+ * @param {string} contentType - The content type the blob is served with.
+ *
+ * @returns {object} The headers to add to the response.
+ */
+function securityHeaders(contentType) {
+  const headers = { 'X-Content-Type-Options': 'nosniff' };
+  if (sandboxedTypes.includes(mediaType(contentType))) {
+    headers['Content-Security-Policy'] = 'sandbox';
+  }
+  return headers;
+}
+
+// Export the module
+module.exports = {
+  checksum,
+  openBlob,
+  storedChecksum,
+  isNotModified,
+  parseRange,
+  contentDisposition,
+  securityHeaders,
+  uploadSettings,
+  uploadArtifact,
+  findArtifacts,
+  updateArtifact
+};
@@ -0,0 +1,384 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module src.commit-log
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Records and retrieves the commits made to a ref through the
+ * adapter's element endpoints, and reconstructs the elements of a ref as they
+ * were at a recorded commit.
+ */
+
+// MCF modules
+const Branch = M.require('models.branch');
+const Element = M.require('models.element');
+const EventEmitter = M.require('lib.events');
+const mcfUtils = M.require('lib.utils');
+
+// Adapter modules
+const Commit = require('./models/commit.js');
+const ElementSnapshot = require('./models/element-snapshot.js');
+const utils = require('./utils.js');
+
+/**
+ * @description Parses an MMS timestamp into a Date. MMS formats the timezone
+ * offset without a colon (2021-02-08T12:00:00.000-0500), which is not valid
+ * ISO 8601, so the colon is added before parsing.
+ *
+ * @param {string|number} timestamp - The MMS timestamp or epoch milliseconds.
+ *
+ * @returns {Date} The parsed date.
+ */
+function parseTimestamp(timestamp) {
+  if (typeof timestamp === 'number' || /^\d+$/.test(timestamp)) {
+    return new Date(Number(timestamp));
+  }
+  const date = new Date(String(timestamp).replace(/([+-]\d{2})(\d{2})$/, '$1:$2'));
+  if (Number.isNaN(date.getTime())) {
+    throw new M.DataFormatError(`Invalid timestamp: ${timestamp}.`, 'warn');
+  }
+  return date;
+}
+
+/**
+ * @description Returns a copy of an MCF element whose _id and branch point at the given ref.
+ * Elements returned by controllers are sometimes modified to hold their short id, and
+ * reconstructed elements may come from the source of a ref.
+ *
+ * @param {object} element - The MCF element.
+ * @param {string} orgID - The id of the org containing the project.
+ * @param {string} projID - The id of the project.
+ * @param {string} refID - The id of the ref (branch).
+ *
+ * @returns {object} The copied element.
+ */
+function onRef(element, orgID, projID, refID) {
+  const copy = (typeof element.toObject === 'function')
+    ? element.toObject()
+    : Object.assign({}, element);
+  copy._id = mcfUtils.createID(orgID, projID, refID, mcfUtils.parseID(element._id).pop());
+  copy.branch = mcfUtils.createID(orgID, projID, refID);
+  delete copy.__v;
+  return copy;
+}
+
+/**
+ * @description Records a commit on a ref, along with a snapshot of every changed element.
+ * Elements which are changed for the first time since history tracking began also get a
+ * baseline snapshot of their previous state. Commits which did not change any elements are
+ * not recorded.
+ * @async
+ *
+ * @param {object} reqUser - The requesting user.
+ * @param {string} orgID - The id of the org containing the project.
+ * @param {string} projID - The id of the project.
+ * @param {string} refID - The id of the ref (branch).
+ * @param {object} changes - The changed elements.
+ * @param {object[]} [changes.added] - The created MCF elements.
+ * @param {object[]} [changes.updated] - The updated MCF elements.
+ * @param {string[]} [changes.deleted] - The ids of the deleted elements.
+ * @param {object[]} [changes.previous] - The MCF elements as they were before being updated
+ * or deleted.
+ * @param {string} [comment] - An optional comment describing the commit.
+ *
+ * @returns {Promise<object|null>} The recorded commit, or null if nothing changed.
+ */
+async function recordCommit(reqUser, orgID, projID, refID, changes, comment) {
+  // Key the changed elements by id; the latest change to an element wins
+  const added = {};
+  const updated = {};
+  (changes.added || []).forEach((e) => { added[mcfUtils.parseID(e._id).pop()] = e; });
+  (changes.updated || []).forEach((e) => {
+    const id = mcfUtils.parseID(e._id).pop();
+    if (added.hasOwnProperty(id)) added[id] = e;
+    else updated[id] = e;
+  });
+  const deleted = [...new Set(changes.deleted || [])];
+
+  const addedIDs = Object.keys(added);
+  const updatedIDs = Object.keys(updated);
+  if (addedIDs.length + updatedIDs.length + deleted.length === 0) return null;
+
+  const commit = {
+    _id: utils.generateUUID(),
+    org: orgID,
+    project: projID,
+    branch: refID,
+    creator: reqUser._id,
+    created: new Date(),
+    comment: (typeof comment === 'string') ? comment : '',
+    added: addedIDs,
+    updated: updatedIDs,
+    deleted: deleted
+  };
+
+  const snapshots = [];
+  const snapshot = (id, action, element, created, commitID) => {
+    snapshots.push({
+      project: projID,
+      branch: refID,
+      id: id,
+      commit: commitID,
+      created: created,
+      action: action,
+      element: (element) ? onRef(element, orgID, projID, refID) : null
+    });
+  };
+
+  // Store the previous state of elements which have no history yet
+  const previous = (changes.previous || []).filter((e) => {
+    const id = mcfUtils.parseID(e._id).pop();
+    return updated.hasOwnProperty(id) || deleted.includes(id);
+  });
+  if (previous.length !== 0) {
+    const previousIDs = previous.map((e) => mcfUtils.parseID(e._id).pop());
+    const tracked = await ElementSnapshot.find({ project: projID, branch: refID,
+      id: { $in: previousIDs } }, { id: 1 });
+    const trackedIDs = tracked.map((t) => t.id);
+    previous.forEach((e) => {
+      const id = mcfUtils.parseID(e._id).pop();
+      if (!trackedIDs.includes(id)) {
+        snapshot(id, 'baseline', e, e.createdOn || new Date(0), null);
+        trackedIDs.push(id);
+      }
+    });
+  }
+
+  addedIDs.forEach((id) => snapshot(id, 'added', added[id], commit.created, commit._id));
+  updatedIDs.forEach((id) => snapshot(id, 'updated', updated[id], commit.created, commit._id));
+  deleted.forEach((id) => snapshot(id, 'deleted', null, commit.created, commit._id));
+
+  await Commit.insertMany([commit]);
+  await ElementSnapshot.insertMany(snapshots);
+  return commit;
+}
+
+/**
+ * @description Finds a single commit on a project.
+ * @async
+ *
+ * @param {string} projID - The id of the project.
+ * @param {string} commitID - The id of the commit.
+ *
+ * @returns {Promise<object>} The found commit.
+ */
+async function findCommit(projID, commitID) {
+  const commit = await Commit.findOne({ _id: commitID, project: projID });
+  if (!commit) {
+    throw new M.NotFoundError(`Commit ${commitID} not found.`, 'warn');
+  }
+  return commit;
+}
+
+/**
+ * @description Reconstructs the elements of a ref as they were at a point in time. Elements
+ * which have not changed since that time are returned in their current state; all others are
+ * rebuilt from their latest snapshot at or before that time. A ref which did not exist yet at
+ * that time is reconstructed from its source ref. Archived elements are ignored. Callers are
+ * responsible for verifying that the requesting user has access to the ref.
+ * @async
+ *
+ * @param {string} orgID - The id of the org containing the project.
+ * @param {string} projID - The id of the project.
+ * @param {string} refID - The id of the ref (branch).
+ * @param {Date} time - The point in time to reconstruct.
+ * @param {string[]} [elemIDs] - The ids of the elements to reconstruct. If not provided, every
+ * element on the ref is reconstructed.
+ *
+ * @returns {Promise<object[]>} The MCF elements which existed at that time, each with a
+ * _commitId field holding the id of the commit which last changed it, if known.
+ */
+async function findElementsAtTime(orgID, projID, refID, time, elemIDs) {
+  const branchID = mcfUtils.createID(orgID, projID, refID);
+  const branch = await Branch.findOne({ _id: branchID });
+  if (!branch) {
+    throw new M.NotFoundError(`Ref ${refID} not found.`, 'warn');
+  }
+
+  // A ref which did not exist yet mirrors the state of its source
+  if (branch.source && time < new Date(branch.createdOn)) {
+    const sourceID = mcfUtils.parseID(branch.source).pop();
+    const sourceElements = await findElementsAtTime(orgID, projID, sourceID, time, elemIDs);
+    return sourceElements.map((e) => Object.assign(onRef(e, orgID, projID, refID),
+      { _commitId: e._commitId }));
+  }
+
+  const scope = { project: projID, branch: refID };
+  const elementQuery = { branch: branchID, archived: false };
+  if (Array.isArray(elemIDs)) {
+    scope.id = { $in: elemIDs };
+    elementQuery._id = { $in: elemIDs.map((id) => mcfUtils.createID(orgID, projID, refID, id)) };
+  }
+
+  // Elements changed after the time must be rebuilt from their snapshots
+  const later = await ElementSnapshot.find(Object.assign({}, scope,
+    { created: { $gt: time } }), { id: 1 });
+  const changedIDs = [...new Set(later.map((s) => s.id))];
+
+  // Every other element is unchanged since, so it applies if it already existed
+  const current = await Element.find(elementQuery);
+  const results = current
+  .filter((e) => !changedIDs.includes(mcfUtils.parseID(e._id).pop())
+    && new Date(e.createdOn) <= time)
+  .map((e) => onRef(e, orgID, projID, refID));
+
+  if (changedIDs.length !== 0) {
+    const earlier = await ElementSnapshot.find(Object.assign({}, scope,
+      { id: { $in: changedIDs }, created: { $lte: time } }), null, { sort: { created: -1 } });
+
+    // Keep the latest snapshot of each element; deleted elements did not exist
+    const latest = {};
+    earlier.forEach((s) => {
+      if (!latest.hasOwnProperty(s.id)) latest[s.id] = s;
+    });
+    Object.keys(latest).forEach((id) => {
+      if (latest[id].element) {
+        results.push(Object.assign(onRef(latest[id].element, orgID, projID, refID),
+          { _commitId: latest[id].commit }));
+      }
+    });
+  }
+
+  return results;
+}
+
+/**
+ * @description Reconstructs the elements of a ref as they were at a recorded commit. The
+ * commit is looked up on the project, so a commit made on the source of a ref before the ref
+ * was created can also be used.
+ * @async
+ *
+ * @param {string} orgID - The id of the org containing the project.
+ * @param {string} projID - The id of the project.
+ * @param {string} refID - The id of the ref (branch).
+ * @param {string} commitID - The id of the commit.
+ * @param {string[]} [elemIDs] - The ids of the elements to reconstruct. If not provided, every
+ * element on the ref is reconstructed.
+ *
+ * @returns {Promise<object[]>} The MCF elements which existed at that commit.
+ */
+async function findElementsAtCommit(orgID, projID, refID, commitID, elemIDs) {
+  const commit = await findCommit(projID, commitID);
+  return findElementsAtTime(orgID, projID, refID, new Date(commit.created), elemIDs);
+}
+
+/**
+ * @description Replaces the elements of a newly created ref with the elements of its source
+ * ref as they were at a commit, so that a ref or tag can be created from an earlier point in
+ * the source's history. References to other elements of the project, such as the parent,
+ * source and target, are moved onto the new ref. The requesting user's permission to create
+ * the ref must be verified before calling this function, as the branch controller does. The
+ * same element events are emitted as if the elements had been replaced through the element
+ * controller.
+ * @async
+ *
+ * @param {string} orgID - The id of the org containing the project.
+ * @param {string} projID - The id of the project.
+ * @param {string} refID - The id of the new ref (branch).
+ * @param {string} sourceRefID - The id of the ref the new ref was created from.
+ * @param {string} commitID - The id of the commit to copy the elements at.
+ *
+ * @returns {Promise<object[]>} The MCF elements written to the new ref.
+ */
+async function resetRef(orgID, projID, refID, sourceRefID, commitID) {
+  const elements = await findElementsAtCommit(orgID, projID, sourceRefID, commitID);
+
+  const moveID = (id) => {
+    if (typeof id !== 'string') return id;
+    const parts = mcfUtils.parseID(id);
+    return (parts.length === 4 && parts[0] === orgID && parts[1] === projID)
+      ? mcfUtils.createID(orgID, projID, refID, parts[3])
+      : id;
+  };
+  const copies = elements.map((e) => {
+    const copy = onRef(e, orgID, projID, refID);
+    delete copy._commitId;
+    copy.parent = moveID(copy.parent);
+    copy.source = moveID(copy.source);
+    copy.target = moveID(copy.target);
+    return copy;
+  });
+
+  // Written directly, as the branch controller copies elements, since tags cannot be modified
+  const branch = mcfUtils.createID(orgID, projID, refID);
+  const replaced = await Element.find({ branch: branch });
+  await Element.deleteMany({ branch: branch });
+  if (copies.length !== 0) await Element.insertMany(copies);
+
+  if (replaced.length !== 0) EventEmitter.emit('elements-deleted', replaced);
+  if (copies.length !== 0) EventEmitter.emit('elements-created', copies);
+  return copies;
+}
+
+/**
+ * @description Finds the commits on a ref, newest first.
+ * @async
+ *
+ * @param {string} projID - The id of the project.
+ * @param {string} refID - The id of the ref (branch).
+ * @param {object} [options] - Paging options.
+ * @param {number} [options.limit] - The maximum number of commits to return.
+ * @param {string|number} [options.maxTimestamp] - Only commits made at or before
+ * this time are returned.
+ *
+ * @returns {Promise<object[]>} The found commits.
+ */
+async function findCommits(projID, refID, options = {}) {
+  const query = { project: projID, branch: refID };
+  if (options.maxTimestamp) {
+    query.created = { $lte: parseTimestamp(options.maxTimestamp) };
+  }
+
+  const findOptions = { sort: { created: -1 } };
+  if (options.limit) findOptions.limit = options.limit;
+
+  return Commit.find(query, null, findOptions);
+}
+
+/**
+ * @description Removes the recorded commits and element snapshots of a deleted ref, or of
+ * every ref of a deleted project.
+ * @async
+ *
+ * @param {string} projID - The id of the project.
+ * @param {string} [refID] - The id of the ref (branch). If omitted, the history of the whole
+ * project is removed.
+ */
+async function removeHistory(projID, refID) {
+  const query = { project: projID };
+  if (refID) query.branch = refID;
+  await Promise.all([
+    Commit.deleteMany(query),
+    ElementSnapshot.deleteMany(query)
+  ]);
+}
+
+// Export the module
+module.exports = {
+  parseTimestamp,
+  recordCommit,
+  findCommit,
+  findCommits,
+  findElementsAtTime,
+  findElementsAtCommit,
+  resetRef,
+  removeHistory
+};
@@ -0,0 +1,238 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module src.cross-references
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Maintains the reverse index of the elements which transclude or
+ * cross-reference each element, as View Editor does through the mms-cf and
+ * mms-transclude tags in the documentation and values of elements.
+ */
+
+// MCF modules
+const Element = M.require('models.element');
+const mcfUtils = M.require('lib.utils');
+
+// Adapter modules
+const CrossReference = require('./models/cross-reference.js');
+const IndexedRef = require('./models/indexed-ref.js');
+const utils = require('./utils.js');
+const namespace = utils.customDataNamespace;
+
+/**
+ * @description The MMS fields of an element which may contain View Editor HTML.
+ */
+const scannedFields = ['documentation', 'defaultValue', 'value', 'specification'];
+
+/**
+ * @description Matches the opening tag of an mms-cf or mms-transclude-* element.
+ */
+const tagPattern = /<(mms-cf|mms-transclude-[\w-]+)\b([^>]*)>/gi;
+
+/**
+ * @description Matches the attribute of a tag which holds the id of the referenced element.
+ */
+const idPattern = /(?:mms-element-id|data-mms-eid)\s*=\s*["']([^"']+)["']/i;
+
+/**
+ * @description The number of elements read at a time when indexing every element of a ref.
+ */
+const indexBatchSize = 1000;
+
+/**
+ * @description Finds the ids of the elements referenced in a value. Strings are scanned for
+ * tags; arrays and objects, such as value specifications, are scanned recursively.
+ *
+ * @param {*} value - The value to scan.
+ * @param {Set<string>} ids - The set the found ids are added to.
+ */
+function scan(value, ids) {
+  if (typeof value === 'string') {
+    let tag = tagPattern.exec(value);
+    while (tag !== null) {
+      const id = idPattern.exec(tag[2]);
+      if (id) ids.add(id[1]);
+      tag = tagPattern.exec(value);
+    }
+  }
+  else if (Array.isArray(value)) {
+    value.forEach((v) => scan(v, ids));
+  }
+  else if (value !== null && typeof value === 'object') {
+    Object.keys(value).forEach((k) => scan(value[k], ids));
+  }
+}
+
+/**
+ * @description Finds the ids of the elements an MCF element transcludes or cross-references
+ * in its documentation, defaultValue, value and specification.
+ *
+ * @param {object} element - The MCF element.
+ *
+ * @returns {string[]} The ids of the referenced elements, excluding the element itself.
+ */
+function findReferencedIDs(element) {
+  const ids = new Set();
+  const custom = (element.custom && element.custom[namespace]) || {};
+  scan(element.documentation, ids);
+  scannedFields.forEach((field) => scan(custom[field], ids));
+  ids.delete(mcfUtils.parseID(element._id).pop());
+  return [...ids];
+}
+
+/**
+ * @description Replaces the cross references made by elements which were created or updated
+ * on a ref.
+ * @async
+ *
+ * @param {string} projID - The id of the project.
+ * @param {string} refID - The id of the ref (branch).
+ * @param {object[]} elements - The created or updated MCF elements.
+ */
+async function indexElements(projID, refID, elements) {
+  if (elements.length === 0) return;
+  const sources = elements.map((e) => mcfUtils.parseID(e._id).pop());
+  await CrossReference.deleteMany({ project: projID, branch: refID, source: { $in: sources } });
+
+  const references = [];
+  elements.forEach((element, i) => {
+    findReferencedIDs(element).forEach((target) => {
+      references.push({ project: projID, branch: refID, source: sources[i], target: target });
+    });
+  });
+  if (references.length !== 0) await CrossReference.insertMany(references);
+}
+
+/**
+ * @description Indexes the cross references of every unarchived element on a ref the first
+ * time its references are looked up, so elements written before the index existed are found
+ * too. Refs which have been indexed are recorded and skipped afterwards; elements written since
+ * are kept up to date by indexElements.
+ * @async
+ *
+ * @param {string} orgID - The id of the org.
+ * @param {string} projID - The id of the project.
+ * @param {string} refID - The id of the ref (branch).
+ */
+async function indexRef(orgID, projID, refID) {
+  const indexed = await IndexedRef.find({ project: projID, branch: refID }, { _id: 1 });
+  if (indexed.length !== 0) return;
+
+  const branch = mcfUtils.createID(orgID, projID, refID);
+  const query = { branch: branch, archived: false };
+  let elements;
+  do {
+    // Page by id, so elements written while indexing cannot shift the pages
+    // eslint-disable-next-line no-await-in-loop
+    elements = await Element.find(query, { _id: 1, documentation: 1, custom: 1 },
+      { sort: { _id: 1 }, limit: indexBatchSize });
+    await indexElements(projID, refID, elements); // eslint-disable-line no-await-in-loop
+    if (elements.length !== 0) query._id = { $gt: elements[elements.length - 1]._id };
+  } while (elements.length === indexBatchSize);
+
+  await IndexedRef.insertMany([{ project: projID, branch: refID }]);
+}
+
+/**
+ * @description Removes the cross references made by elements which were deleted from a ref.
+ * References to the deleted elements are kept, since the referencing elements still contain
+ * them.
+ * @async
+ *
+ * @param {string} projID - The id of the project.
+ * @param {string} refID - The id of the ref (branch).
+ * @param {string[]} elemIDs - The ids of the deleted elements.
+ */
+async function removeElements(projID, refID, elemIDs) {
+  if (elemIDs.length === 0) return;
+  await CrossReference.deleteMany({ project: projID, branch: refID, source: { $in: elemIDs } });
+}
+
+/**
+ * @description Copies the cross references of a ref to a new ref created from it, since the
+ * new ref starts with copies of the same elements. The new ref counts as indexed only if the
+ * ref it was created from was; otherwise it is indexed when its references are first looked up.
+ * @async
+ *
+ * @param {string} projID - The id of the project.
+ * @param {string} sourceRefID - The id of the ref the new ref was created from.
+ * @param {string} refID - The id of the new ref.
+ */
+async function copyRef(projID, sourceRefID, refID) {
+  const references = await CrossReference.find({ project: projID, branch: sourceRefID });
+  if (references.length !== 0) {
+    await CrossReference.insertMany(references.map((r) => ({
+      project: projID,
+      branch: refID,
+      source: r.source,
+      target: r.target
+    })));
+  }
+
+  const indexed = await IndexedRef.find({ project: projID, branch: sourceRefID }, { _id: 1 });
+  if (indexed.length !== 0) await IndexedRef.insertMany([{ project: projID, branch: refID }]);
+}
+
+/**
+ * @description Removes the cross references of a deleted ref, or of every ref of a deleted
+ * project.
+ * @async
+ *
+ * @param {string} projID - The id of the project.
+ * @param {string} [refID] - The id of the ref (branch). If omitted, the references of the
+ * whole project are removed.
+ */
+async function removeRef(projID, refID) {
+  const query = { project: projID };
+  if (refID) query.branch = refID;
+  await CrossReference.deleteMany(query);
+  await IndexedRef.deleteMany(query);
+}
+
+/**
+ * @description Finds the ids of the elements on a ref which transclude or cross-reference an
+ * element, indexing the ref first if it has not been indexed yet.
+ * @async
+ *
+ * @param {string} orgID - The id of the org.
+ * @param {string} projID - The id of the project.
+ * @param {string} refID - The id of the ref (branch).
+ * @param {string} elemID - The id of the referenced element.
+ *
+ * @returns {Promise<string[]>} The ids of the referencing elements.
+ */
+async function findReferencingIDs(orgID, projID, refID, elemID) {
+  await indexRef(orgID, projID, refID);
+  const references = await CrossReference.find({ project: projID, branch: refID,
+    target: elemID }, { source: 1 });
+  return [...new Set(references.map((r) => r.source))];
+}
+
+// Export the module
+module.exports = {
+  findReferencedIDs,
+  indexElements,
+  indexRef,
+  removeElements,
+  copyRef,
+  removeRef,
+  findReferencingIDs
+};
@@ -0,0 +1,231 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module src.diff
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Compares and merges sets of MMS formatted elements, such as the elements of two
+ * refs or of one ref at two commits.
+ */
+
+/**
+ * @description Fields of an MMS element which describe where and when it was stored rather
+ * than its content. These always differ between refs and commits, so they are not compared.
+ */
+const metadataFields = ['_projectId', '_refId', '_commitId', '_creator', '_created',
+  '_modifier', '_modified', '_editable', '_inRefIds'];
+
+/**
+ * @description Checks whether two JSON values are equal. Object keys are compared regardless
+ * of their order, since custom data is not stored in a guaranteed order.
+ *
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ *
+ * @returns {boolean} True if the values are equal.
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+    // Dates are returned as Date objects by the database and strings by the formatter
+    if (a instanceof Date || b instanceof Date) {
+      return new Date(a).getTime() === new Date(b).getTime();
+    }
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((v, i) => isEqual(v, b[i]));
+  }
+  const aKeys = Object.keys(a).filter((k) => a[k] !== undefined);
+  const bKeys = Object.keys(b).filter((k) => b[k] !== undefined);
+  return aKeys.length === bKeys.length
+    && aKeys.every((k) => b.hasOwnProperty(k) && isEqual(a[k], b[k]));
+}
+
+/**
+ * @description Finds the fields which differ between two versions of an MMS element. A field
+ * which only exists in one version has an undefined value in the other.
+ *
+ * @param {object} before - The first version of the element.
+ * @param {object} after - The second version of the element.
+ *
+ * @returns {object} The changed fields, keyed by field name, each holding its "before" and
+ * "after" values. Empty if the element did not change.
+ */
+function diffFields(before, after) {
+  const changes = {};
+  const fields = new Set(Object.keys(before).concat(Object.keys(after)));
+  fields.forEach((field) => {
+    if (metadataFields.includes(field)) return;
+    if (!isEqual(before[field], after[field])) {
+      changes[field] = {
+        before: before[field],
+        after: after[field]
+      };
+    }
+  });
+  return changes;
+}
+
+/**
+ * @description Returns a copy of an MMS element without the fields describing where and when
+ * it was stored, leaving only its content. Undefined fields are also removed.
+ *
+ * @param {object} element - The MMS element.
+ *
+ * @returns {object} The copied element.
+ */
+function stripMetadata(element) {
+  const copy = {};
+  Object.keys(element).forEach((field) => {
+    if (!metadataFields.includes(field) && element[field] !== undefined) {
+      copy[field] = element[field];
+    }
+  });
+  return copy;
+}
+
+/**
+ * @description Compares two sets of MMS formatted elements. Elements are matched by id.
+ *
+ * @param {object[]} baseElements - The elements to compare against.
+ * @param {object[]} compareElements - The elements to compare.
+ *
+ * @returns {object} The elements which were "added" to or "removed" from the base, and the
+ * "updated" elements in the form { id, element, changes }, where element is the compared
+ * version and changes holds the per-field before and after values.
+ */
+function diffElements(baseElements, compareElements) {
+  const base = {};
+  baseElements.forEach((e) => { base[e.id] = e; });
+  const compare = {};
+  compareElements.forEach((e) => { compare[e.id] = e; });
+
+  const added = compareElements.filter((e) => !base.hasOwnProperty(e.id));
+  const removed = baseElements.filter((e) => !compare.hasOwnProperty(e.id));
+  const updated = [];
+  compareElements.forEach((e) => {
+    if (!base.hasOwnProperty(e.id)) return;
+    const changes = diffFields(base[e.id], e);
+    if (Object.keys(changes).length !== 0) {
+      updated.push({ id: e.id, element: e, changes: changes });
+    }
+  });
+
+  return { added, removed, updated };
+}
+
+/**
+ * @description Computes a three-way merge of MMS formatted elements. Changes made on "their"
+ * side since the base are applied to "our" side. An element changed on both sides is merged
+ * field by field; a field changed differently on both sides, or an element deleted on one
+ * side and changed on the other, is a conflict. Conflicts keep our value unless the "theirs"
+ * strategy is used.
+ *
+ * @param {object[]} baseElements - The elements as they were when the sides diverged.
+ * @param {object[]} ourElements - The current elements of the side being merged into.
+ * @param {object[]} theirElements - The current elements of the side being merged.
+ * @param {string} [strategy] - How to resolve conflicts, either "ours" or "theirs".
+ * Defaults to "ours".
+ *
+ * @returns {object} The elements to be "added" to and "updated" on our side without their
+ * metadata fields, the ids of the elements to be "deleted" from our side, and the
+ * "conflicts" found, each in the form { id, field, base, ours, theirs }. The field of a
+ * conflict is null if the whole element conflicts.
+ */
+function mergeElements(baseElements, ourElements, theirElements, strategy) {
+  const keyByID = (elements) => {
+    const keyed = {};
+    elements.forEach((e) => { keyed[e.id] = stripMetadata(e); });
+    return keyed;
+  };
+  const base = keyByID(baseElements);
+  const ours = keyByID(ourElements);
+  const theirs = keyByID(theirElements);
+  const orNull = (value) => ((value === undefined) ? null : value);
+
+  const added = [];
+  const updated = [];
+  const deleted = [];
+  const conflicts = [];
+
+  // Applies their version of an element to our side
+  const takeTheirs = (id) => {
+    if (!theirs[id]) deleted.push(id);
+    else if (!ours[id]) added.push(theirs[id]);
+    else updated.push(theirs[id]);
+  };
+
+  const ids = new Set(Object.keys(base).concat(Object.keys(ours), Object.keys(theirs)));
+  ids.forEach((id) => {
+    const b = base[id];
+    const o = ours[id];
+    const t = theirs[id];
+
+    // Nothing changed on their side, or both sides made the same change
+    if (isEqual(t, b) || isEqual(o, t)) return;
+
+    // Only their side changed
+    if (isEqual(o, b)) {
+      takeTheirs(id);
+      return;
+    }
+
+    // One side deleted the element while the other changed it
+    if (!o || !t) {
+      conflicts.push({ id: id, field: null, base: orNull(b), ours: orNull(o), theirs: orNull(t) });
+      if (strategy === 'theirs') takeTheirs(id);
+      return;
+    }
+
+    // Both sides changed the element, so merge it field by field
+    const merged = {};
+    const fields = new Set(Object.keys(b || {}).concat(Object.keys(o), Object.keys(t)));
+    fields.forEach((field) => {
+      const bv = (b) ? b[field] : undefined;
+      const ov = o[field];
+      const tv = t[field];
+      let value = ov;
+      if (isEqual(ov, bv)) {
+        value = tv;
+      }
+      else if (!isEqual(tv, bv) && !isEqual(ov, tv)) {
+        conflicts.push({ id: id, field: field, base: orNull(bv), ours: orNull(ov),
+          theirs: orNull(tv) });
+        if (strategy === 'theirs') value = tv;
+      }
+      if (value !== undefined) merged[field] = value;
+    });
+    if (!isEqual(merged, o)) updated.push(merged);
+  });
+
+  return { added, updated, deleted, conflicts };
+}
+
+// Export the module
+module.exports = {
+  isEqual,
+  stripMetadata,
+  diffFields,
+  diffElements,
+  mergeElements
+};
@@ -0,0 +1,143 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module src.download-links
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Creates and verifies signed, time-limited links to artifact
+ * blobs. A link carries the user it was created for, its expiry time and an
+ * HMAC signature over both and the blob path, so it can be opened without
+ * logging in until it expires.
+ */
+
+// Node modules
+const crypto = require('crypto');
+
+/**
+ * @description Returns the settings used to sign links, from the downloadLinks section of the
+ * adapter config. Links are signed with the configured secret, or with the MCF server secret
+ * if none is configured, and expire after 24 hours by default.
+ *
+ * @param {object} adapterConfig - The adapter config.
+ *
+ * @returns {object} The secret and the lifetime of links in hours.
+ */
+function linkSettings(adapterConfig) {
+  const config = adapterConfig.downloadLinks || {};
+  const secret = config.secret || M.config.server.secret;
+  if (!secret) {
+    throw new M.ServerError('No secret is configured to sign download links.', 'error');
+  }
+  return {
+    secret: secret,
+    expiresIn: config.expiresIn || 24
+  };
+}
+
+/**
+ * @description Computes the signature of a link.
+ *
+ * @param {string} secret - The secret to sign the link with.
+ * @param {string} linkPath - The URL encoded path the link points to.
+ * @param {string} username - The user the link was created for.
+ * @param {number} expires - The time the link expires, in milliseconds since the epoch.
+ *
+ * @returns {string} The hex encoded signature.
+ */
+function sign(secret, linkPath, username, expires) {
+  return crypto.createHmac('sha256', secret)
+  .update(`${linkPath}\n${username}\n${expires}`)
+  .digest('hex');
+}
+
+/**
+ * @description Creates a signed link to an artifact blob, resolved through the adapter's
+ * /alfresco/projects/:projectid/refs/:refid/artifacts/blob/:blobid route. The link is built
+ * from the publicUrl of the adapter config, the URL the adapter is reached at by users, which
+ * must be configured.
+ *
+ * @param {string} username - The user the link is created for. The blob is read with their
+ * permissions.
+ * @param {string} projID - The id of the project containing the artifact.
+ * @param {string} refID - The id of the ref (branch) containing the artifact.
+ * @param {string} artID - The id of the artifact.
+ * @param {object} [adapterConfig] - The adapter config. Defaults to the configuration of the
+ * running adapter.
+ *
+ * @returns {object} The "url" of the link and the Date it "expires".
+ */
+function createLink(username, projID, refID, artID, adapterConfig) {
+  const config = adapterConfig || M.config.server.plugins.plugins['mms-adapter'];
+  const settings = linkSettings(config);
+  const linkPath = `/alfresco/projects/${encodeURIComponent(projID)}/refs/`
+    + `${encodeURIComponent(refID)}/artifacts/blob/${encodeURIComponent(artID)}`;
+  const expires = Date.now() + settings.expiresIn * 60 * 60 * 1000;
+  const signature = sign(settings.secret, linkPath, username, expires);
+  // A relative link would be of no use in an email
+  if (!config.publicUrl) {
+    throw new M.ServerError('No public URL is configured to create download links.', 'error');
+  }
+  const publicUrl = config.publicUrl.replace(/\/+$/, '');
+
+  return {
+    url: `${publicUrl}${linkPath}?user=${encodeURIComponent(username)}&expires=${expires}`
+      + `&signature=${signature}`,
+    expires: new Date(expires)
+  };
+}
+
+/**
+ * @description Verifies a signed link.
+ *
+ * @param {string} linkPath - The URL encoded path of the request, relative to the adapter.
+ * @param {object} query - The query of the request, holding the user, expires and signature
+ * of the link.
+ * @param {object} [adapterConfig] - The adapter config. Defaults to the configuration of the
+ * running adapter.
+ *
+ * @returns {string} The username of the user the link was created for.
+ */
+function verifyLink(linkPath, query, adapterConfig) {
+  const config = adapterConfig || M.config.server.plugins.plugins['mms-adapter'];
+  const settings = linkSettings(config);
+  const expires = Number(query.expires);
+  if (typeof query.user !== 'string' || typeof query.signature !== 'string'
+    || !Number.isInteger(expires)) {
+    throw new M.AuthorizationError('Invalid download link.', 'warn');
+  }
+
+  const expected = Buffer.from(sign(settings.secret, linkPath, query.user, expires));
+  const actual = Buffer.from(query.signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new M.AuthorizationError('Invalid download link.', 'warn');
+  }
+  if (expires < Date.now()) {
+    throw new M.AuthorizationError('The download link has expired.', 'warn');
+  }
+
+  return query.user;
+}
+
+// Export the module
+module.exports = {
+  createLink,
+  verifyLink
+};
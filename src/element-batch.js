@@ -0,0 +1,291 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module src.element-batch
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Validates batches of MMS elements before they are written,
+ * isolates the elements of a batch which fail to be written, and rolls back the
+ * changes made by a transactional element post which failed part way through.
+ */
+
+// MCF modules
+const ElementController = M.require('controllers.element-controller');
+const mcfUtils = M.require('lib.utils');
+
+// Adapter modules
+const utils = require('./utils');
+
+/**
+ * @description Fields of an MMS element which must be strings if they are provided. Null is
+ * also allowed, since Cameo sometimes stores null rather than leaving a field out.
+ */
+const stringFields = ['name', 'documentation', 'type', 'ownerId'];
+
+/**
+ * @description Builds an MMS rejection for an element which could not be written.
+ *
+ * @param {*} element - The element as it was sent by the client.
+ * @param {number} code - The status code describing the failure.
+ * @param {string} message - Why the element was rejected.
+ *
+ * @returns {object} The rejection in the form { code, message, severity, element }.
+ */
+function rejection(element, code, message) {
+  return {
+    code: code,
+    message: message,
+    severity: 'ERROR',
+    element: element
+  };
+}
+
+/**
+ * @description Checks a single MMS element for problems which would cause it to fail part way
+ * through a post.
+ *
+ * @param {*} element - The element to check.
+ *
+ * @returns {string|null} The reason the element is invalid, or null if it is valid.
+ */
+function findProblem(element) {
+  if (element === null || typeof element !== 'object' || Array.isArray(element)) {
+    return 'Element must be an object.';
+  }
+  if (typeof element.id !== 'string' || element.id.length === 0) {
+    return 'Element id must be a non-empty string.';
+  }
+  if (element.id.includes(mcfUtils.ID_DELIMITER)) {
+    return `Element id ${element.id} cannot contain "${mcfUtils.ID_DELIMITER}".`;
+  }
+
+  const invalidField = stringFields.find((f) => element[f] !== undefined
+    && element[f] !== null && typeof element[f] !== 'string');
+  if (invalidField) {
+    return `The ${invalidField} of element ${element.id} must be a string.`;
+  }
+  if (element.ownerId === element.id) {
+    return `Element ${element.id} cannot own itself.`;
+  }
+
+  if (element._childViews !== undefined && element._childViews !== null) {
+    if (!Array.isArray(element._childViews) || !element._childViews.every((v) => v !== null
+      && typeof v === 'object' && typeof v.id === 'string'
+      && typeof v.aggregation === 'string' && typeof v.propertyId === 'string')) {
+      return `Invalid update to _childViews field of element ${element.id}.`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * @description Validates a batch of MMS elements before any of them are written, so that a
+ * batch which cannot be written in full can be rejected without changing the ref. Elements
+ * which appear more than once in the batch, or which appeared in an earlier batch of the
+ * same request, are rejected as duplicates.
+ *
+ * @param {Array} elements - The MMS elements from the request body.
+ * @param {Set<string>} [earlierIDs] - The ids of the elements in earlier batches of the
+ * request.
+ *
+ * @returns {object[]} A rejection for each invalid element. Empty if the whole batch is valid.
+ */
+function validateElements(elements, earlierIDs = new Set()) {
+  const rejected = [];
+  const seen = new Set();
+  const duplicates = new Set();
+
+  elements.forEach((element) => {
+    if (element && typeof element.id === 'string') {
+      if (seen.has(element.id) || earlierIDs.has(element.id)) duplicates.add(element.id);
+      seen.add(element.id);
+    }
+  });
+
+  elements.forEach((element) => {
+    const problem = findProblem(element);
+    if (problem) {
+      rejected.push(rejection(element, 400, problem));
+    }
+    else if (duplicates.has(element.id)) {
+      rejected.push(rejection(element, 400,
+        `Element ${element.id} appears more than once in the request.`));
+    }
+  });
+
+  return rejected;
+}
+
+/**
+ * @description Runs a bulk write. If it fails, each item is written on its own so that only
+ * the items which cannot be written fail. A bulk write may fail after writing some of its
+ * items, so the items it already wrote are looked up first and are not written again.
+ * @async
+ *
+ * @param {Array} items - The items to write.
+ * @param {Function} write - Writes an array of items and resolves with the written objects.
+ * @param {Function} onFailure - Called with each item which could not be written and its error.
+ * @param {Function} [findWritten] - Resolves with the written object of each item, or null for
+ * each item which was not written, in the order of the items.
+ *
+ * @returns {Promise<object[]>} The objects which were written.
+ */
+async function isolateFailures(items, write, onFailure, findWritten) {
+  let bulkError;
+  try {
+    return await write(items);
+  }
+  catch (error) {
+    bulkError = error;
+  }
+
+  let written = [];
+  let remaining = items;
+  if (findWritten) {
+    const found = await findWritten(items);
+    written = found.filter((object) => object);
+    remaining = items.filter((item, i) => !found[i]);
+  }
+
+  // A single item has already failed on its own, so it is not written again
+  if (items.length === 1) {
+    remaining.forEach((item) => onFailure(item, bulkError));
+    return written;
+  }
+
+  await utils.asyncForEach(remaining, async (item) => {
+    try {
+      written = written.concat(await write([item]));
+    }
+    catch (error) {
+      onFailure(item, error);
+    }
+  });
+  return written;
+}
+
+/**
+ * @description Builds the status code and MMS body of a response to a batch of elements. A
+ * batch of which anything was written succeeds with a warning for its rejected elements. A
+ * batch of which nothing was written fails with the status code its rejections share, or with
+ * a 400 status if they differ.
+ *
+ * @param {Array} written - The elements which were written.
+ * @param {object[]} rejected - The rejections of the elements which were not written.
+ * @param {number} total - The number of elements in the request.
+ *
+ * @returns {object} The response in the form { statusCode, body }.
+ */
+function batchResponse(written, rejected, total) {
+  if (rejected.length === 0) {
+    return {
+      statusCode: 200,
+      body: { elements: written, rejected: [], messages: [] }
+    };
+  }
+
+  const codes = [...new Set(rejected.map((r) => r.code))];
+  const code = (codes.length === 1) ? codes[0] : 400;
+  let statusCode = 200;
+  let message = `${rejected.length} of ${total} elements were rejected.`;
+  if (written.length === 0) {
+    statusCode = code;
+    message += ' No elements were written.';
+  }
+
+  return {
+    statusCode: statusCode,
+    body: {
+      elements: written,
+      rejected: rejected,
+      messages: [{
+        code: code,
+        message: message,
+        severity: (written.length === 0) ? 'ERROR' : 'WARNING'
+      }]
+    }
+  };
+}
+
+/**
+ * @description Builds the update which returns an MCF element to a previous state.
+ *
+ * @param {object} element - The MCF element as it was before the post.
+ *
+ * @returns {object} The update for the element controller.
+ */
+function restoreData(element) {
+  const shortID = (id) => ((id) ? mcfUtils.parseID(id).pop() : id);
+  return {
+    id: shortID(element._id),
+    name: element.name,
+    documentation: element.documentation,
+    type: element.type,
+    parent: shortID(element.parent),
+    source: shortID(element.source),
+    target: shortID(element.target),
+    custom: element.custom
+  };
+}
+
+/**
+ * @description Undoes the changes made by an element post which failed part way through.
+ * Updated elements are restored before created elements are removed; an existing element
+ * may have been moved under a created one, and removing an element also removes its children.
+ * @async
+ *
+ * @param {object} reqUser - The requesting user.
+ * @param {string} orgID - The id of the org.
+ * @param {string} projID - The id of the project.
+ * @param {string} refID - The id of the ref.
+ * @param {object} applied - The changes made so far in the form { created, updated, previous },
+ * where created and updated hold element ids and previous maps the short id of each updated
+ * element to its MCF state before the post.
+ *
+ * @returns {Promise<object>} The ids of the "restored" and "removed" elements.
+ */
+async function rollback(reqUser, orgID, projID, refID, applied) {
+  const updatedIDs = [...new Set(applied.updated.map((id) => mcfUtils.parseID(id).pop()))];
+  const createdIDs = [...new Set(applied.created.map((id) => mcfUtils.parseID(id).pop()))];
+
+  // Parents cannot be updated in bulk, so each element is restored on its own
+  await utils.asyncForEach(updatedIDs, async (id) => {
+    if (!applied.previous[id]) return;
+    await ElementController.update(reqUser, orgID, projID, refID,
+      restoreData(applied.previous[id]));
+  });
+
+  if (createdIDs.length !== 0) {
+    await ElementController.remove(reqUser, orgID, projID, refID, createdIDs);
+  }
+
+  return { restored: updatedIDs, removed: createdIDs };
+}
+
+// Export the module
+module.exports = {
+  rejection,
+  validateElements,
+  isolateFailures,
+  batchResponse,
+  rollback
+};
@@ -0,0 +1,290 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module src.element-stream
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Reads the elements of large request bodies and writes large
+ * element responses in batches, so that whole models are never held in memory
+ * as a single body.
+ */
+
+// NPM modules
+const { parser } = require('stream-json');
+const Assembler = require('stream-json/Assembler');
+
+// MCF modules
+const Element = M.require('models.element');
+const mcfUtils = M.require('lib.utils');
+
+/**
+ * @description The number of elements read, written or found at once if no batch size is
+ * configured.
+ */
+const defaultBatchSize = 1000;
+
+/**
+ * @description Returns the number of elements to handle at once, from the elements section
+ * of the adapter config.
+ *
+ * @returns {number} The batch size.
+ */
+function batchSize() {
+  const config = M.config.server.plugins.plugins['mms-adapter'].elements || {};
+  return config.batchSize || defaultBatchSize;
+}
+
+/**
+ * @description Marks the JSON body of a request to an element route to be read as a stream by
+ * the route. A body which has already been read by a parser of the app the adapter is mounted
+ * on is used as it was parsed.
+ *
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
+ * @param {Function} next - Middleware callback to trigger the next function.
+ */
+function streamBody(req, res, next) {
+  if (!req._body && req.is('json')) req.streamedBody = true;
+  next();
+}
+
+/**
+ * @description Checks whether the JSON body of a request should be read from the request
+ * stream, which is the case when it was marked by streamBody.
+ *
+ * @param {object} req - Request express object.
+ *
+ * @returns {boolean} True if the body should be read from the request stream.
+ */
+function isUnparsed(req) {
+  return Boolean(req.streamedBody);
+}
+
+/**
+ * @description Streams a JSON body holding an array of elements, such as
+ * { elements: [...], comment }, and passes the elements on in batches. The stream is paused
+ * while each batch is handled. The rest of the body is assembled as usual.
+ *
+ * @param {object} stream - The readable stream of the body.
+ * @param {number} size - The maximum number of elements in a batch.
+ * @param {Function} onBatch - Called with each batch of elements; may return a promise.
+ *
+ * @returns {Promise<object>} The body without its elements.
+ */
+function parseElements(stream, size, onBatch) {
+  return new Promise((resolve, reject) => {
+    const tokens = stream.pipe(parser({ streamValues: false }));
+    const body = new Assembler();
+    let element = null;
+    let state = 'body';
+    let batch = [];
+    let failed = false;
+
+    // Stops reading the body; the rest of it is discarded
+    const fail = (error) => {
+      if (failed) return;
+      failed = true;
+      stream.unpipe(tokens);
+      tokens.destroy();
+      stream.resume();
+      reject(error);
+    };
+
+    tokens.on('data', (token) => {
+      if (failed) return;
+
+      if (state === 'elements') {
+        // The end of the elements array
+        if (!element && token.name === 'endArray') {
+          state = 'done';
+          return;
+        }
+        if (!element) element = new Assembler();
+        element.consume(token);
+        if (element.done) {
+          batch.push(element.current);
+          element = null;
+          if (batch.length >= size) {
+            const full = batch;
+            batch = [];
+            tokens.pause();
+            Promise.resolve(onBatch(full)).then(() => tokens.resume(), fail);
+          }
+        }
+      }
+      else if (state === 'start') {
+        if (token.name !== 'startArray') {
+          fail(new M.DataFormatError('Request body must contain an array of elements.', 'warn'));
+          return;
+        }
+        state = 'elements';
+      }
+      // The elements are skipped by the assembler of the rest of the body
+      else if (state === 'body' && token.name === 'keyValue' && token.value === 'elements'
+        && body.depth === 1) {
+        state = 'start';
+      }
+      else {
+        body.consume(token);
+      }
+    });
+
+    tokens.on('error', (error) => {
+      fail(new M.DataFormatError(`Invalid JSON in request body: ${error.message}`, 'warn'));
+    });
+
+    tokens.on('end', () => {
+      if (failed) return;
+      if (state !== 'done') {
+        fail(new M.DataFormatError('Request body must contain an array of elements.', 'warn'));
+        return;
+      }
+      Promise.resolve((batch.length !== 0) ? onBatch(batch) : null)
+      .then(() => resolve(body.current || {}), reject);
+    });
+  });
+}
+
+/**
+ * @description Passes the elements in the body of a request on in batches. A body which has
+ * not been parsed is streamed, and the rest of it is stored on the request once the
+ * elements have been read; the elements of a parsed body are split into batches.
+ * @async
+ *
+ * @param {object} req - Request express object.
+ * @param {Function} onBatch - Called with each batch of elements in turn; may return a promise.
+ *
+ * @returns {Promise<object>} The body of the request, without its elements if it was streamed.
+ */
+async function forEachElementBatch(req, onBatch) {
+  const size = batchSize();
+
+  if (isUnparsed(req)) {
+    req.body = await parseElements(req, size, onBatch);
+    return req.body;
+  }
+
+  const elements = (req.body) ? req.body.elements : undefined;
+  if (!Array.isArray(elements)) {
+    throw new M.DataFormatError('Request body must contain an array of elements.', 'warn');
+  }
+  for (let i = 0; i < elements.length; i += size) {
+    await onBatch(elements.slice(i, i + size)); // eslint-disable-line no-await-in-loop
+  }
+  return req.body;
+}
+
+/**
+ * @description Passes the elements of the subtrees under the given elements on in batches,
+ * one level of the tree at a time, starting with the given elements themselves. Only the ids
+ * of the current level are kept between batches. The requesting user must already have been
+ * verified to have access to the ref, since the elements are read directly.
+ * @async
+ *
+ * @param {string} orgID - The id of the org.
+ * @param {string} projID - The id of the project.
+ * @param {string} refID - The id of the ref.
+ * @param {object[]} roots - The MCF elements at the top of the subtrees.
+ * @param {Function} onBatch - Called with each batch of MCF elements in turn; may return a
+ * promise.
+ */
+async function forEachSubtreeBatch(orgID, projID, refID, roots, onBatch) {
+  const size = batchSize();
+  const branch = mcfUtils.createID(orgID, projID, refID);
+  // Roots may be in each other's subtrees, so elements already passed on are skipped
+  const seen = new Set(roots.map((e) => e._id));
+  let level = roots.map((e) => e._id);
+
+  for (let i = 0; i < roots.length; i += size) {
+    await onBatch(roots.slice(i, i + size)); // eslint-disable-line no-await-in-loop
+  }
+
+  while (level.length !== 0) {
+    const nextLevel = [];
+    for (let i = 0; i < level.length; i += size) {
+      const parents = level.slice(i, i + size);
+      let skip = 0;
+      let children;
+      do {
+        // eslint-disable-next-line no-await-in-loop
+        children = await Element.find({ branch: branch, parent: { $in: parents },
+          archived: false }, null, { sort: { _id: 1 }, limit: size, skip: skip });
+        skip += size;
+        const unseen = children.filter((e) => !seen.has(e._id));
+        unseen.forEach((e) => {
+          seen.add(e._id);
+          nextLevel.push(e._id);
+        });
+        if (unseen.length !== 0) await onBatch(unseen); // eslint-disable-line no-await-in-loop
+      } while (children.length === size);
+    }
+    level = nextLevel;
+  }
+}
+
+/**
+ * @description Sends a 200 response in the MMS API format, { elements: [...] }, writing each
+ * batch of elements as it is produced. The status has been sent by the time a batch fails, so
+ * the response is then ended without closing the JSON, which clients treat as a failed
+ * request.
+ * @async
+ *
+ * @param {object} res - Response express object.
+ * @param {Function} produce - Called with a function which writes a batch of MMS elements and
+ * returns a promise; resolves once every batch has been written.
+ */
+async function sendElements(res, produce) {
+  let count = 0;
+  // Waits for the client to catch up when the response buffer is full
+  const write = (chunk) => new Promise((resolve) => {
+    if (res.write(chunk)) resolve();
+    else res.once('drain', resolve);
+  });
+
+  res.status(200);
+  res.header('Content-Type', 'application/json');
+  await write('{"elements":[');
+
+  try {
+    await produce(async (elements) => {
+      if (elements.length === 0) return;
+      const chunk = elements.map((e) => JSON.stringify(e)).join(',');
+      await write((count === 0) ? chunk : `,${chunk}`);
+      count += elements.length;
+    });
+  }
+  catch (error) {
+    M.log.warn(`Failed to send elements after ${count} were written: ${error.message}`);
+    res.end();
+    return;
+  }
+  res.end(']}');
+}
+
+// Export the module
+module.exports = {
+  batchSize,
+  streamBody,
+  parseElements,
+  forEachElementBatch,
+  forEachSubtreeBatch,
+  sendElements
+};
@@ -0,0 +1,91 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module src.events
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Broadcasts the changes made to the elements of each ref to the
+ * clients listening for them. Events are delivered in-process, so clients only
+ * receive the changes made through the MCF instance they are connected to.
+ */
+
+// Node modules
+const { EventEmitter } = require('events');
+
+// MCF modules
+const mcfUtils = M.require('lib.utils');
+
+// Any number of clients may listen to the same ref
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+/**
+ * @description Returns the name of the channel carrying the events of a ref.
+ *
+ * @param {string} projID - The id of the project.
+ * @param {string} refID - The id of the ref (branch).
+ *
+ * @returns {string} The channel name.
+ */
+function channel(projID, refID) {
+  return `${projID}${mcfUtils.ID_DELIMITER}${refID}`;
+}
+
+/**
+ * @description Broadcasts the changes recorded in a commit to the clients listening to its ref.
+ *
+ * @param {object} commit - The adapter commit.
+ */
+function publishCommit(commit) {
+  emitter.emit(channel(commit.project, commit.branch), {
+    commitId: commit._id,
+    _projectId: commit.project,
+    _refId: commit.branch,
+    _creator: commit.creator,
+    _created: commit.created,
+    comment: commit.comment,
+    added: commit.added,
+    updated: commit.updated,
+    deleted: commit.deleted
+  });
+}
+
+/**
+ * @description Listens for the changes made to the elements of a ref.
+ *
+ * @param {string} projID - The id of the project.
+ * @param {string} refID - The id of the ref (branch).
+ * @param {Function} listener - Called with each event, holding the commitId and the ids of the
+ * added, updated and deleted elements.
+ *
+ * @returns {Function} Stops listening when called.
+ */
+function subscribe(projID, refID, listener) {
+  const name = channel(projID, refID);
+  emitter.on(name, listener);
+  return () => emitter.removeListener(name, listener);
+}
+
+// Export the module
+module.exports = {
+  publishCommit,
+  subscribe
+};
@@ -0,0 +1,478 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module src.export-jobs
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Runs document exports as jobs. Each export is recorded as a job
+ * and queued; a bounded number of jobs are converted at a time, and the state,
+ * error and resulting artifact of each job are kept so clients can poll for
+ * them instead of waiting for an email.
+ */
+
+// Node modules
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+// MCF modules
+const ArtifactController = M.require('controllers.artifact-controller');
+
+// Adapter modules
+const ExportJob = require('./models/export-job.js');
+const artifactStore = require('./artifacts.js');
+const downloadLinks = require('./download-links.js');
+const mailer = require('./mailer.js');
+const renderers = require('./renderers.js');
+const renderTokens = require('./render-tokens.js');
+const utils = require('./utils.js');
+const namespace = utils.customDataNamespace;
+
+const writeFile = util.promisify(fs.writeFile);
+const readFile = util.promisify(fs.readFile);
+const unlink = util.promisify(fs.unlink);
+
+// The jobs waiting to be converted, in the order they were requested
+const queue = [];
+// The number of jobs currently being converted
+let running = 0;
+// Resolves once the jobs interrupted by an earlier run of the adapter have been failed
+let recovery = null;
+
+/**
+ * @description The formats documents can be exported to, with the label used in the
+ * notification email and the extension and content type of the resulting artifact.
+ */
+const formats = {
+  pdf: {
+    label: 'PDF',
+    extension: 'pdf',
+    contentType: 'application/pdf'
+  },
+  html: {
+    label: 'HTML',
+    extension: 'html',
+    contentType: 'text/html'
+  },
+  docx: {
+    label: 'DOCX',
+    extension: 'docx',
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+  }
+};
+
+/**
+ * @description Returns the config of the renderer which converts HTML into a format. PDFs are
+ * rendered as configured in the pdf section of the adapter config. DOCX files are rendered
+ * by the command configured in the docx section, if any.
+ *
+ * @param {string} format - The format to render.
+ *
+ * @returns {object|null} The renderer config, or null if the format cannot be rendered.
+ */
+function rendererConfig(format) {
+  const config = M.config.server.plugins.plugins['mms-adapter'];
+  if (format === 'pdf') return config.pdf;
+  if (format === 'docx' && config.docx) return { renderer: 'command', command: config.docx };
+  return null;
+}
+
+/**
+ * @description Removes the comment tags View Editor adds to the HTML of a document.
+ *
+ * @param {string} html - The HTML of the document.
+ *
+ * @returns {string} The HTML without comment tags.
+ */
+function removeComments(html) {
+  // eslint-disable-next-line
+  return html.replace(/(?!<\")\<\!\-\- [^\<]+ \-\-\>(?!\")/g, '');
+}
+
+/**
+ * @description Replaces the tickets of the image links in the HTML of a document with a render
+ * token, so a renderer can download the artifact images of the document without the
+ * requesting user's session.
+ *
+ * @param {string} token - The render token of the export job.
+ * @param {string} html - The HTML of the document.
+ *
+ * @returns {string} The HTML with replaced tickets.
+ */
+function tokenizeLinks(token, html) {
+  // eslint-disable-next-line
+  return html.replace(/alf_ticket=[a-zA-Z0-9%]*\"/g, `render_token=${token}\"`);
+}
+
+/**
+ * @description Inlines the artifact images of a document as data URIs, so the HTML can be
+ * viewed without access to the adapter. Images are matched by the artifact blob path in their
+ * src, /projects/:projectid/refs/:refid/artifacts/blob/:blobid. Other images, and images whose
+ * artifact cannot be read, are left as links.
+ * @async
+ *
+ * @param {object} reqUser - The requesting user.
+ * @param {string} orgID - The id of the org containing the artifacts.
+ * @param {string} html - The HTML of the document.
+ *
+ * @returns {Promise<string>} The HTML with inlined images.
+ */
+async function inlineImages(reqUser, orgID, html) {
+  const imagePattern = /(<img\b[^>]*?\bsrc=")([^"]+)(")/gi;
+  const blobPattern = /\/projects\/([^/]+)\/refs\/([^/]+)\/artifacts\/blob\/([^/?#]+)/;
+
+  // Read every referenced artifact once
+  const dataURIs = {};
+  let image = imagePattern.exec(html);
+  while (image !== null) {
+    const src = image[2];
+    const blobPath = blobPattern.exec(src);
+    if (blobPath && !dataURIs.hasOwnProperty(src)) {
+      const [projID, refID, artID] = blobPath.slice(1).map((p) => decodeURIComponent(p));
+      dataURIs[src] = ArtifactController.find(reqUser, orgID, projID, refID, artID)
+      .then(async (artifacts) => {
+        if (artifacts.length === 0) throw new M.NotFoundError('Artifact not found.', 'warn');
+        const blob = await ArtifactController.getBlob(reqUser, orgID, projID, artifacts[0]);
+        const contentType = artifacts[0].custom[namespace].contentType;
+        return `data:${contentType};base64,${Buffer.from(blob).toString('base64')}`;
+      })
+      .catch((error) => {
+        M.log.warn(`Could not inline image ${src}: ${error.message}`);
+        return src;
+      });
+    }
+    image = imagePattern.exec(html);
+  }
+
+  const sources = Object.keys(dataURIs);
+  const resolved = await Promise.all(sources.map((src) => dataURIs[src]));
+  sources.forEach((src, i) => { dataURIs[src] = resolved[i]; });
+
+  return html.replace(imagePattern, (match, before, src, after) => ((dataURIs[src])
+    ? `${before}${dataURIs[src]}${after}`
+    : match));
+}
+
+/**
+ * @description Renders the HTML of a document with the renderer of an export format. The
+ * renderer downloads the artifact images of the document with a render token, which is
+ * revoked once rendering finishes.
+ * @async
+ *
+ * @param {object} job - The export job.
+ * @param {string} html - The HTML of the document.
+ *
+ * @returns {Promise<object>} The rendered "blob" and the "stderr" output of the renderer.
+ */
+async function renderDocument(job, html) {
+  const pdfConfig = M.config.server.plugins.plugins['mms-adapter'].pdf;
+
+  // Define the temporary file paths
+  const inputPath = path.join(pdfConfig.directory, `${pdfConfig.filename}_${job._id}.html`);
+  const outputPath = path.join(pdfConfig.directory,
+    `${pdfConfig.filename}_${job._id}.${formats[job.format].extension}`);
+
+  const token = await renderTokens.createToken(job.creator, job.project, job.branch, job._id);
+  try {
+    // Write the HTML file to storage and render it
+    await writeFile(inputPath, tokenizeLinks(token, html));
+    const stderr = await renderers.render(inputPath, outputPath, rendererConfig(job.format));
+    const blob = await readFile(outputPath);
+    return { blob, stderr };
+  }
+  finally {
+    await renderTokens.revokeTokens(job._id)
+    .catch((error) => M.log.error(`Export job ${job._id}: ${error.message}`));
+
+    // Delete the temporary files, which may not exist if the conversion failed
+    await Promise.all([inputPath, outputPath].map((file) => unlink(file)
+    .then(() => M.log.info(`${file} deleted.`))
+    .catch(() => {})));
+  }
+}
+
+/**
+ * @description Emails the user who requested an export about the outcome of its job, if they
+ * have an email address. Failing to send the email is logged rather than failing the job,
+ * since the outcome can still be found through the job.
+ * @async
+ *
+ * @param {object} task - The queued job, its requesting user and HTML.
+ * @param {string} templateName - The name of the email template.
+ * @param {object} [variables] - Values of the template placeholders, in addition to the
+ * name, format, project, ref and id of the job.
+ */
+async function notify(task, templateName, variables) {
+  if (!task.user.email) return;
+  const job = task.job;
+  try {
+    await mailer.send(task.user.email, templateName, Object.assign({
+      name: task.name || 'Untitled document',
+      format: formats[job.format].label,
+      projectId: job.project,
+      refId: job.branch,
+      jobId: job._id
+    }, variables));
+  }
+  catch (error) {
+    M.log.warn(`Export job ${job._id}: ${error.message}`);
+  }
+}
+
+/**
+ * @description Exports the document of a job and stores it as an artifact on the job's ref.
+ * HTML documents are stored with their images inlined; other formats are rendered. The
+ * requesting user is then emailed a link to the artifact, or only its id if the adapter has
+ * no public URL to link to.
+ * @async
+ *
+ * @param {object} task - The queued job, its requesting user and HTML.
+ *
+ * @returns {Promise<object>} The id of the created "artifact" and the "stderr" output of the
+ * renderer.
+ */
+async function exportDocument(task) {
+  const job = task.job;
+  const format = formats[job.format];
+  const config = M.config.server.plugins.plugins['mms-adapter'];
+  const filename = config.pdf.filename;
+  const artID = `export_${job._id}`;
+
+  // The user is emailed a signed link to the document, which is created first so that a job
+  // which could not link to its document fails before the document is exported
+  const link = (config.publicUrl)
+    ? downloadLinks.createLink(task.user._id, job.project, job.branch, artID)
+    : null;
+
+  let result = { stderr: null };
+  const html = removeComments(task.html);
+  if (job.format === 'html') {
+    result.blob = Buffer.from(await inlineImages(task.user, job.org, html));
+  }
+  else {
+    result = await renderDocument(job, html);
+  }
+
+  // Store the document as an artifact
+  const artifactMetadata = {
+    id: artID,
+    location: `${job.org}/${job.project}`,
+    filename: `${filename}_${job._id}.${format.extension}`,
+    custom: {
+      [namespace]: {
+        contentType: format.contentType,
+        checksum: artifactStore.checksum(result.blob),
+        size: result.blob.length,
+        name: task.name
+      }
+    }
+  };
+  await ArtifactController.create(task.user, job.org, job.project, job.branch,
+    artifactMetadata);
+  await ArtifactController.postBlob(task.user, job.org, job.project, artifactMetadata,
+    result.blob);
+
+  await notify(task, 'exportSucceeded', (link)
+    ? { artifactId: artID, link: link.url, expires: link.expires.toUTCString() }
+    : { artifactId: artID });
+
+  return { artifact: artifactMetadata.id, stderr: result.stderr };
+}
+
+/**
+ * @description Converts a job and records whether it succeeded or failed, along with any
+ * output the renderer printed to stderr. The requesting user is emailed if the job fails.
+ * @async
+ *
+ * @param {object} task - The queued job, its requesting user and HTML.
+ */
+async function runJob(task) {
+  const jobID = task.job._id;
+  try {
+    await ExportJob.updateOne({ _id: jobID }, { state: 'running', started: Date.now() });
+    const result = await exportDocument(task);
+    await ExportJob.updateOne({ _id: jobID }, { state: 'succeeded', artifact: result.artifact,
+      stderr: result.stderr || null, finished: Date.now() });
+    M.log.info(`Export job ${jobID} succeeded.`);
+  }
+  catch (error) {
+    const message = (error instanceof Error) ? error.message : String(error);
+    M.log.warn(`Export job ${jobID} failed: ${message}`);
+    await ExportJob.updateOne({ _id: jobID }, { state: 'failed', error: message,
+      stderr: error.stderr || null, finished: Date.now() })
+    .catch((updateError) => M.log.error(updateError.message));
+    await notify(task, 'exportFailed', { error: message });
+  }
+}
+
+/**
+ * @description Starts converting queued jobs until the configured number of jobs are running.
+ * The number of concurrent jobs is set by pdf.concurrency in the adapter config and defaults
+ * to 1, since each conversion runs a separate converter process.
+ */
+function processQueue() {
+  const pdfConfig = M.config.server.plugins.plugins['mms-adapter'].pdf || {};
+  const concurrency = pdfConfig.concurrency || 1;
+  while (running < concurrency && queue.length !== 0) {
+    running++;
+    runJob(queue.shift())
+    .then(() => {
+      running--;
+      processQueue();
+    });
+  }
+}
+
+/**
+ * @description Fails the jobs left queued or running by an earlier run of the adapter. The
+ * queue is only held in memory, so these jobs would otherwise never finish.
+ * @async
+ */
+async function failInterruptedJobs() {
+  await ExportJob.updateMany({ state: { $in: ['queued', 'running'] } }, {
+    state: 'failed',
+    error: 'The adapter restarted before the job finished.',
+    finished: Date.now()
+  });
+}
+
+/**
+ * @description Fails the jobs interrupted by an earlier run of the adapter once, before the
+ * jobs of this run are first created or found. Failing them is retried if it fails.
+ * @async
+ */
+function recoverJobs() {
+  if (!recovery) {
+    recovery = failInterruptedJobs().catch((error) => {
+      recovery = null;
+      throw error;
+    });
+  }
+  return recovery;
+}
+
+/**
+ * @description Records a new export job and queues it for conversion.
+ * @async
+ *
+ * @param {object} reqUser - The requesting user.
+ * @param {string} orgID - The id of the org.
+ * @param {string} projID - The id of the project.
+ * @param {string} refID - The id of the ref (branch).
+ * @param {object} exportObj - The export request sent by View Editor. Its body holds the HTML
+ * of the document, its optional format is one of pdf (the default), html or docx, and its
+ * optional name is stored on the resulting artifact.
+ *
+ * @returns {Promise<object>} The queued job.
+ */
+async function createJob(reqUser, orgID, projID, refID, exportObj) {
+  if (!exportObj || typeof exportObj.body !== 'string') {
+    throw new M.DataFormatError('The HTML body of the document must be a string.', 'warn');
+  }
+  const format = exportObj.format || 'pdf';
+  if (!formats.hasOwnProperty(format)) {
+    throw new M.DataFormatError(`Invalid export format ${format}; expected one of `
+      + `${Object.keys(formats).join(', ')}.`, 'warn');
+  }
+  if (format === 'docx' && !rendererConfig(format)) {
+    throw new M.DataFormatError(`Export to ${formats[format].label} is not configured.`,
+      'warn');
+  }
+
+  await recoverJobs();
+  const job = {
+    _id: utils.generateUUID(),
+    org: orgID,
+    project: projID,
+    branch: refID,
+    creator: reqUser._id,
+    format: format,
+    state: 'queued',
+    error: null,
+    stderr: null,
+    artifact: null,
+    created: new Date(),
+    started: null,
+    finished: null
+  };
+  await ExportJob.insertMany([job]);
+
+  queue.push({
+    job: job,
+    user: reqUser,
+    html: exportObj.body,
+    name: exportObj.name
+  });
+  processQueue();
+
+  return job;
+}
+
+/**
+ * @description Finds the export jobs requested by a user, newest first.
+ * @async
+ *
+ * @param {object} reqUser - The requesting user.
+ * @param {object} [options] - Filtering and paging options.
+ * @param {string} [options.state] - Only jobs in this state are returned.
+ * @param {string} [options.projectId] - Only jobs exporting documents of this project are
+ * returned.
+ * @param {number} [options.limit] - The maximum number of jobs to return.
+ *
+ * @returns {Promise<object[]>} The found jobs.
+ */
+async function findJobs(reqUser, options = {}) {
+  await recoverJobs();
+  const query = { creator: reqUser._id };
+  if (options.state) query.state = options.state;
+  if (options.projectId) query.project = options.projectId;
+
+  const findOptions = { sort: { created: -1 } };
+  if (options.limit) findOptions.limit = options.limit;
+
+  return ExportJob.find(query, null, findOptions);
+}
+
+/**
+ * @description Finds an export job requested by a user.
+ * @async
+ *
+ * @param {object} reqUser - The requesting user.
+ * @param {string} jobID - The id of the job.
+ *
+ * @returns {Promise<object>} The found job.
+ */
+async function findJob(reqUser, jobID) {
+  await recoverJobs();
+  const job = await ExportJob.findOne({ _id: jobID, creator: reqUser._id });
+  if (!job) {
+    throw new M.NotFoundError(`Export job ${jobID} not found.`, 'warn');
+  }
+  return job;
+}
+
+// Export the module
+module.exports = {
+  failInterruptedJobs,
+  createJob,
+  findJobs,
+  findJob
+};
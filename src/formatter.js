@@ -34,6 +34,7 @@ const { getPublicData } = M.require('lib.get-public-data');
 
 // Adapter modules
 const utils = require('./utils');
+const orphans = require('./orphans');
 const namespace = utils.customDataNamespace;
 
 module.exports = {
@@ -45,7 +46,9 @@ module.exports = {
   mmsProject,
   mmsRef,
   mmsElement,
-  mmsArtifact
+  mmsArtifact,
+  mmsCommit,
+  mmsExportJob
 };
 
 /**
@@ -111,7 +114,7 @@ function mcfProject(proj) {
  */
 function mcfBranch(branch) {
   // Define known MCF fields
-  const knownKeys = ['id', 'name', 'source', 'custom'];
+  const knownKeys = ['id', 'name', 'source', 'tag', 'custom'];
 
   // Define the custom data field
   branch.custom = {
@@ -120,6 +123,12 @@ function mcfBranch(branch) {
 
   if (branch.id !== 'master') branch.source = branch.parentRefId;
 
+  // MMS tags are read-only MCF branches; the type is derived from the tag field when returned
+  if (typeof branch.type === 'string') {
+    branch.tag = (branch.type.toLowerCase() === 'tag');
+    delete branch.type;
+  }
+
   // Add extra keys to custom data
   Object.keys(branch).forEach((k) => {
     if (!knownKeys.includes(k)) {
@@ -132,7 +141,9 @@ function mcfBranch(branch) {
 }
 
 /**
- * @description Formats an MMS element into an MCF element.
+ * @description Formats an MMS element into an MCF element. Elements whose owner does not
+ * exist yet are placed in the holding bin of the project, which is created if needed; the id
+ * of their intended owner is kept in their custom data.
  * @async
  *
  * @param {object} req - The request object. Used for its orgid, projectid, and refid parameters.
@@ -143,6 +154,7 @@ function mcfBranch(branch) {
 async function mcfElements(req, elements) {
   const mcfFields = ['id', 'name', 'documentation', 'type', 'parent', 'source', 'target', 'project', 'branch', 'artifact', 'custom'];
   const promises = [];
+  let orphaned = false;
 
   elements.forEach((elem) => {
     elem.custom = {
@@ -157,7 +169,10 @@ async function mcfElements(req, elements) {
           promises.push(ElementController.find(req.user, req.params.orgid, req.params.projectid,
             req.params.refid, elem.parent)
           .then((parent) => {
-            if (parent.length === 0) delete elem.parent;
+            if (parent.length === 0) {
+              elem.parent = orphans.holdingBinID(req.params.projectid);
+              orphaned = true;
+            }
           }));
         }
       }
@@ -183,6 +198,11 @@ async function mcfElements(req, elements) {
   });
 
   await Promise.all(promises);
+
+  if (orphaned) {
+    await orphans.ensureHoldingBin(req.user, req.params.orgid, req.params.projectid,
+      req.params.refid);
+  }
 }
 
 /**
@@ -265,7 +285,8 @@ function mmsRef(reqUser, branchObj) {
 
   if (publicBranch.custom.hasOwnProperty(namespace)) {
     Object.keys(publicBranch.custom[namespace]).forEach((field) => {
-      branch[field] = publicBranch.custom[namespace][field];
+      // Refs stored before tags were supported may have a stale type in their custom data
+      if (field !== 'type') branch[field] = publicBranch.custom[namespace][field];
     });
   }
 
@@ -308,6 +329,11 @@ function mmsElement(reqUser, elemObj) {
     });
   }
 
+  // Elements reconstructed from the commit history know the commit which last changed them
+  if (elemObj._commitId) {
+    elem._commitId = elemObj._commitId;
+  }
+
   // Remove the name if it was set to null
   if (elem.name === null) {
     delete elem.name;
@@ -356,3 +382,45 @@ function mmsArtifact(reqUser, artifact) {
 
   return returnObj;
 }
+
+/**
+ * @description Formats an adapter commit into an MMS commit.
+ *
+ * @param {object} commit - The adapter commit to format.
+ *
+ * @returns {object} An MMS formatted commit.
+ */
+function mmsCommit(commit) {
+  return {
+    id: commit._id,
+    _creator: commit.creator,
+    _created: commit.created,
+    comment: commit.comment,
+    _projectId: commit.project,
+    _refId: commit.branch
+  };
+}
+
+/**
+ * @description Formats an adapter export job for the client.
+ *
+ * @param {object} job - The adapter export job to format.
+ *
+ * @returns {object} The formatted job.
+ */
+function mmsExportJob(job) {
+  return {
+    id: job._id,
+    format: job.format,
+    state: job.state,
+    error: job.error,
+    stderr: job.stderr,
+    artifactId: job.artifact,
+    _projectId: job.project,
+    _refId: job.branch,
+    _creator: job.creator,
+    _created: job.created,
+    started: job.started,
+    finished: job.finished
+  };
+}
@@ -0,0 +1,226 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module src.mailer
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Sends the adapter's notification emails. Messages are built
+ * from configurable text and HTML templates and delivered over SMTP, written
+ * to files or written to the log, as set in the email section of the adapter
+ * config.
+ */
+
+// Node modules
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+// NPM modules
+const nodemailer = require('nodemailer');
+
+const writeFile = util.promisify(fs.writeFile);
+
+/**
+ * @description Template variables which grant access to whoever holds them, such as signed
+ * download links. They are left out of emails written to the log.
+ */
+const secretVariables = ['link'];
+
+/**
+ * @description The default templates of the notification emails. Placeholders in the form
+ * {{name}} are replaced with the value of the variable of the same name, and sections in the
+ * form {{#name}}...{{/name}} are only kept if the variable has a value.
+ */
+const defaultTemplates = {
+  exportSucceeded: {
+    subject: 'Export of {{name}} to {{format}} completed',
+    text: 'The {{format}} export of {{name}} from project {{projectId}}, ref {{refId}} '
+      + 'succeeded. It is stored as artifact {{artifactId}}.\n'
+      + '{{#link}}\nYou can access the {{format}} file at: {{link}}\n{{/link}}'
+      + '{{#expires}}This link expires on {{expires}}.\n{{/expires}}',
+    html: '<p>The {{format}} export of <b>{{name}}</b> from project {{projectId}}, ref '
+      + '{{refId}} succeeded. It is stored as artifact {{artifactId}}.</p>'
+      + '{{#link}}<p><a href="{{link}}">Download the {{format}} file</a></p>{{/link}}'
+      + '{{#expires}}<p>This link expires on {{expires}}.</p>{{/expires}}'
+  },
+  exportFailed: {
+    subject: 'Export of {{name}} to {{format}} failed',
+    text: 'The {{format}} export of {{name}} from project {{projectId}}, ref {{refId}} '
+      + 'failed:\n\n{{error}}\n\nThe export job id is {{jobId}}.\n',
+    html: '<p>The {{format}} export of <b>{{name}}</b> from project {{projectId}}, ref '
+      + '{{refId}} failed:</p><pre>{{error}}</pre><p>The export job id is {{jobId}}.</p>'
+  }
+};
+
+/**
+ * @description Escapes a value for use in HTML.
+ *
+ * @param {string} value - The value to escape.
+ *
+ * @returns {string} The escaped value.
+ */
+function escapeHtml(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * @description Fills in a template with the given variables. Placeholders of variables
+ * without a value are removed.
+ *
+ * @param {string} template - The template, with {{name}} placeholders and {{#name}}...{{/name}}
+ * sections.
+ * @param {object} variables - The values of the placeholders, keyed by name.
+ * @param {boolean} [html] - Whether the template is HTML, in which case the values are
+ * escaped.
+ *
+ * @returns {string} The filled in template.
+ */
+function renderTemplate(template, variables, html) {
+  const valueOf = (name) => {
+    const value = variables[name];
+    return (value === undefined || value === null) ? '' : String(value);
+  };
+  return template
+  .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, section) => (
+    (valueOf(name) === '') ? '' : section))
+  .replace(/\{\{(\w+)\}\}/g, (match, name) => ((html)
+    ? escapeHtml(valueOf(name))
+    : valueOf(name)));
+}
+
+/**
+ * @description Resolves the email config of the adapter. The email section is used if it
+ * exists; otherwise the emailServerUrl, emailServerPort and supportEmail fields of older
+ * configs are used with their original, unauthenticated SMTP settings.
+ *
+ * @param {object} adapterConfig - The adapter config.
+ *
+ * @returns {object} The email config.
+ */
+function resolveConfig(adapterConfig) {
+  if (adapterConfig.email) return adapterConfig.email;
+  return {
+    transport: 'smtp',
+    from: `"mbee support" <${adapterConfig.supportEmail}>`,
+    smtp: {
+      host: adapterConfig.emailServerUrl,
+      port: adapterConfig.emailServerPort,
+      secure: false,
+      rejectUnauthorized: false
+    }
+  };
+}
+
+/**
+ * @description Creates the nodemailer transport for an email config.
+ *
+ * @param {object} config - The email config.
+ *
+ * @returns {object} The nodemailer transport.
+ */
+function createTransport(config) {
+  switch (config.transport || 'smtp') {
+    case 'smtp': {
+      const smtp = config.smtp || {};
+      return nodemailer.createTransport({
+        host: smtp.host,
+        port: smtp.port,
+        secure: smtp.secure === true,
+        auth: smtp.auth,
+        tls: {
+          rejectUnauthorized: smtp.rejectUnauthorized !== false
+        }
+      });
+    }
+    case 'file':
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    case 'log':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new M.ServerError(`Unknown email transport ${config.transport}; expected one of `
+        + 'smtp, file, log.', 'error');
+  }
+}
+
+/**
+ * @description Sends a notification email built from a template. Templates set in the
+ * templates field of the email config override the defaults field by field.
+ * @async
+ *
+ * @param {string} to - The address to send the email to.
+ * @param {string} templateName - The name of the template, such as exportSucceeded or
+ * exportFailed.
+ * @param {object} variables - The values of the template placeholders.
+ * @param {object} [adapterConfig] - The adapter config. Defaults to the configuration of the
+ * running adapter.
+ *
+ * @returns {Promise<object>} The sent message, in the form { to, subject, text, html }.
+ */
+async function send(to, templateName, variables, adapterConfig) {
+  try {
+    const config = resolveConfig(adapterConfig
+      || M.config.server.plugins.plugins['mms-adapter']);
+    const templates = config.templates || {};
+    const template = Object.assign({}, defaultTemplates[templateName],
+      templates[templateName]);
+
+    const message = {
+      from: config.from,
+      to: to,
+      subject: renderTemplate(template.subject, variables),
+      text: renderTemplate(template.text, variables),
+      html: renderTemplate(template.html, variables, true)
+    };
+    const info = await createTransport(config).sendMail(message);
+
+    if (config.transport === 'file') {
+      // Name the file after the message id, without its brackets and domain
+      const id = info.messageId.replace(/^<|@.*$/g, '');
+      const file = path.join(config.directory, `${Date.now()}_${id}.eml`);
+      await writeFile(file, info.message);
+      M.log.info(`Wrote email to ${to} to ${file}.`);
+    }
+    else if (config.transport === 'log') {
+      const redacted = Object.assign({}, variables);
+      secretVariables.forEach((name) => {
+        if (redacted[name]) redacted[name] = '[redacted]';
+      });
+      M.log.info(`Email to ${to}: ${renderTemplate(template.subject, redacted)}\n`
+        + `${renderTemplate(template.text, redacted)}`);
+    }
+    else {
+      M.log.info(`Emailed user: ${to}.`);
+    }
+
+    return { to: to, subject: message.subject, text: message.text, html: message.html };
+  }
+  catch (error) {
+    M.log.warn(error);
+    throw new M.ServerError('Failed to send user email.', 'error');
+  }
+}
+
+// Export the module
+module.exports = {
+  renderTemplate,
+  send
+};
@@ -0,0 +1,103 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module src.models.commit
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Defines the adapter-owned commit model. MCF does not track
+ * commits, so every change the adapter makes to the elements of a ref is
+ * recorded here in order to serve MMS commit history.
+ */
+
+// MCF modules
+const db = M.require('db');
+
+/* ---------------------------( Model Schema )---------------------------- */
+/**
+ * @namespace
+ *
+ * @description The schema definition for an MMS adapter commit.
+ *
+ * @property {string} _id - The commit's unique id, a UUID as in MMS.
+ * @property {string} org - The id of the org which contains the project.
+ * @property {string} project - The id of the project the commit was made on.
+ * @property {string} branch - The id of the ref (branch) the commit was made on.
+ * @property {string} creator - The username of the user who made the commit.
+ * @property {Date} created - The date and time the commit was made.
+ * @property {string} comment - An optional comment supplied by the client.
+ * @property {string[]} added - The ids of the elements created in the commit.
+ * @property {string[]} updated - The ids of the elements updated in the commit.
+ * @property {string[]} deleted - The ids of the elements deleted in the commit.
+ */
+const CommitSchema = new db.Schema({
+  _id: {
+    type: 'String',
+    required: true
+  },
+  org: {
+    type: 'String',
+    required: true
+  },
+  project: {
+    type: 'String',
+    required: true,
+    index: true
+  },
+  branch: {
+    type: 'String',
+    required: true,
+    index: true
+  },
+  creator: {
+    type: 'String',
+    default: null
+  },
+  created: {
+    type: 'Date',
+    default: Date.now
+  },
+  comment: {
+    type: 'String',
+    default: ''
+  },
+  added: {
+    type: 'Object',
+    default: []
+  },
+  updated: {
+    type: 'Object',
+    default: []
+  },
+  deleted: {
+    type: 'Object',
+    default: []
+  }
+});
+
+/* ---------------------------( Model Indexes )---------------------------- */
+// Commits are always listed newest first on a single ref
+CommitSchema.index({ project: 1, branch: 1, created: -1 });
+
+/* -------------------------( Commit Model )------------------------------ */
+const CommitModel = new db.Model('MMSAdapterCommit', CommitSchema, 'mms_adapter_commits');
+
+// Export the model
+module.exports = CommitModel;
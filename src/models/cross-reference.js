@@ -0,0 +1,75 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module src.models.cross-reference
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Defines the adapter-owned cross reference model. A cross
+ * reference records that an element on a ref transcludes or cross-references
+ * another element through an mms-cf or mms-transclude tag in its documentation
+ * or values. Together they form a reverse index from an element to the elements
+ * which reference it.
+ */
+
+// MCF modules
+const db = M.require('db');
+
+/* ---------------------------( Model Schema )---------------------------- */
+/**
+ * @namespace
+ *
+ * @description The schema definition for a cross reference.
+ *
+ * @property {string} project - The id of the project containing the elements.
+ * @property {string} branch - The id of the ref (branch) containing the elements.
+ * @property {string} source - The id of the referencing element.
+ * @property {string} target - The id of the referenced element.
+ */
+const CrossReferenceSchema = new db.Schema({
+  project: {
+    type: 'String',
+    required: true
+  },
+  branch: {
+    type: 'String',
+    required: true
+  },
+  source: {
+    type: 'String',
+    required: true
+  },
+  target: {
+    type: 'String',
+    required: true
+  }
+});
+
+/* ---------------------------( Model Indexes )---------------------------- */
+// Cross references are looked up by referenced element, and replaced by referencing element
+CrossReferenceSchema.index({ project: 1, branch: 1, target: 1 });
+CrossReferenceSchema.index({ project: 1, branch: 1, source: 1 });
+
+/* ----------------------( Cross Reference Model )------------------------ */
+const CrossReferenceModel = new db.Model('MMSAdapterCrossReference', CrossReferenceSchema,
+  'mms_adapter_cross_references');
+
+// Export the model
+module.exports = CrossReferenceModel;
@@ -0,0 +1,92 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module src.models.element-snapshot
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Defines the adapter-owned element snapshot model. A snapshot
+ * stores the state of a single element on a ref after a commit changed it, which
+ * allows the state of a ref to be reconstructed at any recorded commit.
+ */
+
+// MCF modules
+const db = M.require('db');
+
+/* ---------------------------( Model Schema )---------------------------- */
+/**
+ * @namespace
+ *
+ * @description The schema definition for an element snapshot.
+ *
+ * @property {string} project - The id of the project containing the element.
+ * @property {string} branch - The id of the ref (branch) containing the element.
+ * @property {string} id - The id of the element.
+ * @property {string} commit - The id of the commit which produced this state. Baseline
+ * snapshots, which store the state of an element before its first recorded change, have
+ * no commit.
+ * @property {Date} created - The time the state became effective.
+ * @property {string} action - How the element was changed: added, updated, deleted, or
+ * baseline.
+ * @property {object} element - The MCF element after the change; null if it was deleted.
+ */
+const ElementSnapshotSchema = new db.Schema({
+  project: {
+    type: 'String',
+    required: true
+  },
+  branch: {
+    type: 'String',
+    required: true
+  },
+  id: {
+    type: 'String',
+    required: true
+  },
+  commit: {
+    type: 'String',
+    default: null
+  },
+  created: {
+    type: 'Date',
+    default: Date.now
+  },
+  action: {
+    type: 'String',
+    enum: ['added', 'updated', 'deleted', 'baseline'],
+    required: true
+  },
+  element: {
+    type: 'Object',
+    default: null
+  }
+});
+
+/* ---------------------------( Model Indexes )---------------------------- */
+// Snapshots are looked up by element and time on a single ref
+ElementSnapshotSchema.index({ project: 1, branch: 1, id: 1, created: -1 });
+ElementSnapshotSchema.index({ project: 1, branch: 1, created: -1 });
+
+/* ----------------------( Element Snapshot Model )------------------------ */
+const ElementSnapshotModel = new db.Model('MMSAdapterElementSnapshot', ElementSnapshotSchema,
+  'mms_adapter_element_snapshots');
+
+// Export the model
+module.exports = ElementSnapshotModel;
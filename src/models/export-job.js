@@ -0,0 +1,118 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module src.models.export-job
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Defines the adapter-owned export job model. Every document
+ * export requested through the adapter is tracked as a job so that
+ * clients can poll for its state and resulting artifact.
+ */
+
+// MCF modules
+const db = M.require('db');
+
+/* ---------------------------( Model Schema )---------------------------- */
+/**
+ * @namespace
+ *
+ * @description The schema definition for an MMS adapter export job.
+ *
+ * @property {string} _id - The job's unique id, a UUID.
+ * @property {string} org - The id of the org which contains the project.
+ * @property {string} project - The id of the project the document belongs to.
+ * @property {string} branch - The id of the ref (branch) the document belongs to.
+ * @property {string} creator - The username of the user who requested the export.
+ * @property {string} format - The format the document is exported to: pdf, html or docx.
+ * @property {string} state - One of queued, running, succeeded or failed.
+ * @property {string} error - The reason the job failed, if it did.
+ * @property {string} stderr - The output the PDF renderer printed to stderr.
+ * @property {string} artifact - The id of the artifact holding the exported document.
+ * @property {Date} created - The date and time the export was requested.
+ * @property {Date} started - The date and time the conversion started.
+ * @property {Date} finished - The date and time the job succeeded or failed.
+ */
+const ExportJobSchema = new db.Schema({
+  _id: {
+    type: 'String',
+    required: true
+  },
+  org: {
+    type: 'String',
+    required: true
+  },
+  project: {
+    type: 'String',
+    required: true
+  },
+  branch: {
+    type: 'String',
+    required: true
+  },
+  creator: {
+    type: 'String',
+    required: true,
+    index: true
+  },
+  format: {
+    type: 'String',
+    default: 'pdf'
+  },
+  state: {
+    type: 'String',
+    default: 'queued'
+  },
+  error: {
+    type: 'String',
+    default: null
+  },
+  stderr: {
+    type: 'String',
+    default: null
+  },
+  artifact: {
+    type: 'String',
+    default: null
+  },
+  created: {
+    type: 'Date',
+    default: Date.now
+  },
+  started: {
+    type: 'Date',
+    default: null
+  },
+  finished: {
+    type: 'Date',
+    default: null
+  }
+});
+
+/* ---------------------------( Model Indexes )---------------------------- */
+// Jobs are always listed newest first for a single user
+ExportJobSchema.index({ creator: 1, created: -1 });
+
+/* -------------------------( Export Job Model )------------------------------ */
+const ExportJobModel = new db.Model('MMSAdapterExportJob', ExportJobSchema,
+  'mms_adapter_export_jobs');
+
+// Export the model
+module.exports = ExportJobModel;
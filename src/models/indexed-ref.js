@@ -0,0 +1,62 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module src.models.indexed-ref
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Defines the adapter-owned indexed ref model. An indexed ref
+ * records that the cross references of every element on a ref have been
+ * indexed, so elements written before the index existed are only scanned once.
+ */
+
+// MCF modules
+const db = M.require('db');
+
+/* ---------------------------( Model Schema )---------------------------- */
+/**
+ * @namespace
+ *
+ * @description The schema definition for an indexed ref.
+ *
+ * @property {string} project - The id of the project containing the ref.
+ * @property {string} branch - The id of the indexed ref (branch).
+ */
+const IndexedRefSchema = new db.Schema({
+  project: {
+    type: 'String',
+    required: true
+  },
+  branch: {
+    type: 'String',
+    required: true
+  }
+});
+
+/* ---------------------------( Model Indexes )---------------------------- */
+// Indexed refs are looked up by project and ref
+IndexedRefSchema.index({ project: 1, branch: 1 });
+
+/* -------------------------( Indexed Ref Model )------------------------------ */
+const IndexedRefModel = new db.Model('MMSAdapterIndexedRef', IndexedRefSchema,
+  'mms_adapter_indexed_refs');
+
+// Export the model
+module.exports = IndexedRefModel;
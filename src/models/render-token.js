@@ -0,0 +1,79 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module src.models.render-token
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Defines the adapter-owned render token model. A render token
+ * lets a document renderer download the artifact images of the document it
+ * is rendering, and nothing else, while its export job runs.
+ */
+
+// MCF modules
+const db = M.require('db');
+
+/* ---------------------------( Model Schema )---------------------------- */
+/**
+ * @namespace
+ *
+ * @description The schema definition for an MMS adapter render token.
+ *
+ * @property {string} _id - The SHA-256 hash of the token. The token itself is never stored.
+ * @property {string} user - The username of the user who requested the export.
+ * @property {string} project - The id of the project whose artifacts the token can read.
+ * @property {string} branch - The id of the ref (branch) whose artifacts the token can read.
+ * @property {string} job - The id of the export job the token was created for.
+ * @property {Date} expires - The date and time the token expires if it is not revoked first.
+ */
+const RenderTokenSchema = new db.Schema({
+  _id: {
+    type: 'String',
+    required: true
+  },
+  user: {
+    type: 'String',
+    required: true
+  },
+  project: {
+    type: 'String',
+    required: true
+  },
+  branch: {
+    type: 'String',
+    required: true
+  },
+  job: {
+    type: 'String',
+    required: true,
+    index: true
+  },
+  expires: {
+    type: 'Date',
+    required: true
+  }
+});
+
+/* -------------------------( Render Token Model )------------------------------ */
+const RenderTokenModel = new db.Model('MMSAdapterRenderToken', RenderTokenSchema,
+  'mms_adapter_render_tokens');
+
+// Export the model
+module.exports = RenderTokenModel;
@@ -0,0 +1,125 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module src.orphans
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Keeps track of orphaned elements, which were posted with the id
+ * of an owner that does not exist yet. Orphans are stored in a holding bin on
+ * their ref, with the id of their intended owner kept in their custom data,
+ * until the owner is posted.
+ */
+
+// MCF modules
+const ElementController = M.require('controllers.element-controller');
+const Element = M.require('models.element');
+const mcfUtils = M.require('lib.utils');
+
+// Adapter modules
+const utils = require('./utils');
+const namespace = utils.customDataNamespace;
+
+/**
+ * @description Returns the id of the holding bin of a project.
+ *
+ * @param {string} projID - The id of the project.
+ *
+ * @returns {string} The id of the holding bin element.
+ */
+function holdingBinID(projID) {
+  return `holding_bin_${projID}`;
+}
+
+/**
+ * @description Returns the id of the owner an element was posted with, which is kept in its
+ * custom data.
+ *
+ * @param {object} element - The MCF element.
+ *
+ * @returns {string|undefined} The id of the intended owner, if there is one.
+ */
+function intendedOwner(element) {
+  return (element.custom && element.custom[namespace])
+    ? element.custom[namespace].ownerId
+    : undefined;
+}
+
+/**
+ * @description Creates the holding bin of a project on a ref if it does not exist yet. Refs
+ * created from a ref with a holding bin already have one.
+ * @async
+ *
+ * @param {object} reqUser - The requesting user.
+ * @param {string} orgID - The id of the org.
+ * @param {string} projID - The id of the project.
+ * @param {string} refID - The id of the ref.
+ */
+async function ensureHoldingBin(reqUser, orgID, projID, refID) {
+  const binID = holdingBinID(projID);
+  const bins = await ElementController.find(reqUser, orgID, projID, refID, binID,
+    { includeArchived: true });
+
+  if (bins.length === 0) {
+    try {
+      await ElementController.create(reqUser, orgID, projID, refID, {
+        id: binID,
+        name: 'Holding Bin',
+        parent: 'model'
+      });
+    }
+    catch (error) {
+      // Another request may have created the bin in the meantime
+      const created = await ElementController.find(reqUser, orgID, projID, refID, binID);
+      if (created.length === 0) throw error;
+    }
+  }
+  else if (bins[0].archived) {
+    await ElementController.update(reqUser, orgID, projID, refID,
+      { id: binID, archived: false });
+  }
+}
+
+/**
+ * @description Finds the orphaned elements of a ref, which are the elements in its holding
+ * bin. The requesting user must already have been verified to have access to the ref, since
+ * the elements are read directly.
+ * @async
+ *
+ * @param {string} orgID - The id of the org.
+ * @param {string} projID - The id of the project.
+ * @param {string} refID - The id of the ref.
+ *
+ * @returns {Promise<object[]>} The orphaned MCF elements, sorted by id.
+ */
+async function findOrphans(orgID, projID, refID) {
+  return Element.find({
+    parent: mcfUtils.createID(orgID, projID, refID, holdingBinID(projID)),
+    archived: false
+  }, null, { sort: { _id: 1 } });
+}
+
+// Export the module
+module.exports = {
+  holdingBinID,
+  intendedOwner,
+  ensureHoldingBin,
+  findOrphans
+};
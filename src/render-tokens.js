@@ -0,0 +1,115 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module src.render-tokens
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Creates, verifies and revokes render tokens. A render token is
+ * created for each export job which is rendered, and only authorizes reading
+ * the artifact blobs of the exported ref. It is revoked as soon as the job
+ * finishes, and expires after an hour in case the adapter stops first.
+ */
+
+// Node modules
+const crypto = require('crypto');
+
+// Adapter modules
+const RenderToken = require('./models/render-token.js');
+
+// How long a token is valid for if it is not revoked, in milliseconds
+const lifetime = 60 * 60 * 1000;
+
+/**
+ * @description Hashes a token, which is how it is identified in the database.
+ *
+ * @param {string} token - The token.
+ *
+ * @returns {string} The hex encoded SHA-256 hash of the token.
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * @description Creates a render token for an export job.
+ * @async
+ *
+ * @param {string} username - The user who requested the export.
+ * @param {string} projID - The id of the project whose artifacts the token can read.
+ * @param {string} refID - The id of the ref (branch) whose artifacts the token can read.
+ * @param {string} jobID - The id of the export job.
+ *
+ * @returns {Promise<string>} The token.
+ */
+async function createToken(username, projID, refID, jobID) {
+  // Remove tokens left behind by jobs which never finished
+  await RenderToken.deleteMany({ expires: { $lt: new Date() } });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await RenderToken.insertMany([{
+    _id: hashToken(token),
+    user: username,
+    project: projID,
+    branch: refID,
+    job: jobID,
+    expires: new Date(Date.now() + lifetime)
+  }]);
+  return token;
+}
+
+/**
+ * @description Verifies that a render token can read the artifacts of a ref.
+ * @async
+ *
+ * @param {string} token - The token.
+ * @param {string} projID - The id of the project being read.
+ * @param {string} refID - The id of the ref (branch) being read.
+ *
+ * @returns {Promise<string>} The username of the user the token was created for.
+ */
+async function verifyToken(token, projID, refID) {
+  const renderToken = await RenderToken.findOne({ _id: hashToken(String(token)) });
+  if (!renderToken || renderToken.expires < new Date()) {
+    throw new M.AuthorizationError('Invalid render token.', 'warn');
+  }
+  if (renderToken.project !== projID || renderToken.branch !== refID) {
+    throw new M.PermissionError('The render token cannot read artifacts of '
+      + `ref ${refID} of project ${projID}.`, 'warn');
+  }
+  return renderToken.user;
+}
+
+/**
+ * @description Revokes the render tokens of an export job.
+ * @async
+ *
+ * @param {string} jobID - The id of the export job.
+ */
+async function revokeTokens(jobID) {
+  await RenderToken.deleteMany({ job: jobID });
+}
+
+// Export the module
+module.exports = {
+  createToken,
+  verifyToken,
+  revokeTokens
+};
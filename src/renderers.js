@@ -0,0 +1,121 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module src.renderers
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Renders HTML documents into PDF or DOCX files through external
+ * converter programs. The renderer is selected in the adapter config; each
+ * renderer runs its program directly, without a shell, with the input and
+ * output paths substituted into an argument template.
+ */
+
+// Node modules
+const { execFile } = require('child_process');
+
+/**
+ * @description The supported renderers and their default configuration. The {input} and
+ * {output} placeholders of each argument are replaced with the paths of the HTML and output
+ * files.
+ */
+const renderers = {
+  prince: {
+    exec: 'prince',
+    args: ['{input}', '-o', '{output}', '--insecure'],
+    timeout: 300000
+  },
+  command: {
+    args: ['{input}', '{output}'],
+    timeout: 300000
+  }
+};
+
+/**
+ * @description Resolves the configuration of the selected renderer. The renderer's own section
+ * overrides its defaults; for backwards compatibility, the Prince executable may also be set
+ * by the exec field of the pdf section.
+ *
+ * @param {object} config - The renderer config, such as the pdf section of the adapter config.
+ *
+ * @returns {object} The name, exec, args and timeout of the renderer.
+ */
+function resolveRenderer(config) {
+  const name = config.renderer || 'prince';
+  if (!renderers.hasOwnProperty(name)) {
+    throw new M.ServerError(`Unknown renderer ${name}; expected one of `
+      + `${Object.keys(renderers).join(', ')}.`, 'error');
+  }
+
+  const renderer = Object.assign({ name: name }, renderers[name], config[name]);
+  if (name === 'prince' && !(config.prince && config.prince.exec) && config.exec) {
+    renderer.exec = config.exec;
+  }
+  if (typeof renderer.exec !== 'string' || renderer.exec.length === 0) {
+    throw new M.ServerError(`The ${name} renderer has no executable configured.`, 'error');
+  }
+  if (!Array.isArray(renderer.args)) {
+    throw new M.ServerError(`The arguments of the ${name} renderer must be an array.`,
+      'error');
+  }
+
+  return renderer;
+}
+
+/**
+ * @description Renders an HTML file into another format with the configured renderer.
+ * @async
+ *
+ * @param {string} inputPath - The path of the HTML file.
+ * @param {string} outputPath - The path to write the rendered file to.
+ * @param {object} [config] - The renderer config. Defaults to the pdf section of the
+ * configuration of the running adapter.
+ *
+ * @returns {Promise<string>} The standard error output of the renderer, which holds any
+ * warnings it printed. If rendering fails, the rejected error's stderr property holds it too.
+ */
+async function render(inputPath, outputPath, config) {
+  const renderer = resolveRenderer(config || M.config.server.plugins.plugins['mms-adapter'].pdf);
+  const args = renderer.args.map((arg) => String(arg)
+  .replace(/\{input\}/g, inputPath)
+  .replace(/\{output\}/g, outputPath));
+
+  M.log.info(`Executing... ${renderer.exec} ${args.join(' ')}`);
+  return new Promise((resolve, reject) => {
+    const options = { timeout: renderer.timeout, maxBuffer: 10 * 1024 * 1024 };
+    execFile(renderer.exec, args, options, (err, stdout, stderr) => {
+      const output = stderr.toString().trim();
+      if (err) {
+        let reason = `could not be run: ${err.message}`;
+        if (err.killed) reason = `timed out after ${renderer.timeout / 1000} seconds`;
+        else if (typeof err.code === 'number') reason = `exited with code ${err.code}`;
+        const error = new M.ServerError(`The ${renderer.name} renderer ${reason}`, 'warn');
+        error.stderr = output;
+        return reject(error);
+      }
+      return resolve(output);
+    });
+  });
+}
+
+// Export the module
+module.exports = {
+  render
+};
@@ -0,0 +1,619 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module src.search
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Translates the ElasticSearch queries and aggregations sent by View Editor and
+ * MDK to the MMS search endpoint into MongoDB queries and aggregation pipelines on MCF elements.
+ */
+
+// MCF modules
+const Element = M.require('models.element');
+const mcfUtils = M.require('lib.utils');
+
+// Adapter modules
+const utils = require('./utils.js');
+const { parseTimestamp } = require('./commit-log.js');
+const namespace = utils.customDataNamespace;
+
+/**
+ * @description MMS element fields which are stored in top-level MCF element fields, mapped
+ * to the names of those fields. Every other MMS field is stored in custom data.
+ */
+const fieldMap = {
+  id: '_id',
+  ownerId: 'parent',
+  name: 'name',
+  documentation: 'documentation',
+  type: 'type',
+  _creator: 'createdBy',
+  _modifier: 'lastModifiedBy',
+  _created: 'createdOn',
+  _modified: 'updatedOn'
+};
+
+/**
+ * @description MMS fields holding the ids of elements, whose values must be converted to MCF
+ * element ids.
+ */
+const idFields = ['id', 'ownerId'];
+
+/**
+ * @description MMS fields holding timestamps, whose values must be converted to dates.
+ */
+const dateFields = ['_created', '_modified'];
+
+/**
+ * @description MMS fields which locate an element. Every translated query is already scoped
+ * to the requested project and ref, so conditions on these fields are ignored.
+ */
+const scopeFields = ['_projectId', '_refId', '_inRefIds'];
+
+/**
+ * @description The fields searched by a multi_match query which does not list any.
+ */
+const defaultMatchFields = ['name', 'documentation'];
+
+/**
+ * @description The number of buckets returned by a terms aggregation which does not specify a
+ * size, as in ElasticSearch.
+ */
+const defaultBucketCount = 10;
+
+/**
+ * @description The largest number of combinations of should clauses a bool query may require
+ * to match. Every combination becomes a branch of the translated query, so requiring, say,
+ * 15 of 30 clauses would build millions of them.
+ */
+const maxShouldCombinations = 1000;
+
+/**
+ * @description Strips the subfield and boost suffixes ElasticSearch allows on field names,
+ * such as "name.keyword" or "name^2".
+ *
+ * @param {string} field - The ElasticSearch field name.
+ *
+ * @returns {string} The MMS field name.
+ */
+function baseField(field) {
+  return field.replace(/\^[\d.]+$/, '').replace(/\.(keyword|raw)$/, '');
+}
+
+/**
+ * @description Finds the MCF element path an MMS field is stored at.
+ *
+ * @param {string} field - The MMS field name.
+ *
+ * @returns {string|null} The path, or null if the field locates the element.
+ */
+function fieldPath(field) {
+  if (scopeFields.includes(field)) return null;
+  if (fieldMap.hasOwnProperty(field)) return fieldMap[field];
+  return `custom.${namespace}.${field}`;
+}
+
+/**
+ * @description Converts a value of an MMS field into the value stored in MCF.
+ *
+ * @param {string} field - The MMS field name.
+ * @param {*} value - The value to convert.
+ * @param {object} scope - The ids of the org, project and ref being searched.
+ *
+ * @returns {*} The converted value.
+ */
+function fieldValue(field, value, scope) {
+  if (idFields.includes(field) && typeof value === 'string') {
+    return mcfUtils.createID(scope.orgID, scope.projID, scope.refID, value);
+  }
+  if (dateFields.includes(field) && (typeof value === 'string' || typeof value === 'number')) {
+    return parseTimestamp(value);
+  }
+  return value;
+}
+
+/**
+ * @description Translates the single field condition of a leaf query, such as
+ * { term: { name: 'x' } }, by applying a function to the field and its value. Options like
+ * boost which ElasticSearch allows alongside the field are ignored.
+ *
+ * @param {object} clause - The body of the leaf query.
+ * @param {Function} build - Builds a MongoDB condition from the MMS field name, the MCF path
+ * and the value.
+ *
+ * @returns {object} The MongoDB condition.
+ */
+function leaf(clause, build) {
+  const fields = Object.keys(clause).filter((k) => !['boost', '_name'].includes(k));
+  if (fields.length !== 1) {
+    throw new M.DataFormatError('A search query must specify exactly one field.', 'warn');
+  }
+  const field = baseField(fields[0]);
+  const path = fieldPath(field);
+  if (path === null) return {};
+  return build(field, path, clause[fields[0]]);
+}
+
+/**
+ * @description Returns the value of a leaf query, which ElasticSearch allows to be given
+ * directly or as a property of an options object.
+ *
+ * @param {*} value - The value or options object.
+ * @param {string} key - The property holding the value in the options object.
+ *
+ * @returns {*} The value.
+ */
+function leafValue(value, key) {
+  return (value !== null && typeof value === 'object' && !Array.isArray(value))
+    ? value[key]
+    : value;
+}
+
+/**
+ * @description Builds a condition matching text in a field, ignoring case. Element ids are
+ * matched exactly instead.
+ *
+ * @param {string} field - The MMS field name.
+ * @param {string} path - The MCF path of the field.
+ * @param {string} text - The text to match.
+ * @param {object} options - Matching options.
+ * @param {boolean} [options.phrase] - If true, the text must appear as a whole. Otherwise,
+ * any of its words may appear unless the operator is "and".
+ * @param {string} [options.operator] - "and" or "or".
+ * @param {object} scope - The ids of the org, project and ref being searched.
+ *
+ * @returns {object} The MongoDB condition.
+ */
+function textCondition(field, path, text, options, scope) {
+  if (idFields.includes(field)) {
+    return { [path]: fieldValue(field, String(text), scope) };
+  }
+  const words = (options.phrase) ? [String(text)] : String(text).split(/\s+/).filter((w) => w);
+  const conditions = words.map((w) => ({ [path]: new RegExp(utils.escapeRegExp(w), 'i') }));
+  return combine(conditions, (String(options.operator).toLowerCase() === 'and') ? '$and' : '$or');
+}
+
+/**
+ * @description Translates an ElasticSearch query clause into a MongoDB condition.
+ *
+ * @param {object} query - The ElasticSearch query clause.
+ * @param {object} scope - The ids of the org, project and ref being searched.
+ *
+ * @returns {object} The MongoDB condition.
+ */
+function translate(query, scope) {
+  if (!query || typeof query !== 'object' || Array.isArray(query)) {
+    throw new M.DataFormatError('Invalid search query.', 'warn');
+  }
+  const types = Object.keys(query);
+  if (types.length !== 1) {
+    throw new M.DataFormatError('A search query clause must have exactly one type.', 'warn');
+  }
+  const type = types[0];
+  const clause = query[type];
+
+  switch (type) {
+    case 'bool':
+      return translateBool(clause, scope);
+    case 'match_all':
+      return {};
+    case 'ids':
+      return { _id: { $in: (clause.values || []).map((v) => fieldValue('id', v, scope)) } };
+    case 'term':
+      return leaf(clause, (field, path, v) => ({
+        [path]: fieldValue(field, leafValue(v, 'value'), scope)
+      }));
+    case 'terms':
+      return leaf(clause, (field, path, values) => {
+        if (!Array.isArray(values)) {
+          throw new M.DataFormatError('A terms query must provide an array of values.', 'warn');
+        }
+        return { [path]: { $in: values.map((v) => fieldValue(field, v, scope)) } };
+      });
+    case 'match':
+    case 'match_phrase':
+      return leaf(clause, (field, path, v) => textCondition(field, path, leafValue(v, 'query'), {
+        phrase: type === 'match_phrase',
+        operator: (v !== null && typeof v === 'object') ? v.operator : undefined
+      }, scope));
+    case 'prefix':
+      return leaf(clause, (field, path, v) => {
+        const value = fieldValue(field, String(leafValue(v, 'value')), scope);
+        return { [path]: new RegExp(`^${utils.escapeRegExp(value)}`) };
+      });
+    case 'wildcard':
+      return leaf(clause, (field, path, v) => {
+        const value = String(leafValue(v, (v && v.wildcard !== undefined) ? 'wildcard' : 'value'));
+        const pattern = value.split('').map((c) => {
+          if (c === '*') return '.*';
+          if (c === '?') return '.';
+          return utils.escapeRegExp(c);
+        }).join('');
+        return { [path]: new RegExp(`^${pattern}$`) };
+      });
+    case 'range':
+      return leaf(clause, (field, path, bounds) => {
+        if (bounds === null || typeof bounds !== 'object' || Array.isArray(bounds)) {
+          throw new M.DataFormatError('A range query must provide an object of bounds.', 'warn');
+        }
+        const condition = {};
+        ['gt', 'gte', 'lt', 'lte'].forEach((op) => {
+          if (bounds.hasOwnProperty(op)) condition[`$${op}`] = fieldValue(field, bounds[op], scope);
+        });
+        return { [path]: condition };
+      });
+    case 'exists': {
+      const path = fieldPath(baseField(clause.field || ''));
+      return (path === null) ? {} : { [path]: { $exists: true, $ne: null } };
+    }
+    case 'multi_match': {
+      const fields = (Array.isArray(clause.fields) && clause.fields.length !== 0)
+        ? clause.fields : defaultMatchFields;
+      const options = {
+        phrase: ['phrase', 'phrase_prefix'].includes(clause.type),
+        operator: clause.operator
+      };
+      const conditions = [];
+      fields.map(baseField).forEach((field) => {
+        const path = fieldPath(field);
+        if (path !== null) {
+          conditions.push(textCondition(field, path, clause.query, options, scope));
+        }
+      });
+      return combine(conditions, '$or');
+    }
+    default:
+      throw new M.DataFormatError(`Unsupported search query type: ${type}.`, 'warn');
+  }
+}
+
+/**
+ * @description Translates an ElasticSearch bool query. The must and filter clauses must all
+ * match and the must_not clauses must not match. The should clauses must match at least
+ * minimum_should_match times, which defaults to 1 when they are the only clauses and to 0
+ * otherwise.
+ *
+ * @param {object} bool - The body of the bool query.
+ * @param {object} scope - The ids of the org, project and ref being searched.
+ *
+ * @returns {object} The MongoDB condition.
+ */
+function translateBool(bool, scope) {
+  const list = (clauses) => {
+    if (clauses === undefined) return [];
+    return (Array.isArray(clauses) ? clauses : [clauses]).map((c) => translate(c, scope));
+  };
+  const must = list(bool.must).concat(list(bool.filter));
+  const should = list(bool.should);
+  const mustNot = list(bool.must_not);
+
+  const conditions = must.slice();
+  const defaultMinimum = (must.length === 0 && mustNot.length === 0) ? 1 : 0;
+  const minimum = minimumShouldMatch(bool.minimum_should_match, should.length, defaultMinimum);
+  if (minimum > 0) conditions.push(atLeast(should, minimum));
+  if (mustNot.length !== 0) conditions.push({ $nor: mustNot });
+
+  return combine(conditions, '$and');
+}
+
+/**
+ * @description Combines MongoDB conditions with a logical operator, leaving out conditions
+ * which match everything.
+ *
+ * @param {object[]} conditions - The conditions to combine.
+ * @param {string} operator - Either "$and" or "$or".
+ *
+ * @returns {object} The combined condition.
+ */
+function combine(conditions, operator) {
+  const matchesAll = (c) => Object.keys(c).length === 0;
+  if (operator === '$or' && conditions.some(matchesAll)) return {};
+  const remaining = conditions.filter((c) => !matchesAll(c));
+  if (remaining.length === 0) return (operator === '$or') ? { _id: { $exists: false } } : {};
+  if (remaining.length === 1) return remaining[0];
+  return { [operator]: remaining };
+}
+
+/**
+ * @description Resolves an ElasticSearch minimum_should_match value, which may be an integer,
+ * a percentage, or negative to count the clauses which may be missed.
+ *
+ * @param {number|string} [value] - The minimum_should_match value.
+ * @param {number} count - The number of should clauses.
+ * @param {number} defaultMinimum - The minimum if no value is provided.
+ *
+ * @returns {number} The number of should clauses which must match.
+ */
+function minimumShouldMatch(value, count, defaultMinimum) {
+  if (count === 0) return 0;
+  if (value === undefined || value === null) return Math.min(defaultMinimum, count);
+  const str = String(value).trim();
+  const percentage = str.endsWith('%');
+  let n = Number(percentage ? str.slice(0, -1) : str);
+  if (!Number.isFinite(n)) {
+    throw new M.DataFormatError(`Invalid minimum_should_match: ${value}.`, 'warn');
+  }
+  if (percentage) n = Math.trunc(count * n / 100);
+  if (n < 0) n += count;
+  return Math.max(0, Math.min(n, count));
+}
+
+/**
+ * @description Counts the ways of choosing k of n items.
+ *
+ * @param {number} n - The number of items.
+ * @param {number} k - The number of items chosen.
+ *
+ * @returns {number} The number of combinations.
+ */
+function combinationCount(n, k) {
+  let count = 1;
+  for (let i = 1; i <= Math.min(k, n - k); i++) {
+    count = count * (n - i + 1) / i;
+  }
+  return Math.round(count);
+}
+
+/**
+ * @description Builds a condition requiring at least a number of conditions to match. Queries
+ * which would need more than maxShouldCombinations combinations of conditions are rejected.
+ *
+ * @param {object[]} conditions - The conditions.
+ * @param {number} n - The number of conditions which must match.
+ *
+ * @returns {object} The MongoDB condition.
+ */
+function atLeast(conditions, n) {
+  if (n <= 1) return combine(conditions, '$or');
+  if (n >= conditions.length) return combine(conditions, '$and');
+  if (combinationCount(conditions.length, n) > maxShouldCombinations) {
+    throw new M.DataFormatError(`Requiring ${n} of ${conditions.length} should clauses to `
+      + `match is not supported; at most ${maxShouldCombinations} combinations of clauses `
+      + 'may be required.', 'warn');
+  }
+  // Match any combination of n conditions
+  const combinations = [];
+  const choose = (start, chosen) => {
+    if (chosen.length === n) {
+      combinations.push(combine(chosen, '$and'));
+      return;
+    }
+    for (let i = start; i <= conditions.length - (n - chosen.length); i++) {
+      choose(i + 1, chosen.concat([conditions[i]]));
+    }
+  };
+  choose(0, []);
+  return combine(combinations, '$or');
+}
+
+/**
+ * @description Translates an ElasticSearch query into a MongoDB query on the elements of a
+ * ref. Only the unarchived elements of the requested project and ref are matched, regardless of
+ * the query.
+ *
+ * @param {object} query - The ElasticSearch query.
+ * @param {string} orgID - The id of the org containing the project.
+ * @param {string} projID - The id of the project.
+ * @param {string} refID - The id of the ref (branch).
+ *
+ * @returns {object} The MongoDB query.
+ */
+function translateQuery(query, orgID, projID, refID) {
+  const condition = translate(query, { orgID, projID, refID });
+  return combine([{
+    project: mcfUtils.createID(orgID, projID),
+    branch: mcfUtils.createID(orgID, projID, refID),
+    archived: false
+  }, condition], '$and');
+}
+
+/**
+ * @description Translates an ElasticSearch sort into a MongoDB sort on elements. Each sort
+ * may be a field name, sorted in ascending order, or an object mapping a field name to an
+ * order or to an object with an order property. Sorting by relevance (_score) is ignored,
+ * since relevance is not computed.
+ *
+ * @param {object[]|object|string} [sort] - The ElasticSearch sort.
+ *
+ * @returns {object} The MongoDB sort.
+ */
+function translateSort(sort) {
+  const result = {};
+  if (sort === undefined || sort === null) return result;
+
+  (Array.isArray(sort) ? sort : [sort]).forEach((s) => {
+    let field;
+    let order = 'asc';
+    if (typeof s === 'string') {
+      field = s;
+    }
+    else if (s !== null && typeof s === 'object' && Object.keys(s).length === 1) {
+      field = Object.keys(s)[0];
+      order = leafValue(s[field], 'order') || 'asc';
+    }
+    else {
+      throw new M.DataFormatError('Invalid search sort.', 'warn');
+    }
+    if (!['asc', 'desc'].includes(order)) {
+      throw new M.DataFormatError(`Invalid search sort order: ${order}.`, 'warn');
+    }
+
+    const path = (field === '_score') ? null : fieldPath(baseField(field));
+    if (path !== null) result[path] = (order === 'desc') ? -1 : 1;
+  });
+
+  return result;
+}
+
+/**
+ * @description Runs a MongoDB aggregation pipeline on the elements collection. The MCF database
+ * abstraction does not expose aggregation, so the pipeline is run on the underlying model.
+ * @async
+ *
+ * @param {object[]} pipeline - The aggregation pipeline.
+ *
+ * @returns {Promise<object[]>} The results of the pipeline.
+ */
+async function runPipeline(pipeline) {
+  return Element.model.aggregate(pipeline);
+}
+
+/**
+ * @description Runs an ElasticSearch terms aggregation, which groups the matching elements
+ * by the values of a field. Elements without a value, or with an empty string, are not counted,
+ * and each value of an array field is counted separately.
+ * @async
+ *
+ * @param {object} terms - The body of the terms aggregation.
+ * @param {object} match - The MongoDB query matching the elements to aggregate.
+ * @param {object} subAggs - The sub-aggregations to run on each bucket.
+ * @param {object} scope - The ids of the org, project and ref being searched.
+ *
+ * @returns {Promise<object>} The aggregation result, holding the buckets in the form
+ * { key, doc_count } ordered by doc_count unless another order is requested.
+ */
+async function termsAggregation(terms, match, subAggs, scope) {
+  const field = baseField(terms.field || '');
+  const path = fieldPath(field);
+  if (path === null || field === '') {
+    throw new M.DataFormatError(`Cannot aggregate on field: ${terms.field}.`, 'warn');
+  }
+  const size = (terms.size === undefined) ? defaultBucketCount : Number(terms.size);
+  if (!Number.isInteger(size) || size < 0) {
+    throw new M.DataFormatError('The size of a terms aggregation must be a non-negative '
+      + 'integer.', 'warn');
+  }
+
+  // Order by count, then by key, unless another order is requested
+  const sort = { doc_count: -1, _id: 1 };
+  if (terms.order) {
+    const order = Array.isArray(terms.order) ? terms.order[0] : terms.order;
+    const key = Object.keys(order)[0];
+    const direction = (order[key] === 'asc') ? 1 : -1;
+    if (key === '_count') sort.doc_count = direction;
+    else if (['_key', '_term'].includes(key)) {
+      delete sort.doc_count;
+      sort._id = direction;
+    }
+    else throw new M.DataFormatError(`Unsupported terms aggregation order: ${key}.`, 'warn');
+  }
+
+  const values = [
+    { $match: match },
+    { $match: { [path]: { $exists: true, $nin: [null, ''] } } },
+    { $unwind: `$${path}` }
+  ];
+  const [groups, totals] = await Promise.all([
+    runPipeline(values.concat([
+      { $group: { _id: `$${path}`, doc_count: { $sum: 1 } } },
+      { $sort: sort },
+      { $limit: Math.max(size, 1) }
+    ])),
+    runPipeline(values.concat([{ $count: 'count' }]))
+  ]);
+
+  const buckets = await Promise.all(groups.slice(0, size).map(async (group) => {
+    const bucket = {
+      key: (idFields.includes(field) && typeof group._id === 'string')
+        ? mcfUtils.parseID(group._id).pop()
+        : group._id,
+      doc_count: group.doc_count
+    };
+    const subResults = await runAggregations(subAggs,
+      combine([match, { [path]: group._id }], '$and'), scope);
+    return Object.assign(bucket, subResults);
+  }));
+
+  const total = (totals.length !== 0) ? totals[0].count : 0;
+  return {
+    doc_count_error_upper_bound: 0,
+    sum_other_doc_count: total - buckets.reduce((sum, b) => sum + b.doc_count, 0),
+    buckets: buckets
+  };
+}
+
+/**
+ * @description Runs ElasticSearch aggregations on the elements matching a MongoDB query.
+ * Filter aggregations narrow the matching elements with an ElasticSearch query and count them;
+ * terms aggregations group them by the values of a field. Both may have sub-aggregations.
+ * @async
+ *
+ * @param {object} [aggs] - The aggregations, keyed by name.
+ * @param {object} match - The MongoDB query matching the elements to aggregate.
+ * @param {object} scope - The ids of the org, project and ref being searched.
+ *
+ * @returns {Promise<object>} The results of the aggregations, keyed by name.
+ */
+async function runAggregations(aggs, match, scope) {
+  const results = {};
+  if (!aggs) return results;
+
+  await Promise.all(Object.keys(aggs).map(async (name) => {
+    const agg = aggs[name];
+    const subAggs = agg.aggs || agg.aggregations;
+    const types = Object.keys(agg).filter((k) => !['aggs', 'aggregations', 'meta'].includes(k));
+    if (types.length !== 1) {
+      throw new M.DataFormatError(`Aggregation ${name} must have exactly one type.`, 'warn');
+    }
+
+    switch (types[0]) {
+      case 'filter': {
+        const filterMatch = combine([match, translate(agg.filter, scope)], '$and');
+        const docCount = await Element.countDocuments(filterMatch);
+        const subResults = await runAggregations(subAggs, filterMatch, scope);
+        results[name] = Object.assign({ doc_count: docCount }, subResults);
+        break;
+      }
+      case 'terms':
+        results[name] = await termsAggregation(agg.terms, match, subAggs, scope);
+        break;
+      default:
+        throw new M.DataFormatError(`Unsupported aggregation type: ${types[0]}.`, 'warn');
+    }
+  }));
+
+  return results;
+}
+
+/**
+ * @description Runs ElasticSearch aggregations on the elements of a ref, such as the metatypes
+ * aggregation View Editor uses to list the types and stereotypes in a project.
+ * @async
+ *
+ * @param {object} aggs - The aggregations, keyed by name.
+ * @param {object} [query] - An ElasticSearch query narrowing the elements to aggregate.
+ * @param {string} orgID - The id of the org containing the project.
+ * @param {string} projID - The id of the project.
+ * @param {string} refID - The id of the ref (branch).
+ *
+ * @returns {Promise<object>} The results of the aggregations, keyed by name.
+ */
+async function aggregate(aggs, query, orgID, projID, refID) {
+  const match = translateQuery(query || { match_all: {} }, orgID, projID, refID);
+  return runAggregations(aggs, match, { orgID, projID, refID });
+}
+
+// Export the module
+module.exports = {
+  translateQuery,
+  translateSort,
+  aggregate
+};
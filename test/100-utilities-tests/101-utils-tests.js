@@ -35,6 +35,8 @@ const mcfUtils = M.require('lib.utils');
 
 // Plugin modules
 const utils = require('../../src/utils.js');
+const downloadLinks = require('../../src/download-links.js');
+const renderTokens = require('../../src/render-tokens.js');
 const namespace = utils.customDataNamespace;
 
 // Global variables
@@ -43,6 +45,9 @@ let org;
 let project;
 let projID;
 const branchID = 'master';
+// Download links are built from a public URL, which the test config does not set
+const linkConfig = () => Object.assign({}, M.config.server.plugins.plugins['mms-adapter'],
+  { publicUrl: 'https://mbee.example.com/plugins/mms-adapter' });
 const elements = [
   {
     id: 'test_doc_1',
@@ -144,6 +149,10 @@ describe(M.getModuleName(module.filename), () => {
   it('should set the response headers', responseHeaders);
   it('should handle the ticket in the query', handleTicket);
   it('should handle the ticket in the request parameters', formatTicketRequest);
+  it('should authenticate requests with a signed download link', handleSignedLink);
+  it('should reject requests with an invalid download link', handleInvalidSignedLink);
+  it('should authenticate artifact requests on the ref of a render token', handleRenderToken);
+  it('should reject render tokens on other refs or once revoked', handleInvalidRenderToken);
   it('should generate child views for document and view elements', generateChildViews);
 });
 
@@ -184,7 +193,7 @@ async function responseHeaders() {
     chai.expect(res.headers['Access-Control-Allow-Origin']).to.equal('test');
     chai.expect(res.headers['Access-Control-Allow-Credentials']).to.equal('true');
     chai.expect(res.headers['Access-Control-Allow-Headers']).to.equal('Origin, X-Requested-With, Content-Type, Accept, Authorization');
-    chai.expect(res.headers['Access-Control-Allow-Methods']).to.equal('GET, POST, OPTIONS, PUT, DELETE');
+    chai.expect(res.headers['Access-Control-Allow-Methods']).to.equal('GET, POST, OPTIONS, PUT, PATCH, DELETE');
   };
   utils.addHeaders(req, res, next);
 }
@@ -225,6 +234,128 @@ async function formatTicketRequest() {
   utils.formatTicketRequest(req, null, next);
 }
 
+/**
+ * @description Verifies that the handleSignedLink function sets the requesting user of a
+ * request with a signed download link, and that authentication is then skipped.
+ */
+async function handleSignedLink() {
+  const link = downloadLinks.createLink(adminUser._id, projID, branchID, 'test_artifact',
+    linkConfig());
+  const url = new URL(link.url, 'http://localhost');
+  const req = {
+    path: url.pathname.slice(url.pathname.indexOf('/alfresco')),
+    query: {
+      user: url.searchParams.get('user'),
+      expires: url.searchParams.get('expires'),
+      signature: url.searchParams.get('signature')
+    }
+  };
+
+  await new Promise((resolve) => utils.handleSignedLink(req, null, resolve));
+  chai.expect(req.user._id).to.equal(adminUser._id);
+  chai.expect(req.preauthenticated).to.equal(true);
+  chai.expect(req.query).to.deep.equal({});
+
+  const authenticate = () => chai.expect.fail('Authentication should have been skipped.');
+  await new Promise((resolve) => utils.unlessAuthenticated(authenticate)(req, null, resolve));
+}
+
+/**
+ * @description Verifies that the handleSignedLink function rejects a request with a download
+ * link signed for another path.
+ */
+async function handleInvalidSignedLink() {
+  const link = downloadLinks.createLink(adminUser._id, projID, branchID, 'test_artifact',
+    linkConfig());
+  const url = new URL(link.url, 'http://localhost');
+  const req = {
+    path: url.pathname.slice(url.pathname.indexOf('/alfresco'))
+    .replace('test_artifact', 'other_artifact'),
+    query: {
+      user: url.searchParams.get('user'),
+      expires: url.searchParams.get('expires'),
+      signature: url.searchParams.get('signature')
+    }
+  };
+  const res = {
+    status: function(code) {
+      this.statusCode = code;
+      return this;
+    },
+    send: function(message) {
+      this.message = message;
+    }
+  };
+
+  await utils.handleSignedLink(req, res, () => chai.expect.fail('The link should be rejected.'));
+  chai.expect(res.statusCode).to.equal(401);
+  chai.expect(res.message).to.equal('Invalid download link.');
+  chai.expect(req.user).to.equal(undefined);
+}
+
+/**
+ * @description Verifies that the handleRenderToken function sets the requesting user of a
+ * request for an artifact on the ref the render token was created for.
+ */
+async function handleRenderToken() {
+  const token = await renderTokens.createToken(adminUser._id, projID, branchID, 'test_job');
+  const req = {
+    params: {
+      projectid: projID,
+      refid: branchID
+    },
+    query: {
+      render_token: token
+    }
+  };
+
+  await new Promise((resolve) => utils.handleRenderToken(req, null, resolve));
+  chai.expect(req.user._id).to.equal(adminUser._id);
+  chai.expect(req.preauthenticated).to.equal(true);
+  chai.expect(req.query).to.deep.equal({});
+
+  await renderTokens.revokeTokens('test_job');
+}
+
+/**
+ * @description Verifies that the handleRenderToken function rejects render tokens used on
+ * another ref, and render tokens which have been revoked.
+ */
+async function handleInvalidRenderToken() {
+  const token = await renderTokens.createToken(adminUser._id, projID, branchID, 'test_job');
+  const request = (refID) => ({
+    params: {
+      projectid: projID,
+      refid: refID
+    },
+    query: {
+      render_token: token
+    }
+  });
+  const response = () => ({
+    status: function(code) {
+      this.statusCode = code;
+      return this;
+    },
+    send: function(message) {
+      this.message = message;
+    }
+  });
+  const next = () => chai.expect.fail('The render token should be rejected.');
+
+  // Use the token on another ref
+  const otherRef = response();
+  await utils.handleRenderToken(request('other_branch'), otherRef, next);
+  chai.expect(otherRef.statusCode).to.equal(403);
+
+  // Use the token once it has been revoked
+  await renderTokens.revokeTokens('test_job');
+  const revoked = response();
+  await utils.handleRenderToken(request(branchID), revoked, next);
+  chai.expect(revoked.statusCode).to.equal(401);
+  chai.expect(revoked.message).to.equal('Invalid render token.');
+}
+
 /**
  * @description Verifies that the generateChildViews function can correctly generate the child
  * views of a document or view element.
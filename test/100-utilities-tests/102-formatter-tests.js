@@ -102,10 +102,12 @@ describe(M.getModuleName(module.filename), () => {
   it('should convert incoming org data into mcf format', mcfOrg);
   it('should convert incoming project data into mcf format', mcfProject);
   it('should convert incoming branch data into mcf format', mcfBranch);
+  it('should convert an incoming tag into a tag branch', mcfTag);
   it('should convert incoming element data into mcf format', mcfElements);
   it('should convert internal org data into mms format', mmsOrg);
   it('should convert internal project data into mms format', mmsProject);
   it('should convert internal branch data into mms format', mmsRef);
+  it('should convert a tag branch into an mms tag', mmsTag);
   it('should convert internal element data into mms format', mmsElement);
   it('should convert internal artifact data into mms format', mmsArtifact);
 });
@@ -174,6 +176,24 @@ async function mcfBranch() {
   chai.expect(ref.custom[namespace].property3).to.equal('test3');
 }
 
+/**
+ * @description Verifies that formatter.js converts an MMS ref of type Tag into an MCF tag.
+ */
+async function mcfTag() {
+  const mdkRef = {
+    id: 'test-tag',
+    name: 'test-tag',
+    type: 'Tag',
+    parentRefId: 'master'
+  };
+
+  const ref = format.mcfBranch(mdkRef);
+
+  chai.expect(ref.tag).to.equal(true);
+  chai.expect(ref.source).to.equal('master');
+  chai.expect(ref.custom[namespace]).to.not.have.property('type');
+}
+
 /**
  * @description Verifies that formatter.js can take an array of MMS elements and convert them
  * into MCF elements.
@@ -204,6 +224,9 @@ async function mcfElements() {
   chai.expect(mdkElems[0].custom[namespace].property1).to.equal('test1');
   chai.expect(mdkElems[0].custom[namespace].property2).to.equal('test2');
   chai.expect(mdkElems[0].custom[namespace].property3).to.equal('test3');
+  // The parent does not exist, so the element is placed in the holding bin
+  chai.expect(mdkElems[0].parent).to.equal(`holding_bin_${projID}`);
+  chai.expect(mdkElems[0].custom[namespace].ownerId).to.equal('test-parent');
 }
 
 /**
@@ -268,6 +291,23 @@ async function mmsRef() {
   chai.expect(convertedRef.property1).to.equal('test1');
   chai.expect(convertedRef.property2).to.equal('test2');
   chai.expect(convertedRef.property3).to.equal('test3');
+  chai.expect(convertedRef.type).to.equal('Branch');
+  chai.expect(Object.keys(convertedRef).slice(0, 3)).to.deep.equal(['id', 'name', 'type']);
+}
+
+/**
+ * @description Verifies that formatter.js reports an MCF tag as an MMS ref of type tag.
+ */
+async function mmsTag() {
+  const tag = Object.assign({}, branch, {
+    tag: true,
+    custom: { [namespace]: { type: 'Branch' } }
+  });
+
+  const convertedRef = format.mmsRef(adminUser, tag);
+
+  chai.expect(convertedRef.id).to.equal(branchID);
+  chai.expect(convertedRef.type).to.equal('tag');
 }
 
 /**
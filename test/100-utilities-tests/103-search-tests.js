@@ -0,0 +1,253 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module test.103-search-tests.js
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Tests the search.js file.
+ */
+
+// NPM modules
+const chai = require('chai');
+
+// MCF modules
+const mcfUtils = M.require('lib.utils');
+
+// Plugin modules
+const utils = require('../../src/utils.js');
+const search = require('../../src/search.js');
+const namespace = utils.customDataNamespace;
+
+// Global variables
+const orgID = 'test_org';
+const projID = 'test_project';
+const branchID = 'master';
+const scope = {
+  project: mcfUtils.createID(orgID, projID),
+  branch: mcfUtils.createID(orgID, projID, branchID),
+  archived: false
+};
+
+/* --------------------( Main )-------------------- */
+/**
+ * The "describe" function is provided by Mocha and provides a way of wrapping
+ * or grouping several "it" tests into a single group. In this case, the name of
+ * that group (the first parameter passed into describe) is derived from the
+ * name of the current file.
+ */
+describe(M.getModuleName(module.filename), () => {
+  it('should scope every query to the project and ref', scopeQuery);
+  it('should translate term and terms queries', termQueries);
+  it('should translate bool queries of any length', boolQueries);
+  it('should honor minimum_should_match', minimumShouldMatch);
+  it('should reject minimum_should_match values requiring too many combinations',
+    minimumShouldMatchTooLarge);
+  it('should translate text queries', textQueries);
+  it('should translate prefix, wildcard, range and exists queries', fieldQueries);
+  it('should reject unsupported and malformed queries', unsupportedQuery);
+  it('should translate sorts', sortQuery);
+});
+
+/* --------------------( Helpers )-------------------- */
+/**
+ * @description Translates a query on the test ref and returns the condition added to the
+ * project and ref scope.
+ *
+ * @param {object} query - The ElasticSearch query.
+ *
+ * @returns {object} The translated condition.
+ */
+function translate(query) {
+  const result = search.translateQuery(query, orgID, projID, branchID);
+  chai.expect(result.$and[0]).to.deep.equal(scope);
+  chai.expect(result.$and.length).to.equal(2);
+  return result.$and[1];
+}
+
+/* --------------------( Tests )-------------------- */
+/**
+ * @description Verifies that queries which only locate elements match the whole ref, and that
+ * conditions on the project and ref are not used in place of the scope.
+ */
+async function scopeQuery() {
+  chai.expect(search.translateQuery({ match_all: {} }, orgID, projID, branchID))
+  .to.deep.equal(scope);
+  const query = {
+    bool: {
+      filter: [
+        { term: { _projectId: 'another_project' } },
+        { term: { _refId: 'another_ref' } }
+      ]
+    }
+  };
+  chai.expect(search.translateQuery(query, orgID, projID, branchID)).to.deep.equal(scope);
+}
+
+/**
+ * @description Verifies that term and terms queries are mapped to MCF fields, with element ids
+ * converted to MCF ids.
+ */
+async function termQueries() {
+  chai.expect(translate({ term: { id: 'elem' } })).to.deep.equal({
+    _id: mcfUtils.createID(orgID, projID, branchID, 'elem')
+  });
+  chai.expect(translate({ term: { ownerId: { value: 'owner' } } })).to.deep.equal({
+    parent: mcfUtils.createID(orgID, projID, branchID, 'owner')
+  });
+  chai.expect(translate({ terms: { type: ['Class', 'Property'] } })).to.deep.equal({
+    type: { $in: ['Class', 'Property'] }
+  });
+  chai.expect(translate({ terms: { _appliedStereotypeIds: ['stereo'], boost: 2 } }))
+  .to.deep.equal({
+    [`custom.${namespace}._appliedStereotypeIds`]: { $in: ['stereo'] }
+  });
+}
+
+/**
+ * @description Verifies that must, filter, should and must_not clauses of any length and
+ * nesting are translated.
+ */
+async function boolQueries() {
+  const query = {
+    bool: {
+      must: [
+        { term: { type: 'Class' } },
+        { term: { name: 'a' } },
+        { term: { documentation: 'b' } }
+      ],
+      filter: { term: { _creator: 'user' } },
+      must_not: [
+        { bool: { should: [{ term: { name: 'c' } }, { term: { name: 'd' } }] } }
+      ]
+    }
+  };
+  chai.expect(translate(query)).to.deep.equal({
+    $and: [
+      { type: 'Class' },
+      { name: 'a' },
+      { documentation: 'b' },
+      { createdBy: 'user' },
+      { $nor: [{ $or: [{ name: 'c' }, { name: 'd' }] }] }
+    ]
+  });
+}
+
+/**
+ * @description Verifies that should clauses are optional alongside must clauses, unless
+ * minimum_should_match requires them, and that more than one can be required.
+ */
+async function minimumShouldMatch() {
+  const should = [{ term: { name: 'a' } }, { term: { name: 'b' } }, { term: { name: 'c' } }];
+  chai.expect(translate({ bool: { must: { term: { type: 'Class' } }, should: should } }))
+  .to.deep.equal({ type: 'Class' });
+  chai.expect(translate({ bool: { should: should, minimum_should_match: 2 } }))
+  .to.deep.equal({
+    $or: [
+      { $and: [{ name: 'a' }, { name: 'b' }] },
+      { $and: [{ name: 'a' }, { name: 'c' }] },
+      { $and: [{ name: 'b' }, { name: 'c' }] }
+    ]
+  });
+  chai.expect(translate({ bool: { should: should, minimum_should_match: '100%' } }))
+  .to.deep.equal({ $and: [{ name: 'a' }, { name: 'b' }, { name: 'c' }] });
+}
+
+/**
+ * @description Verifies that bool queries whose minimum_should_match would require too many
+ * combinations of should clauses are rejected rather than translated.
+ */
+async function minimumShouldMatchTooLarge() {
+  const should = [];
+  for (let i = 0; i < 30; i++) {
+    should.push({ term: { name: `name_${i}` } });
+  }
+  chai.expect(() => translate({ bool: { should: should, minimum_should_match: 15 } }))
+  .to.throw(M.DataFormatError, 'Requiring 15 of 30 should clauses to match is not supported');
+  // Requiring all but one clause only needs one combination per clause
+  chai.expect(translate({ bool: { should: should, minimum_should_match: -1 } }).$or)
+  .to.have.lengthOf(30);
+}
+
+/**
+ * @description Verifies that match, match_phrase and multi_match queries are translated into
+ * case-insensitive regular expressions.
+ */
+async function textQueries() {
+  chai.expect(translate({ match: { name: 'Test' } })).to.deep.equal({ name: /Test/i });
+  chai.expect(translate({ match: { name: { query: 'a b', operator: 'and' } } }))
+  .to.deep.equal({ $and: [{ name: /a/i }, { name: /b/i }] });
+  chai.expect(translate({ match_phrase: { documentation: 'a (b)' } }))
+  .to.deep.equal({ documentation: /a \(b\)/i });
+  const multiMatch = {
+    multi_match: {
+      query: 'req',
+      fields: ['name^2', 'defaultValue.value', '_projectId']
+    }
+  };
+  chai.expect(translate(multiMatch)).to.deep.equal({
+    $or: [
+      { name: /req/i },
+      { [`custom.${namespace}.defaultValue.value`]: /req/i }
+    ]
+  });
+}
+
+/**
+ * @description Verifies that prefix, wildcard, range and exists queries are translated.
+ */
+async function fieldQueries() {
+  chai.expect(translate({ prefix: { name: 'Re' } })).to.deep.equal({ name: /^Re/ });
+  chai.expect(translate({ wildcard: { name: { value: 'R?q*.x' } } }))
+  .to.deep.equal({ name: /^R.q.*\.x$/ });
+  chai.expect(translate({ range: { _modified: { gte: '2021-02-08T12:00:00.000-0500' } } }))
+  .to.deep.equal({ updatedOn: { $gte: new Date('2021-02-08T17:00:00.000Z') } });
+  chai.expect(translate({ exists: { field: 'value' } })).to.deep.equal({
+    [`custom.${namespace}.value`]: { $exists: true, $ne: null }
+  });
+}
+
+/**
+ * @description Verifies that unsupported query types and malformed range queries are rejected.
+ */
+async function unsupportedQuery() {
+  chai.expect(() => translate({ fuzzy: { name: 'a' } }))
+  .to.throw(M.DataFormatError, 'Unsupported search query type: fuzzy.');
+  [null, 5, ['a']].forEach((bounds) => {
+    chai.expect(() => translate({ range: { name: bounds } }))
+    .to.throw(M.DataFormatError, 'A range query must provide an object of bounds.');
+  });
+}
+
+/**
+ * @description Verifies that ElasticSearch sorts are translated into MongoDB sorts, ignoring
+ * sorts by relevance.
+ */
+async function sortQuery() {
+  chai.expect(search.translateSort(undefined)).to.deep.equal({});
+  chai.expect(search.translateSort([
+    { _modified: { order: 'desc' } },
+    { 'name.keyword': 'asc' },
+    'id',
+    '_score'
+  ])).to.deep.equal({ updatedOn: -1, name: 1, _id: 1 });
+  chai.expect(() => search.translateSort({ name: 'up' }))
+  .to.throw(M.DataFormatError, 'Invalid search sort order: up.');
+}
@@ -0,0 +1,157 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module test.104-renderer-tests.js
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Tests the renderers.js file.
+ */
+
+// Node modules
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// NPM modules
+const chai = require('chai');
+
+// Plugin modules
+const renderers = require('../../src/renderers.js');
+
+// Global variables
+const inputPath = path.join(os.tmpdir(), 'mms_adapter_renderer $(test).html');
+const outputPath = path.join(os.tmpdir(), 'mms_adapter_renderer $(test).pdf');
+
+/* --------------------( Main )-------------------- */
+/**
+ * The "describe" function is provided by Mocha and provides a way of wrapping
+ * or grouping several "it" tests into a single group. In this case, the name of
+ * that group (the first parameter passed into describe) is derived from the
+ * name of the current file.
+ */
+describe(M.getModuleName(module.filename), () => {
+  /**
+   * Before: Run before all tests. Writes the HTML file to render.
+   */
+  before(() => {
+    fs.writeFileSync(inputPath, '<html></html>');
+  });
+
+  /**
+   * After: Run after all tests. Deletes the rendered files.
+   */
+  after(() => {
+    [inputPath, outputPath].filter((f) => fs.existsSync(f)).forEach((f) => fs.unlinkSync(f));
+  });
+
+  it('should render with a command template without a shell', renderCommand);
+  it('should capture the stderr of a failed render', renderFailure);
+  it('should time out a render which does not finish', renderTimeout);
+  it('should reject unknown or unconfigured renderers', invalidRenderer);
+});
+
+/* --------------------( Helpers )-------------------- */
+/**
+ * @description Creates the config of a command renderer which runs a Node.js script.
+ *
+ * @param {string} script - The script to run. The input and output paths are passed to it as
+ * its arguments.
+ * @param {number} [timeout] - The timeout of the renderer, in milliseconds.
+ *
+ * @returns {object} The pdf section of the adapter config.
+ */
+function nodeRenderer(script, timeout) {
+  return {
+    renderer: 'command',
+    command: {
+      exec: process.execPath,
+      args: ['-e', script, '{input}', '{output}'],
+      timeout: timeout || 5000
+    }
+  };
+}
+
+/* --------------------( Tests )-------------------- */
+/**
+ * @description Verifies that the input and output paths are passed to the command unchanged,
+ * and that the renderer's stderr output is returned.
+ */
+async function renderCommand() {
+  const script = 'const fs = require("fs");'
+    + 'fs.copyFileSync(process.argv[1], process.argv[2]);'
+    + 'console.error("1 warning");';
+  const stderr = await renderers.render(inputPath, outputPath, nodeRenderer(script));
+
+  chai.expect(stderr).to.equal('1 warning');
+  chai.expect(fs.readFileSync(outputPath, 'utf8')).to.equal('<html></html>');
+}
+
+/**
+ * @description Verifies that a renderer which exits with an error rejects with the code and
+ * the stderr output it printed.
+ */
+async function renderFailure() {
+  const script = 'console.error("cannot render"); process.exit(2);';
+  try {
+    await renderers.render(inputPath, outputPath, nodeRenderer(script));
+    chai.expect.fail('The render should have failed.');
+  }
+  catch (error) {
+    chai.expect(error).to.be.an.instanceOf(M.ServerError);
+    chai.expect(error.message).to.equal('The command renderer exited with code 2');
+    chai.expect(error.stderr).to.equal('cannot render');
+  }
+}
+
+/**
+ * @description Verifies that a renderer which runs longer than its timeout is stopped.
+ */
+async function renderTimeout() {
+  const script = 'setTimeout(() => {}, 10000);';
+  try {
+    await renderers.render(inputPath, outputPath, nodeRenderer(script, 200));
+    chai.expect.fail('The render should have timed out.');
+  }
+  catch (error) {
+    chai.expect(error.message).to.equal('The command renderer timed out after 0.2 seconds');
+  }
+}
+
+/**
+ * @description Verifies that unknown renderers and renderers without an executable are
+ * rejected.
+ */
+async function invalidRenderer() {
+  const configs = {
+    'Unknown renderer unknown; expected one of prince, command.': { renderer: 'unknown' },
+    'The command renderer has no executable configured.': { renderer: 'command' }
+  };
+  await Promise.all(Object.keys(configs).map(async (message) => {
+    try {
+      await renderers.render(inputPath, outputPath, configs[message]);
+      chai.expect.fail('The render should have been rejected.');
+    }
+    catch (error) {
+      chai.expect(error).to.be.an.instanceOf(M.ServerError);
+      chai.expect(error.message).to.equal(message);
+    }
+  }));
+}
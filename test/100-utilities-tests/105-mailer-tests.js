@@ -0,0 +1,180 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module test.105-mailer-tests.js
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Tests the mailer.js file.
+ */
+
+// Node modules
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// NPM modules
+const chai = require('chai');
+
+// Plugin modules
+const mailer = require('../../src/mailer.js');
+
+// Global variables
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mms_adapter_mail_'));
+const variables = {
+  name: 'Test <Document>',
+  format: 'PDF',
+  projectId: 'test_project',
+  refId: 'master',
+  jobId: 'test_job',
+  artifactId: 'test_artifact',
+  link: 'http://localhost/artifact'
+};
+
+/* --------------------( Main )-------------------- */
+/**
+ * The "describe" function is provided by Mocha and provides a way of wrapping
+ * or grouping several "it" tests into a single group. In this case, the name of
+ * that group (the first parameter passed into describe) is derived from the
+ * name of the current file.
+ */
+describe(M.getModuleName(module.filename), () => {
+  /**
+   * After: Run after all tests. Deletes the written emails.
+   */
+  after(() => {
+    fs.readdirSync(directory).forEach((f) => fs.unlinkSync(path.join(directory, f)));
+    fs.rmdirSync(directory);
+  });
+
+  it('should fill in template placeholders and sections', renderTemplate);
+  it('should write emails to files with the file transport', sendFile);
+  it('should leave the download link out of emails without one', sendWithoutLink);
+  it('should use configured templates over the defaults', sendCustomTemplate);
+  it('should reject unknown transports', sendUnknownTransport);
+  it('should redact download links from logged emails', sendLog);
+});
+
+/* --------------------( Tests )-------------------- */
+/**
+ * @description Verifies that placeholders are replaced, that sections are only kept if their
+ * variable has a value, and that values are escaped in HTML templates.
+ */
+async function renderTemplate() {
+  const template = '{{name}} from {{refId}}{{#expires}}, expires {{expires}}{{/expires}}'
+    + '{{#link}} at {{link}}{{/link}}{{missing}}';
+  chai.expect(mailer.renderTemplate(template, variables))
+  .to.equal('Test <Document> from master at http://localhost/artifact');
+  chai.expect(mailer.renderTemplate(template, variables, true))
+  .to.equal('Test &lt;Document&gt; from master at http://localhost/artifact');
+}
+
+/**
+ * @description Verifies that the file transport writes the rendered email to the configured
+ * directory.
+ */
+async function sendFile() {
+  const config = { email: { transport: 'file', from: 'support@example.com', directory } };
+  const message = await mailer.send('user@example.com', 'exportSucceeded', variables, config);
+
+  chai.expect(message.subject).to.equal('Export of Test <Document> to PDF completed');
+  chai.expect(message.text).to.include('You can access the PDF file at: '
+    + 'http://localhost/artifact');
+  chai.expect(message.text).to.not.include('expires');
+  chai.expect(message.html).to.include('<b>Test &lt;Document&gt;</b>');
+
+  const files = fs.readdirSync(directory);
+  chai.expect(files.length).to.equal(1);
+  const email = fs.readFileSync(path.join(directory, files[0]), 'utf8');
+  chai.expect(email).to.include('To: user@example.com');
+  chai.expect(email).to.include('Subject: Export of Test <Document> to PDF completed');
+}
+
+/**
+ * @description Verifies that an export email sent without a download link, as when no public
+ * URL is configured, still names the artifact and has no empty link.
+ */
+async function sendWithoutLink() {
+  const config = { email: { transport: 'log', from: 'support@example.com' } };
+  const withoutLink = Object.assign({}, variables, { link: undefined });
+  const message = await mailer.send('user@example.com', 'exportSucceeded', withoutLink, config);
+
+  chai.expect(message.text).to.include('It is stored as artifact test_artifact.');
+  chai.expect(message.text).to.not.include('You can access');
+  chai.expect(message.html).to.not.include('<a href');
+}
+
+/**
+ * @description Verifies that configured templates override the default templates field by
+ * field.
+ */
+async function sendCustomTemplate() {
+  const config = {
+    email: {
+      transport: 'log',
+      templates: {
+        exportFailed: { subject: '[MBEE] {{name}} could not be exported' }
+      }
+    }
+  };
+  const message = await mailer.send('user@example.com', 'exportFailed',
+    Object.assign({ error: 'Renderer failed' }, variables), config);
+
+  chai.expect(message.subject).to.equal('[MBEE] Test <Document> could not be exported');
+  chai.expect(message.text).to.include('failed:\n\nRenderer failed');
+}
+
+/**
+ * @description Verifies that sending through an unknown transport fails.
+ */
+async function sendUnknownTransport() {
+  try {
+    await mailer.send('user@example.com', 'exportSucceeded', variables,
+      { email: { transport: 'pigeon' } });
+    chai.expect.fail('The email should not have been sent.');
+  }
+  catch (error) {
+    chai.expect(error).to.be.an.instanceOf(M.ServerError);
+    chai.expect(error.message).to.equal('Failed to send user email.');
+  }
+}
+
+/**
+ * @description Verifies that the log transport logs the email without its download link,
+ * which would let anyone reading the log open the document.
+ */
+async function sendLog() {
+  const logged = [];
+  const info = M.log.info;
+  M.log.info = (msg) => { logged.push(msg); };
+  let message;
+  try {
+    message = await mailer.send('user@example.com', 'exportSucceeded', variables,
+      { email: { transport: 'log' } });
+  }
+  finally {
+    M.log.info = info;
+  }
+
+  chai.expect(message.text).to.include(variables.link);
+  chai.expect(logged.join('\n')).to.include('Email to user@example.com: Export of');
+  chai.expect(logged.join('\n')).to.include('[redacted]');
+  chai.expect(logged.join('\n')).to.not.include(variables.link);
+}
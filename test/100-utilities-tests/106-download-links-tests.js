@@ -0,0 +1,150 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module test.106-download-links-tests.js
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Tests the download-links.js file.
+ */
+
+// NPM modules
+const chai = require('chai');
+
+// Plugin modules
+const downloadLinks = require('../../src/download-links.js');
+
+// Global variables
+const config = {
+  publicUrl: 'https://mbee.example.com/plugins/mms-adapter/',
+  downloadLinks: {
+    secret: 'test_secret',
+    expiresIn: 2
+  }
+};
+const blobPath = '/alfresco/projects/test_project/refs/master/artifacts/blob/export%201';
+
+/* --------------------( Main )-------------------- */
+/**
+ * The "describe" function is provided by Mocha and provides a way of wrapping
+ * or grouping several "it" tests into a single group. In this case, the name of
+ * that group (the first parameter passed into describe) is derived from the
+ * name of the current file.
+ */
+describe(M.getModuleName(module.filename), () => {
+  it('should create links to the adapter blob route from the public URL', createLink);
+  it('should not create links without a public URL', createLinkWithoutPublicUrl);
+  it('should verify the links it creates', verifyLink);
+  it('should reject tampered links', verifyTamperedLink);
+  it('should reject expired links', verifyExpiredLink);
+});
+
+/* --------------------( Helpers )-------------------- */
+/**
+ * @description Splits a link into its path and query.
+ *
+ * @param {string} url - The link.
+ *
+ * @returns {object} The "path" of the link relative to the adapter, and its "query".
+ */
+function parseLink(url) {
+  const parsed = new URL(url);
+  const query = {};
+  parsed.searchParams.forEach((value, key) => { query[key] = value; });
+  return { path: parsed.pathname.replace('/plugins/mms-adapter', ''), query };
+}
+
+/* --------------------( Tests )-------------------- */
+/**
+ * @description Verifies that links point to the adapter's blob route under the public URL and
+ * expire after the configured number of hours.
+ */
+async function createLink() {
+  const before = Date.now();
+  const link = downloadLinks.createLink('test_user', 'test_project', 'master', 'export 1',
+    config);
+  const { path, query } = parseLink(link.url);
+
+  chai.expect(link.url.startsWith(`https://mbee.example.com/plugins/mms-adapter${blobPath}?`))
+  .to.equal(true);
+  chai.expect(path).to.equal(blobPath);
+  chai.expect(query.user).to.equal('test_user');
+  chai.expect(Number(query.expires)).to.equal(link.expires.getTime());
+  chai.expect(link.expires.getTime() - before).to.be.within(7200000, 7200000 + 1000);
+}
+
+/**
+ * @description Verifies that links are not created if no public URL is configured, since
+ * they would be relative and could not be opened from an email.
+ */
+async function createLinkWithoutPublicUrl() {
+  const noPublicUrl = Object.assign({}, config, { publicUrl: undefined });
+
+  chai.expect(() => downloadLinks.createLink('test_user', 'test_project', 'master', 'export 1',
+    noPublicUrl))
+  .to.throw(M.ServerError, 'No public URL is configured to create download links.');
+}
+
+/**
+ * @description Verifies that a link is verified for the user it was created for.
+ */
+async function verifyLink() {
+  const link = downloadLinks.createLink('test_user', 'test_project', 'master', 'export 1',
+    config);
+  const { path, query } = parseLink(link.url);
+
+  chai.expect(downloadLinks.verifyLink(path, query, config)).to.equal('test_user');
+}
+
+/**
+ * @description Verifies that links with a changed path, user, expiry or secret are rejected.
+ */
+async function verifyTamperedLink() {
+  const link = downloadLinks.createLink('test_user', 'test_project', 'master', 'export 1',
+    config);
+  const { path, query } = parseLink(link.url);
+  const otherSecret = Object.assign({}, config, { downloadLinks: { secret: 'other' } });
+
+  const attempts = [
+    [path.replace('export%201', 'export%202'), query, config],
+    [path, Object.assign({}, query, { user: 'admin' }), config],
+    [path, Object.assign({}, query, { expires: String(Number(query.expires) + 1) }), config],
+    [path, Object.assign({}, query, { signature: undefined }), config],
+    [path, query, otherSecret]
+  ];
+  attempts.forEach((attempt) => {
+    chai.expect(() => downloadLinks.verifyLink(...attempt))
+    .to.throw(M.AuthorizationError, 'Invalid download link.');
+  });
+}
+
+/**
+ * @description Verifies that links are rejected once they expire.
+ */
+async function verifyExpiredLink() {
+  const expired = Object.assign({}, config, { downloadLinks: { secret: 'test_secret',
+    expiresIn: -1 } });
+  const link = downloadLinks.createLink('test_user', 'test_project', 'master', 'export 1',
+    expired);
+  const { path, query } = parseLink(link.url);
+
+  chai.expect(() => downloadLinks.verifyLink(path, query, config))
+  .to.throw(M.AuthorizationError, 'The download link has expired.');
+}
@@ -0,0 +1,169 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module test.107-element-stream-tests.js
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Tests the element-stream.js file.
+ */
+
+// Node modules
+const { PassThrough } = require('stream');
+
+// NPM modules
+const chai = require('chai');
+
+// Plugin modules
+const elementStream = require('../../src/element-stream.js');
+
+/* --------------------( Main )-------------------- */
+/**
+ * The "describe" function is provided by Mocha and provides a way of wrapping
+ * or grouping several "it" tests into a single group. In this case, the name of
+ * that group (the first parameter passed into describe) is derived from the
+ * name of the current file.
+ */
+describe(M.getModuleName(module.filename), () => {
+  it('should read the elements of a streamed body in batches', parseElements);
+  it('should reject streamed bodies without an array of elements', parseInvalidBody);
+  it('should stop reading a streamed body when a batch fails', parseFailedBatch);
+  it('should write batches of elements as a single JSON response', sendElements);
+});
+
+/* --------------------( Helpers )-------------------- */
+/**
+ * @description Creates a stream which sends a string in small chunks, as a request body
+ * arriving over the network would.
+ *
+ * @param {string} body - The body to send.
+ *
+ * @returns {object} The readable stream.
+ */
+function bodyStream(body) {
+  const stream = new PassThrough();
+  let offset = 0;
+  const sendChunk = () => {
+    if (offset >= body.length) {
+      stream.end();
+      return;
+    }
+    stream.write(body.slice(offset, offset + 16));
+    offset += 16;
+    setImmediate(sendChunk);
+  };
+  setImmediate(sendChunk);
+  return stream;
+}
+
+/* --------------------( Tests )-------------------- */
+/**
+ * @description Verifies that the elements of a streamed body are passed on in batches of the
+ * requested size, in order, and that the rest of the body is returned.
+ */
+async function parseElements() {
+  const elements = [];
+  for (let i = 0; i < 25; i++) {
+    elements.push({ id: `elem_${i}`, ownerId: 'model', _childViews: [{ id: 'view' }],
+      documentation: '<p>"quoted"</p>', value: null });
+  }
+  const body = JSON.stringify({ source: 'magicdraw', elements: elements, comment: 'sync' });
+
+  const batches = [];
+  const rest = await elementStream.parseElements(bodyStream(body), 10, async (batch) => {
+    batches.push(batch);
+  });
+
+  chai.expect(batches.map((b) => b.length)).to.deep.equal([10, 10, 5]);
+  chai.expect([].concat(...batches)).to.deep.equal(elements);
+  chai.expect(rest).to.deep.equal({ source: 'magicdraw', comment: 'sync' });
+}
+
+/**
+ * @description Verifies that bodies which are not valid JSON or do not hold an array of
+ * elements are rejected with a DataFormatError.
+ */
+async function parseInvalidBody() {
+  const bodies = ['{"elements":{}}', '{"comment":"sync"}', '[]', '{"elements":[{"id":'];
+
+  await Promise.all(bodies.map(async (body) => {
+    try {
+      await elementStream.parseElements(bodyStream(body), 10, () => {});
+      chai.expect.fail(`The body ${body} should have been rejected.`);
+    }
+    catch (error) {
+      chai.expect(error).to.be.an.instanceOf(M.DataFormatError);
+    }
+  }));
+}
+
+/**
+ * @description Verifies that the error of a failed batch is returned and that no further
+ * batches are passed on.
+ */
+async function parseFailedBatch() {
+  const elements = [];
+  for (let i = 0; i < 25; i++) {
+    elements.push({ id: `elem_${i}` });
+  }
+
+  let calls = 0;
+  try {
+    await elementStream.parseElements(bodyStream(JSON.stringify({ elements })), 10, async () => {
+      calls++;
+      throw new M.ServerError('Write failed.', 'warn');
+    });
+    chai.expect.fail('The parse should have failed.');
+  }
+  catch (error) {
+    chai.expect(error.message).to.equal('Write failed.');
+    chai.expect(calls).to.equal(1);
+  }
+}
+
+/**
+ * @description Verifies that the batches written by sendElements form a single MMS response.
+ */
+async function sendElements() {
+  const chunks = [];
+  const res = {
+    status: (code) => { res.statusCode = code; },
+    header: (name, value) => { res.contentType = value; },
+    write: (chunk) => {
+      chunks.push(chunk);
+      return true;
+    },
+    end: (chunk) => {
+      if (chunk) chunks.push(chunk);
+    }
+  };
+
+  await elementStream.sendElements(res, async (send) => {
+    await send([{ id: 'elem_1' }]);
+    await send([]);
+    await send([{ id: 'elem_2' }, { id: 'elem_3' }]);
+  });
+
+  chai.expect(res.statusCode).to.equal(200);
+  chai.expect(res.contentType).to.equal('application/json');
+  chai.expect(JSON.parse(chunks.join(''))).to.deep.equal({
+    elements: [{ id: 'elem_1' }, { id: 'elem_2' }, { id: 'elem_3' }]
+  });
+}
@@ -85,6 +85,10 @@ describe(M.getModuleName(module.filename), () => {
   it('should find and return all the orgs that the requesting user has access to', getOrgs);
   it('should find and return the requested organization if the user has permission', getOrg);
   it('should post an org', postOrgs);
+  it('should rename an org', putOrg);
+  it('should reject an update naming a different org', putOrgMismatchedID);
+  it('should archive an org', deleteOrg);
+  it('should permanently delete an org', deleteOrgHard);
 });
 
 /* --------------------( Tests )-------------------- */
@@ -175,3 +179,130 @@ function postOrgs(done) {
   };
   APIController.postOrgs(req, res, next(req, res));
 }
+
+/**
+ * @description Verifies that the putOrg function successfully renames an org.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function putOrg(done) {
+  const orgData = testData.orgs[2];
+  const params = { orgid: orgData.id };
+  const body = {
+    orgs: [
+      {
+        name: 'Renamed Org'
+      }
+    ]
+  };
+  const method = 'PUT';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+  const res = {
+    locals: {}
+  };
+
+  testUtils.createResponse(res);
+
+  res.send = function send(_data) {
+    const orgs = _data.orgs;
+    chai.expect(orgs.length).to.equal(1);
+    chai.expect(orgs[0].id).to.equal(orgData.id);
+    chai.expect(orgs[0].name).to.equal('Renamed Org');
+
+    done();
+  };
+  APIController.putOrg(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that the putOrg function rejects a body naming a different org.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function putOrgMismatchedID(done) {
+  const orgData = testData.orgs[2];
+  const params = { orgid: orgData.id };
+  const body = {
+    orgs: [
+      {
+        id: 'another_org',
+        name: 'Renamed Org'
+      }
+    ]
+  };
+  const method = 'PUT';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+  const res = {
+    locals: {}
+  };
+
+  testUtils.createResponse(res);
+
+  res.send = function send(_data) {
+    chai.expect(res.locals.statusCode).to.equal(400);
+    chai.expect(_data).to.equal(
+      `The id another_org in the request body does not match ${orgData.id}.`
+    );
+
+    done();
+  };
+  APIController.putOrg(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that the deleteOrg function archives an org by default.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function deleteOrg(done) {
+  const orgData = testData.orgs[2];
+  const params = { orgid: orgData.id };
+  const body = {};
+  const method = 'DELETE';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+  const res = {
+    locals: {}
+  };
+
+  testUtils.createResponse(res);
+
+  res.send = async function send(_data) {
+    chai.expect(res.locals.statusCode).to.equal(200);
+    chai.expect(_data.orgs[0].id).to.equal(orgData.id);
+    const archivedOrg = await Org.findOne({ _id: orgData.id });
+    chai.expect(archivedOrg.archived).to.equal(true);
+
+    done();
+  };
+  APIController.deleteOrg(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that the deleteOrg function permanently deletes an org, even once it
+ * is archived, when the hard option is set.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function deleteOrgHard(done) {
+  const orgData = testData.orgs[2];
+  const params = { orgid: orgData.id };
+  const body = {};
+  const method = 'DELETE';
+  const query = { hard: 'true' };
+  const req = testUtils.createRequest(adminUser, params, body, method, query);
+  const res = {
+    locals: {}
+  };
+
+  testUtils.createResponse(res);
+
+  res.send = async function send(_data) {
+    chai.expect(res.locals.statusCode).to.equal(200);
+    chai.expect(_data.orgs[0].id).to.equal(orgData.id);
+    const deletedOrg = await Org.findOne({ _id: orgData.id });
+    chai.expect(deletedOrg).to.equal(null);
+
+    done();
+  };
+  APIController.deleteOrg(req, res, next(req, res));
+}
@@ -30,6 +30,7 @@ const chai = require('chai');
 
 // MCF modules
 const mcfUtils = M.require('lib.utils');
+const Project = M.require('models.project');
 
 // Adapter modules
 const APIController = require('../../src/api-controller');
@@ -88,6 +89,9 @@ describe(M.getModuleName(module.filename), () => {
   it('should get a project', getProject);
   it('should get projects on an org', getProjects);
   it('should get all projects', getAllProjects);
+  it('should rename a project', putProject);
+  it('should archive a project', deleteProject);
+  it('should permanently delete a project', deleteProjectHard);
 });
 
 /* --------------------( Tests )-------------------- */
@@ -212,3 +216,103 @@ function getAllProjects(done) {
   };
   APIController.getAllProjects(req, res, next(req, res));
 }
+
+/**
+ * @description Verifies that the putProject function successfully renames a project.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function putProject(done) {
+  const params = {
+    projectid: project2ID
+  };
+  const body = {
+    projects: [
+      {
+        id: project2ID,
+        name: 'Renamed Project'
+      }
+    ]
+  };
+  const method = 'PUT';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+  const res = {
+    locals: {}
+  };
+
+  testUtils.createResponse(res);
+
+  res.send = function send(_data) {
+    const projects = _data.projects;
+    chai.expect(projects.length).to.equal(1);
+    chai.expect(projects[0].id).to.equal(project2ID);
+    chai.expect(projects[0].name).to.equal('Renamed Project');
+
+    done();
+  };
+  APIController.putProject(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that the deleteProject function archives a project by default.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function deleteProject(done) {
+  const params = {
+    projectid: project2ID
+  };
+  const body = {};
+  const method = 'DELETE';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+  const res = {
+    locals: {}
+  };
+
+  testUtils.createResponse(res);
+
+  res.send = async function send(_data) {
+    chai.expect(res.locals.statusCode).to.equal(200);
+    chai.expect(_data.projects[0].id).to.equal(project2ID);
+    const project = await Project.findOne({
+      _id: mcfUtils.createID(org._id, project2ID)
+    });
+    chai.expect(project.archived).to.equal(true);
+
+    done();
+  };
+  APIController.deleteProject(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that the deleteProject function permanently deletes a project when
+ * the hard option is set.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function deleteProjectHard(done) {
+  const params = {
+    projectid: project2ID
+  };
+  const body = {};
+  const method = 'DELETE';
+  const query = { hard: 'true' };
+  const req = testUtils.createRequest(adminUser, params, body, method, query);
+  const res = {
+    locals: {}
+  };
+
+  testUtils.createResponse(res);
+
+  res.send = async function send(_data) {
+    chai.expect(res.locals.statusCode).to.equal(200);
+    chai.expect(_data.projects[0].id).to.equal(project2ID);
+    const project = await Project.findOne({
+      _id: mcfUtils.createID(org._id, project2ID)
+    });
+    chai.expect(project).to.equal(null);
+
+    done();
+  };
+  APIController.deleteProject(req, res, next(req, res));
+}
@@ -30,6 +30,7 @@ const chai = require('chai');
 
 // MCF modules
 const mcfUtils = M.require('lib.utils');
+const Branch = M.require('models.branch');
 
 // Adapter modules
 const APIController = require('../../src/api-controller');
@@ -87,6 +88,10 @@ describe(M.getModuleName(module.filename), () => {
   it('should post a ref', postRefs);
   it('should get a ref', getRef);
   it('should get refs', getRefs);
+  it('should rename a ref', putRef);
+  it('should not delete the master ref', deleteMasterRef);
+  it('should archive a ref', deleteRef);
+  it('should permanently delete a ref', deleteRefHard);
 });
 
 /* --------------------( Tests )-------------------- */
@@ -186,3 +191,136 @@ function getRefs(done) {
   };
   APIController.getRefs(req, res, next(req, res));
 }
+
+/**
+ * @description Verifies that the putRef function successfully renames a branch.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function putRef(done) {
+  const params = {
+    projectid: projectID,
+    refid: branch2ID
+  };
+  const body = {
+    refs: [
+      {
+        id: branch2ID,
+        name: 'Renamed Branch',
+        parentRefId: 'master'
+      }
+    ]
+  };
+  const method = 'PUT';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+  const res = {
+    locals: {}
+  };
+
+  testUtils.createResponse(res);
+
+  res.send = function send(_data) {
+    const branches = _data.refs;
+    chai.expect(branches.length).to.equal(1);
+    chai.expect(branches[0].id).to.equal(branch2ID);
+    chai.expect(branches[0].name).to.equal('Renamed Branch');
+    chai.expect(branches[0].parentRefId).to.equal('master');
+
+    done();
+  };
+  APIController.putRef(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that the deleteRef function does not delete the master branch.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function deleteMasterRef(done) {
+  const params = {
+    projectid: projectID,
+    refid: 'master'
+  };
+  const body = {};
+  const method = 'DELETE';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+  const res = {
+    locals: {}
+  };
+
+  testUtils.createResponse(res);
+
+  res.send = function send(_data) {
+    chai.expect(res.locals.statusCode).to.equal(403);
+    chai.expect(_data).to.equal('The master ref cannot be deleted.');
+
+    done();
+  };
+  APIController.deleteRef(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that the deleteRef function archives a branch by default.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function deleteRef(done) {
+  const params = {
+    projectid: projectID,
+    refid: branch2ID
+  };
+  const body = {};
+  const method = 'DELETE';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+  const res = {
+    locals: {}
+  };
+
+  testUtils.createResponse(res);
+
+  res.send = async function send(_data) {
+    chai.expect(res.locals.statusCode).to.equal(200);
+    chai.expect(_data.refs[0].id).to.equal(branch2ID);
+    const branch = await Branch.findOne({
+      _id: mcfUtils.createID(org._id, projectID, branch2ID)
+    });
+    chai.expect(branch.archived).to.equal(true);
+
+    done();
+  };
+  APIController.deleteRef(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that the deleteRef function permanently deletes a branch when the
+ * hard option is set.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function deleteRefHard(done) {
+  const params = {
+    projectid: projectID,
+    refid: branch2ID
+  };
+  const body = {};
+  const method = 'DELETE';
+  const query = { hard: 'true' };
+  const req = testUtils.createRequest(adminUser, params, body, method, query);
+  const res = {
+    locals: {}
+  };
+
+  testUtils.createResponse(res);
+
+  res.send = async function send(_data) {
+    chai.expect(res.locals.statusCode).to.equal(200);
+    chai.expect(_data.refs[0].id).to.equal(branch2ID);
+    const branch = await Branch.findOne({
+      _id: mcfUtils.createID(org._id, projectID, branch2ID)
+    });
+    chai.expect(branch).to.equal(null);
+
+    done();
+  };
+  APIController.deleteRef(req, res, next(req, res));
+}
@@ -25,8 +25,12 @@
  * @description Verifies that the element API endpoints are functioning correctly.
  */
 
+// Node modules
+const http = require('http');
+
 // NPM modules
 const chai = require('chai');
+const express = require('express');
 
 // MCF modules
 const ElementController = M.require('controllers.element-controller');
@@ -35,7 +39,9 @@ const mcfUtils = M.require('lib.utils');
 const jmi = M.require('lib.jmi-conversions');
 
 // Adapter modules
+const adapterApp = require('../../app.js');
 const APIController = require('../../src/api-controller.js');
+const crossReferences = require('../../src/cross-references.js');
 const utils = require('../../src/utils.js');
 const namespace = utils.customDataNamespace;
 const sjm = require('../../src/sjm.js');
@@ -43,6 +49,7 @@ const sjm = require('../../src/sjm.js');
 /* --------------------( Test Data )-------------------- */
 // Variables used across test functions
 const testUtils = M.require('lib.test-utils');
+const testData = testUtils.importTestData('test_data.json');
 const next = testUtils.next;
 let adminUser = null;
 let org = null;
@@ -215,9 +222,36 @@ describe(M.getModuleName(module.filename), () => {
     putElements);
   it('should delete elements', deleteElements);
   it('should search for elements', searchElements);
+  it('should page and sort search results', searchElementsPaged);
+  it('should run search aggregations', searchAggregations);
   it('should return all mounts', getMounts);
   it('should return all groups', getGroups);
   it('should return all documents', getDocuments);
+  it('should find the elements which cross-reference an element', getElementCfids);
+  it('should forget the cross references of deleted elements', getElementCfidsDeleted);
+  it('should index the cross references of elements written before the index existed',
+    getElementCfidsBackfill);
+  it('should post a batch of elements transactionally', postElementsTransactional);
+  it('should reject a transactional batch containing invalid elements without writing any of '
+    + 'them', postElementsTransactionalRejected);
+  it('should roll back a transactional batch which fails part way through',
+    postElementsTransactionalRollback);
+  it('should validate every batch of a transactional post before writing any of them',
+    postElementsTransactionalBatched);
+  it('should write the valid elements of a batch and reject the rest', postElementsPartial);
+  it('should count the elements a failed bulk create already wrote as created',
+    postElementsPartialWritten);
+  it('should delete the elements which exist and reject the rest', deleteElementsPartial);
+  it('should fail a delete when none of the elements exist', deleteElementsNotFound);
+  it('should stream the whole subtree of an element when depth is -1', putElementsStreamed);
+  it('should stream element bodies sent through the adapter router', postElementsRouted);
+  it('should place elements posted before their owner in the holding bin', postOrphan);
+  it('should move orphaned elements under their owner once it is posted', postOrphanOwner);
+  it('should replace the properties of an element posted with its type', postReplaceElement);
+  it('should merge the properties of an element in the merge patch mode', postMergePatch);
+  it('should replace the properties of an element in the replace patch mode',
+    postReplacePatch);
+  it('should reject an invalid patch mode', postInvalidPatch);
 });
 
 /* --------------------( Tests )-------------------- */
@@ -710,6 +744,113 @@ function searchElements(done) {
   APIController.putElementSearch(req, res, next(req, res));
 }
 
+/**
+ * @description Verifies that the putElementSearch function honors the from, size and sort
+ * parameters and returns the total number of matches.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function searchElementsPaged(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const body = {
+    query: {
+      terms: {
+        id: ['test_oa_elem_003', 'test_oa_elem_004', 'test_oa_elem_005']
+      }
+    },
+    sort: [{ id: { order: 'desc' } }],
+    from: 1,
+    size: 1
+  };
+  const method = 'PUT';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    chai.expect(_data.hits.total).to.equal(3);
+    chai.expect(_data.elements.length).to.equal(1);
+    chai.expect(_data.elements[0].id).to.equal('test_oa_elem_004');
+
+    done();
+  };
+
+  APIController.putElementSearch(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that the putElementSearch function runs filter and terms aggregations,
+ * such as the metatypes aggregation sent by View Editor.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function searchAggregations(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const body = {
+    aggs: {
+      owners: {
+        terms: { field: 'ownerId', size: 1 }
+      },
+      stereotypedElements: {
+        filter: {
+          bool: {
+            must: [
+              { term: { _projectId: projectID } },
+              { term: { _inRefIds: branchID } }
+            ],
+            must_not: [
+              { terms: { _appliedStereotypeIds: ['test_excluded_stereotype'] } }
+            ]
+          }
+        },
+        aggs: {
+          stereotypeIds: {
+            terms: { field: '_appliedStereotypeIds', size: 20 }
+          }
+        }
+      }
+    },
+    size: 0
+  };
+  const method = 'PUT';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    const aggregations = _data.aggregations;
+    // Most test elements are owned by the root model element
+    chai.expect(aggregations.owners.buckets.length).to.equal(1);
+    chai.expect(aggregations.owners.buckets[0].key).to.equal('model');
+
+    const stereotyped = aggregations.stereotypedElements;
+    chai.expect(stereotyped.doc_count).to.be.above(0);
+    const buckets = stereotyped.stereotypeIds.buckets;
+    // Only the stereotypes which exist are returned
+    chai.expect(buckets.length).to.be.at.most(20);
+    buckets.forEach((b) => {
+      chai.expect(b.key).to.be.a('string');
+      chai.expect(b.doc_count).to.be.above(0);
+    });
+    const documents = buckets.find((b) => b.key === sjm.documentStereotypeID);
+    chai.expect(documents.doc_count).to.be.at.least(2);
+
+    done();
+  };
+
+  APIController.putElementSearch(req, res, next(req, res));
+}
+
 /**
  * @description Verifies that the getMounts function successfully finds the mounted projects of
  * the current project. This is done by first searching for elements of type 'Mount'.
@@ -811,3 +952,819 @@ function getDocuments(done) {
 
   APIController.getDocuments(req, res, next(req, res));
 }
+
+/**
+ * @description Verifies that the getElementCfids function returns the ids of the elements whose
+ * documentation or values transclude or cross-reference the requested element.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function getElementCfids(done) {
+  const body = {
+    elements: [
+      {
+        id: 'test_cf_elem_001',
+        ownerId: 'model',
+        documentation: '<p><mms-cf mms-cf-type="name" mms-element-id="test_elem_002">[cf]'
+          + '</mms-cf></p>'
+      },
+      {
+        id: 'test_cf_elem_002',
+        ownerId: 'model',
+        defaultValue: {
+          type: 'LiteralString',
+          value: '<mms-transclude-doc data-mms-eid="test_elem_002"></mms-transclude-doc>'
+        }
+      },
+      {
+        id: 'test_cf_elem_003',
+        ownerId: 'model',
+        documentation: '<mms-cf mms-cf-type="name" mms-element-id="test_elem_006"></mms-cf>'
+      }
+    ]
+  };
+  const postReq = testUtils.createRequest(adminUser, { projectid: projectID, refid: branchID },
+    body, 'POST');
+  const postRes = {
+    locals: {}
+  };
+  testUtils.createResponse(postRes);
+
+  postRes.send = function() {
+    const params = {
+      projectid: projectID,
+      refid: branchID,
+      elementid: 'test_elem_002'
+    };
+    const req = testUtils.createRequest(adminUser, params, {}, 'GET');
+    const res = {
+      locals: {}
+    };
+    testUtils.createResponse(res);
+
+    res.send = function(_data) {
+      chai.expect(_data.elementIds).to.have.members(['test_cf_elem_001', 'test_cf_elem_002']);
+
+      done();
+    };
+
+    APIController.getElementCfids(req, res, next(req, res));
+  };
+
+  APIController.postElements(postReq, postRes, next(postReq, postRes));
+}
+
+/**
+ * @description Verifies that deleting an element removes the cross references it made.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function getElementCfidsDeleted(done) {
+  const body = { elements: [{ id: 'test_cf_elem_001' }] };
+  const deleteReq = testUtils.createRequest(adminUser, { projectid: projectID,
+    refid: branchID }, body, 'DELETE');
+  const deleteRes = {
+    locals: {}
+  };
+  testUtils.createResponse(deleteRes);
+
+  deleteRes.send = function() {
+    const params = {
+      projectid: projectID,
+      refid: branchID,
+      elementid: 'test_elem_002'
+    };
+    const req = testUtils.createRequest(adminUser, params, {}, 'GET');
+    const res = {
+      locals: {}
+    };
+    testUtils.createResponse(res);
+
+    res.send = function(_data) {
+      chai.expect(_data.elementIds).to.deep.equal(['test_cf_elem_002']);
+
+      done();
+    };
+
+    APIController.getElementCfids(req, res, next(req, res));
+  };
+
+  APIController.deleteElements(deleteReq, deleteRes, next(deleteReq, deleteRes));
+}
+
+/**
+ * @description Verifies that the getElementCfids function indexes the unarchived elements of a
+ * ref which have no cross references recorded, as for elements written before the index
+ * existed.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function getElementCfidsBackfill(done) {
+  const archived = {
+    id: 'test_cf_elem_004',
+    parent: 'model',
+    documentation: '<mms-cf mms-cf-type="name" mms-element-id="test_elem_002"></mms-cf>'
+  };
+  ElementController.create(adminUser, org._id, projectID, branchID, archived)
+  .then(() => ElementController.update(adminUser, org._id, projectID, branchID,
+    { id: archived.id, archived: true }))
+  // Drop the index of the ref, leaving its elements as they were written
+  .then(() => crossReferences.removeRef(projectID, branchID))
+  .then(() => {
+    const params = {
+      projectid: projectID,
+      refid: branchID,
+      elementid: 'test_elem_002'
+    };
+    const req = testUtils.createRequest(adminUser, params, {}, 'GET');
+    const res = {
+      locals: {}
+    };
+    testUtils.createResponse(res);
+
+    res.send = function(_data) {
+      chai.expect(_data.elementIds).to.deep.equal(['test_cf_elem_002']);
+
+      done();
+    };
+
+    APIController.getElementCfids(req, res, next(req, res));
+  })
+  .catch(done);
+}
+
+/**
+ * @description Verifies that the postElements function responds in the MMS bulk form when
+ * the transactional query parameter is provided.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postElementsTransactional(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const body = {
+    elements: [
+      { id: 'test_txn_elem_001', ownerId: 'model', name: 'transactional' },
+      { id: 'test_elem_001', testing: 'transactional update' }
+    ]
+  };
+  const method = 'POST';
+  const query = { transactional: 'true' };
+  const req = testUtils.createRequest(adminUser, params, body, method, query);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    chai.expect(res.locals.statusCode).to.equal(200);
+    chai.expect(_data.elements.map((e) => e.id)).to.have.members(['test_txn_elem_001',
+      'test_elem_001']);
+    chai.expect(_data.rejected).to.deep.equal([]);
+    chai.expect(_data.messages).to.deep.equal([]);
+
+    done();
+  };
+
+  APIController.postElements(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that the postElements function rejects a transactional batch with
+ * invalid elements, listing each of them, and writes none of the valid elements.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postElementsTransactionalRejected(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const body = {
+    elements: [
+      { id: 'test_txn_elem_002', ownerId: 'model' },
+      { id: 'test_txn_elem_003', name: 3 },
+      { id: 'test_txn_elem_004', ownerId: 'model' },
+      { id: 'test_txn_elem_004', ownerId: 'model' }
+    ]
+  };
+  const method = 'POST';
+  const query = { transactional: 'true' };
+  const req = testUtils.createRequest(adminUser, params, body, method, query);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = async function(_data) {
+    chai.expect(res.locals.statusCode).to.equal(400);
+    chai.expect(_data.elements).to.deep.equal([]);
+    chai.expect(_data.rejected.map((r) => r.element.id)).to.deep.equal(['test_txn_elem_003',
+      'test_txn_elem_004', 'test_txn_elem_004']);
+    _data.rejected.forEach((r) => {
+      chai.expect(r.code).to.equal(400);
+      chai.expect(r.severity).to.equal('ERROR');
+    });
+    chai.expect(_data.messages.length).to.equal(1);
+
+    // The valid element should not have been written
+    const found = await ElementController.find(adminUser, org._id, projectID, branchID,
+      'test_txn_elem_002');
+    chai.expect(found.length).to.equal(0);
+
+    done();
+  };
+
+  APIController.postElements(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that a transactional post larger than the batch size writes nothing
+ * when an element of its last batch is invalid, rather than writing the earlier batches and
+ * rolling them back.
+ */
+async function postElementsTransactionalBatched() {
+  const adapterConfig = M.config.server.plugins.plugins['mms-adapter'];
+  const elementsConfig = adapterConfig.elements;
+  adapterConfig.elements = { batchSize: 2 };
+  const create = ElementController.create;
+  let writes = 0;
+  ElementController.create = function(...args) {
+    writes++;
+    return create.apply(this, args);
+  };
+
+  const body = {
+    elements: [
+      { id: 'test_txn_batch_elem_001', ownerId: 'model' },
+      { id: 'test_txn_batch_elem_002', ownerId: 'model' },
+      { id: 'test_txn_batch_elem_003', ownerId: 'model' },
+      { id: 'test_txn_batch_elem_004', ownerId: 'model' },
+      { id: 'test_txn_batch_elem_005', name: 5 }
+    ]
+  };
+  const req = testUtils.createRequest(adminUser, { projectid: projectID, refid: branchID },
+    body, 'POST', { transactional: 'true' });
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  try {
+    await new Promise((resolve) => {
+      res.send = resolve;
+      APIController.postElements(req, res, next(req, res));
+    });
+
+    chai.expect(res.locals.statusCode).to.equal(400);
+    chai.expect(res.locals.message.rejected.map((r) => r.element.id))
+    .to.deep.equal(['test_txn_batch_elem_005']);
+    chai.expect(writes).to.equal(0);
+  }
+  finally {
+    ElementController.create = create;
+    adapterConfig.elements = elementsConfig;
+  }
+}
+
+/**
+ * @description Verifies that the postElements function removes the elements it created when
+ * a later update in a transactional batch fails.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postElementsTransactionalRollback(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const body = {
+    elements: [
+      { id: 'test_txn_elem_005', ownerId: 'model' },
+      // Field names starting with $ cannot be stored, so the update fails after the create
+      { id: 'test_elem_001', $invalid: 'invalid' }
+    ]
+  };
+  const method = 'POST';
+  const query = { transactional: 'true' };
+  const req = testUtils.createRequest(adminUser, params, body, method, query);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = async function(_data) {
+    chai.expect(res.locals.statusCode).to.not.equal(200);
+    chai.expect(_data.elements).to.deep.equal([]);
+    chai.expect(_data.rejected).to.deep.equal([]);
+    chai.expect(_data.messages.length).to.equal(1);
+
+    // The created element should have been removed
+    const created = await ElementController.find(adminUser, org._id, projectID, branchID,
+      'test_txn_elem_005');
+    chai.expect(created.length).to.equal(0);
+    const updated = await ElementController.find(adminUser, org._id, projectID, branchID,
+      'test_elem_001');
+    chai.expect(updated[0].custom[namespace]).to.not.have.property('$invalid');
+
+    done();
+  };
+
+  APIController.postElements(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that the postElements function writes the valid elements of a batch
+ * and reports the invalid ones in rejected.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postElementsPartial(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const body = {
+    elements: [
+      { id: 'test_partial_elem_001', ownerId: 'model' },
+      { id: 'test_partial_elem_002', name: 5 }
+    ]
+  };
+  const method = 'POST';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    chai.expect(res.locals.statusCode).to.equal(200);
+    chai.expect(_data.elements.map((e) => e.id)).to.deep.equal(['test_partial_elem_001']);
+    chai.expect(_data.rejected.length).to.equal(1);
+    chai.expect(_data.rejected[0].code).to.equal(400);
+    chai.expect(_data.rejected[0].element.id).to.equal('test_partial_elem_002');
+    chai.expect(_data.messages[0].severity).to.equal('WARNING');
+
+    done();
+  };
+
+  APIController.postElements(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that the elements a bulk create wrote before it failed are returned as
+ * created, rather than being rejected when they are retried on their own.
+ */
+async function postElementsPartialWritten() {
+  const create = ElementController.create;
+  // The bulk create writes its first element and then fails
+  ElementController.create = async function(reqUser, orgID, projID, branch, elements) {
+    if (Array.isArray(elements) && elements.length > 1) {
+      await create.call(this, reqUser, orgID, projID, branch, [elements[0]]);
+      throw new Error('The bulk create was interrupted.');
+    }
+    return create.apply(this, [reqUser, orgID, projID, branch, elements]);
+  };
+
+  const body = {
+    elements: [
+      { id: 'test_partial_elem_003', ownerId: 'model' },
+      { id: 'test_partial_elem_004', ownerId: 'model' }
+    ]
+  };
+  const req = testUtils.createRequest(adminUser, { projectid: projectID, refid: branchID },
+    body, 'POST');
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  try {
+    const data = await new Promise((resolve) => {
+      res.send = resolve;
+      APIController.postElements(req, res, next(req, res));
+    });
+
+    chai.expect(res.locals.statusCode).to.equal(200);
+    chai.expect(data.elements.map((e) => e.id)).to.have.members(['test_partial_elem_003',
+      'test_partial_elem_004']);
+    chai.expect(data.rejected).to.deep.equal([]);
+  }
+  finally {
+    ElementController.create = create;
+  }
+}
+
+/**
+ * @description Verifies that the deleteElements function deletes the elements which exist and
+ * reports the missing ones in rejected.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function deleteElementsPartial(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const body = {
+    elements: [
+      { id: 'test_partial_elem_001' },
+      { id: 'test_missing_elem' }
+    ]
+  };
+  const method = 'DELETE';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = async function(_data) {
+    chai.expect(res.locals.statusCode).to.equal(200);
+    chai.expect(_data.elements.map((id) => mcfUtils.parseID(id).pop()))
+    .to.include('test_partial_elem_001');
+    chai.expect(_data.rejected.length).to.equal(1);
+    chai.expect(_data.rejected[0].code).to.equal(404);
+    chai.expect(_data.rejected[0].element.id).to.equal('test_missing_elem');
+
+    const foundElements = await ElementController.find(adminUser, org._id, projectID,
+      branchID, 'test_partial_elem_001');
+    chai.expect(foundElements.length).to.equal(0);
+
+    done();
+  };
+
+  APIController.deleteElements(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that the deleteElements function responds with a 404 when none of the
+ * elements to delete exist.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function deleteElementsNotFound(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const body = {
+    elements: [{ id: 'test_missing_elem' }]
+  };
+  const method = 'DELETE';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    chai.expect(res.locals.statusCode).to.equal(404);
+    chai.expect(_data.elements).to.deep.equal([]);
+    chai.expect(_data.rejected.length).to.equal(1);
+    chai.expect(_data.messages[0].severity).to.equal('ERROR');
+
+    done();
+  };
+
+  APIController.deleteElements(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that the putElements function streams every element under the
+ * requested elements when the depth is -1.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function putElementsStreamed(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const body = {
+    elements: [{ id: 'model' }]
+  };
+  const method = 'PUT';
+  const query = { depth: '-1' };
+  const req = testUtils.createRequest(adminUser, params, body, method, query);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  const chunks = [];
+  res.status = function() {};
+  res.header = function() {};
+  res.write = function(chunk) {
+    chunks.push(chunk);
+    return true;
+  };
+  res.end = function(chunk) {
+    if (chunk) chunks.push(chunk);
+    const ids = JSON.parse(chunks.join('')).elements.map((e) => e.id);
+    chai.expect(ids[0]).to.equal('model');
+    chai.expect(ids).to.include.members(['test_elem_001', 'test_txn_elem_001']);
+    chai.expect(new Set(ids).size).to.equal(ids.length);
+
+    done();
+  };
+
+  APIController.putElements(req, res, next(req, res));
+}
+
+/**
+ * @description Sends a request with a JSON body to a server as the admin user.
+ *
+ * @param {object} server - The HTTP server.
+ * @param {string} method - The method of the request.
+ * @param {string} path - The path of the request.
+ * @param {string} body - The JSON body of the request.
+ *
+ * @returns {Promise<object>} The status code and body of the response.
+ */
+function sendRequest(server, method, path, body) {
+  const credentials = `${testData.adminUser.username}:${testData.adminUser.password}`;
+  return new Promise((resolve, reject) => {
+    const request = http.request({
+      port: server.address().port,
+      method: method,
+      path: path,
+      headers: {
+        Authorization: `Basic ${Buffer.from(credentials).toString('base64')}`,
+        'Content-Type': 'application/json'
+      }
+    }, (response) => {
+      let data = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => { data += chunk; });
+      response.on('end', () => resolve({ statusCode: response.statusCode, body: data }));
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * @description Verifies that element posts and puts sent through the adapter router are read
+ * as streams when no body parser has read them, and that posted elements are written in
+ * batches.
+ */
+async function postElementsRouted() {
+  const adapterConfig = M.config.server.plugins.plugins['mms-adapter'];
+  const elementsConfig = adapterConfig.elements;
+  adapterConfig.elements = { batchSize: 10 };
+
+  const mcfApp = express();
+  mcfApp.use('/plugins/mms-adapter', adapterApp);
+  const server = mcfApp.listen(0);
+  const path = `/plugins/mms-adapter/alfresco/service/projects/${projectID}/refs/${branchID}`
+    + '/elements';
+
+  const elements = [];
+  for (let i = 0; i < 25; i++) {
+    elements.push({ id: `test_routed_elem_${i}`, ownerId: 'model', name: 'routed element' });
+  }
+  const ids = elements.map((e) => e.id);
+
+  try {
+    await new Promise((resolve) => server.once('listening', resolve));
+
+    const posted = await sendRequest(server, 'POST', path, JSON.stringify({ elements }));
+    chai.expect(posted.statusCode).to.equal(200);
+    const postedBody = JSON.parse(posted.body);
+    chai.expect(postedBody.elements.map((e) => e.id)).to.have.members(ids);
+    chai.expect(postedBody.rejected).to.deep.equal([]);
+
+    const found = await sendRequest(server, 'PUT', path,
+      JSON.stringify({ elements: ids.map((id) => ({ id: id })) }));
+    chai.expect(found.statusCode).to.equal(200);
+    chai.expect(JSON.parse(found.body).elements.map((e) => e.id)).to.have.members(ids);
+  }
+  finally {
+    server.close();
+    adapterConfig.elements = elementsConfig;
+  }
+}
+
+/**
+ * @description Verifies that an element posted with an owner which does not exist yet is
+ * placed in the holding bin and listed by the getOrphans function with its intended owner.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postOrphan(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const body = {
+    elements: [{ id: 'test_orphan_elem_001', ownerId: 'test_owner_elem_001' }]
+  };
+  const req = testUtils.createRequest(adminUser, params, body, 'POST');
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = async function(_data) {
+    chai.expect(_data.elements[0].ownerId).to.equal('test_owner_elem_001');
+    const found = await ElementController.find(adminUser, org._id, projectID, branchID,
+      'test_orphan_elem_001');
+    chai.expect(mcfUtils.parseID(found[0].parent).pop()).to.equal(`holding_bin_${projectID}`);
+
+    const orphansReq = testUtils.createRequest(adminUser, params, {}, 'GET');
+    const orphansRes = {
+      locals: {}
+    };
+    testUtils.createResponse(orphansRes);
+
+    orphansRes.send = function(orphans) {
+      chai.expect(orphans.elements.map((e) => e.id)).to.deep.equal(['test_orphan_elem_001']);
+      chai.expect(orphans.elements[0].ownerId).to.equal('test_owner_elem_001');
+
+      done();
+    };
+
+    APIController.getOrphans(orphansReq, orphansRes, next(orphansReq, orphansRes));
+  };
+
+  APIController.postElements(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that an orphaned element is moved out of the holding bin when its
+ * owner is posted in a later request.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postOrphanOwner(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const body = {
+    elements: [{ id: 'test_owner_elem_001', ownerId: 'model' }]
+  };
+  const req = testUtils.createRequest(adminUser, params, body, 'POST');
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = async function(_data) {
+    chai.expect(_data.elements.map((e) => e.id)).to.have.members(['test_owner_elem_001',
+      'test_orphan_elem_001']);
+    const found = await ElementController.find(adminUser, org._id, projectID, branchID,
+      'test_orphan_elem_001');
+    chai.expect(mcfUtils.parseID(found[0].parent).pop()).to.equal('test_owner_elem_001');
+
+    const orphansReq = testUtils.createRequest(adminUser, params, {}, 'GET');
+    const orphansRes = {
+      locals: {}
+    };
+    testUtils.createResponse(orphansRes);
+
+    orphansRes.send = function(orphans) {
+      chai.expect(orphans.elements).to.deep.equal([]);
+
+      done();
+    };
+
+    APIController.getOrphans(orphansReq, orphansRes, next(orphansReq, orphansRes));
+  };
+
+  APIController.postElements(req, res, next(req, res));
+}
+
+/**
+ * @description Posts elements to the test ref and passes the response on.
+ *
+ * @param {object[]} elements - The MMS elements to post.
+ * @param {object} query - The query of the request.
+ * @param {Function} callback - Called with the response body and the response object.
+ */
+function postElementsWithQuery(elements, query, callback) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const req = testUtils.createRequest(adminUser, params, { elements: elements }, 'POST', query);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    callback(_data, res);
+  };
+
+  APIController.postElements(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that posting an element with its type replaces its MMS properties, so
+ * that properties left out of the post are removed.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postReplaceElement(done) {
+  const original = {
+    id: 'test_replace_elem_001',
+    ownerId: 'model',
+    type: 'Property',
+    name: 'replaced',
+    documentation: 'documented',
+    _appliedStereotypeIds: ['test_stereotype'],
+    defaultValue: { type: 'LiteralString', value: 'default' }
+  };
+  postElementsWithQuery([original], {}, () => {
+    const replacement = {
+      id: 'test_replace_elem_001',
+      ownerId: 'model',
+      type: 'Property',
+      _appliedStereotypeIds: []
+    };
+    postElementsWithQuery([replacement], {}, (_data) => {
+      const element = _data.elements[0];
+      chai.expect(element._appliedStereotypeIds).to.deep.equal([]);
+      chai.expect(element).to.not.have.property('defaultValue');
+      chai.expect(element).to.not.have.property('name');
+      chai.expect(element).to.not.have.property('documentation');
+      chai.expect(element.ownerId).to.equal('model');
+
+      done();
+    });
+  });
+}
+
+/**
+ * @description Verifies that the merge patch mode keeps the MMS properties left out of a post,
+ * even if the element is posted with its type.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postMergePatch(done) {
+  const original = {
+    id: 'test_merge_elem_001',
+    ownerId: 'model',
+    type: 'Property',
+    name: 'merged',
+    defaultValue: { type: 'LiteralString', value: 'default' }
+  };
+  postElementsWithQuery([original], {}, () => {
+    const update = {
+      id: 'test_merge_elem_001',
+      type: 'Property',
+      visibility: 'public'
+    };
+    postElementsWithQuery([update], { patch: 'merge' }, (_data) => {
+      const element = _data.elements[0];
+      chai.expect(element.name).to.equal('merged');
+      chai.expect(element.defaultValue).to.deep.equal(original.defaultValue);
+      chai.expect(element.visibility).to.equal('public');
+
+      done();
+    });
+  });
+}
+
+/**
+ * @description Verifies that the replace patch mode removes the MMS properties left out of a
+ * post, even if the element is posted without its type.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postReplacePatch(done) {
+  const update = {
+    id: 'test_merge_elem_001',
+    name: 'replaced'
+  };
+  postElementsWithQuery([update], { patch: 'replace' }, (_data) => {
+    const element = _data.elements[0];
+    chai.expect(element.name).to.equal('replaced');
+    chai.expect(element).to.not.have.property('defaultValue');
+    chai.expect(element).to.not.have.property('visibility');
+
+    done();
+  });
+}
+
+/**
+ * @description Verifies that a patch mode other than merge or replace is rejected.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postInvalidPatch(done) {
+  const update = {
+    id: 'test_merge_elem_001',
+    name: 'invalid'
+  };
+  postElementsWithQuery([update], { patch: 'remove' }, (_data, res) => {
+    chai.expect(res.locals.statusCode).to.equal(400);
+    chai.expect(_data).to.equal('Invalid patch mode remove; expected merge or replace.');
+
+    done();
+  });
+}
@@ -26,18 +26,23 @@
  */
 
 // Node modules
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { Writable } = require('stream');
 
 // NPM modules
 const chai = require('chai');
 
 // MCF modules
+const Artifact = M.require('models.artifact');
 const mcfUtils = M.require('lib.utils');
 const ProjectController = M.require('controllers.project-controller');
 
 // Adapter modules
 const APIController = require('../../src/api-controller.js');
+const utils = require('../../src/utils.js');
+const namespace = utils.customDataNamespace;
 
 /* --------------------( Test Data )-------------------- */
 // Variables used across test functions
@@ -48,6 +53,9 @@ let adminUser = null;
 let org = null;
 let projectID = null;
 const branchID = 'master';
+const pdfID = 'test_pdf_artifact';
+const pdfV1 = Buffer.from('%PDF-1.4 version 1');
+const pdfV2 = Buffer.from('%PDF-1.4 version 2');
 
 
 /* --------------------( Main )-------------------- */
@@ -98,6 +106,21 @@ describe(M.getModuleName(module.filename), () => {
   it('should post an artifact', postArtifact);
   it('should get artifact documents', putArtifacts);
   it('should get an artifact blob', getBlob);
+  it('should send caching headers with an artifact blob', getBlobHeaders);
+  it('should not resend an unchanged artifact blob', getBlobNotModified);
+  it('should get a byte range of an artifact blob', getBlobRange);
+  it('should reject a byte range past the end of an artifact blob', getBlobRangeNotSatisfiable);
+  it('should store the checksum of an artifact uploaded without one', getBlobLegacyChecksum);
+  it('should post an artifact of any content type with its checksum', postArtifactPdf);
+  it('should keep the previous blob as a version on re-upload', postArtifactVersion);
+  it('should not create a version when the same content is uploaded', postArtifactSameContent);
+  it('should reject content types which are not allowed', postArtifactNotAllowed);
+  it('should reject artifacts over the size limit', postArtifactTooLarge);
+  it('should list artifacts filtered by content type', getArtifactsByType);
+  it('should page through artifacts', getArtifactsPaged);
+  it('should update artifact metadata', patchArtifact);
+  it('should reject updates to managed artifact fields', patchArtifactManaged);
+  it('should delete an artifact', deleteArtifact);
 });
 
 /* --------------------( Tests )-------------------- */
@@ -198,28 +221,440 @@ function putArtifacts(done) {
  */
 function getBlob(done) {
   const artData = testData.artifacts[0];
+
+  // Get the blob for comparison
+  const artifactPath = path.join(M.root, artData.location, artData.filename);
+  const actualBlob = fs.readFileSync(artifactPath);
+
+  download({}, (status, headers, data) => {
+    chai.expect(status).to.equal(200);
+    chai.expect(data).to.deep.equal(actualBlob);
+
+    done();
+  });
+}
+
+/**
+ * @description Verifies that an artifact blob is sent with its checksum as its ETag and the
+ * headers needed to cache and save it.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function getBlobHeaders(done) {
+  const artData = testData.artifacts[0];
+  const blob = fs.readFileSync(path.join(M.root, artData.location, artData.filename));
+
+  download({}, (status, headers, data) => {
+    chai.expect(status).to.equal(200);
+    chai.expect(data).to.deep.equal(blob);
+    chai.expect(headers.ETag).to.equal(
+      `"${crypto.createHash('sha256').update(blob).digest('hex')}"`
+    );
+    chai.expect(headers['Content-Type']).to.equal('image/svg+xml');
+    chai.expect(headers['Content-Length']).to.equal(String(blob.length));
+    chai.expect(headers['Content-Disposition']).to.include(`filename="${artData.id}.svg"`);
+    // SVG can run scripts, so it is downloaded rather than shown, and sandboxed
+    chai.expect(headers['Content-Disposition']).to.match(/^attachment;/);
+    chai.expect(headers['X-Content-Type-Options']).to.equal('nosniff');
+    chai.expect(headers['Content-Security-Policy']).to.equal('sandbox');
+    chai.expect(headers['Accept-Ranges']).to.equal('bytes');
+    chai.expect(Date.parse(headers['Last-Modified'])).to.not.be.NaN;
+
+    done();
+  });
+}
+
+/**
+ * @description Verifies that a conditional request for an unchanged blob is answered with
+ * 304 Not Modified and no body.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function getBlobNotModified(done) {
+  download({}, (status, headers) => {
+    download({ 'if-none-match': headers.ETag }, (status2, headers2, data) => {
+      chai.expect(status2).to.equal(304);
+      chai.expect(headers2.ETag).to.equal(headers.ETag);
+      chai.expect(data).to.equal(undefined);
+
+      done();
+    });
+  });
+}
+
+/**
+ * @description Verifies that a byte range of a blob is returned as partial content.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function getBlobRange(done) {
+  const artData = testData.artifacts[0];
+  const blob = fs.readFileSync(path.join(M.root, artData.location, artData.filename));
+
+  download({ range: 'bytes=0-9' }, (status, headers, data) => {
+    chai.expect(status).to.equal(206);
+    chai.expect(data).to.deep.equal(blob.slice(0, 10));
+    chai.expect(headers['Content-Range']).to.equal(`bytes 0-9/${blob.length}`);
+    chai.expect(headers['Content-Length']).to.equal('10');
+
+    done();
+  });
+}
+
+/**
+ * @description Verifies that a byte range starting past the end of a blob is rejected.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function getBlobRangeNotSatisfiable(done) {
+  const artData = testData.artifacts[0];
+  const blob = fs.readFileSync(path.join(M.root, artData.location, artData.filename));
+
+  download({ range: `bytes=${blob.length}-` }, (status, headers) => {
+    chai.expect(status).to.equal(416);
+    chai.expect(headers['Content-Range']).to.equal(`bytes */${blob.length}`);
+
+    done();
+  });
+}
+
+/**
+ * @description Verifies that an artifact stored before checksums were recorded is hashed when
+ * its blob is first downloaded, and that the checksum is then stored with the artifact.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function getBlobLegacyChecksum(done) {
+  const artData = testData.artifacts[0];
+  const blob = fs.readFileSync(path.join(M.root, artData.location, artData.filename));
+  const checksum = crypto.createHash('sha256').update(blob).digest('hex');
+  const artID = mcfUtils.createID(org._id, projectID, branchID, artData.id);
+
+  Artifact.updateOne({ _id: artID }, { $unset: { [`custom.${namespace}.checksum`]: '' } })
+  .then(() => {
+    download({}, async (status, headers, data) => {
+      chai.expect(status).to.equal(200);
+      chai.expect(data).to.deep.equal(blob);
+      chai.expect(headers.ETag).to.equal(`"${checksum}"`);
+
+      const artifact = await Artifact.findOne({ _id: artID });
+      chai.expect(artifact.custom[namespace].checksum).to.equal(checksum);
+
+      done();
+    });
+  })
+  .catch(done);
+}
+
+/* --------------------( Helpers )-------------------- */
+/**
+ * @description Downloads the test artifact blob through the getBlob function.
+ *
+ * @param {object} headers - The request headers, keyed by lowercase name.
+ * @param {Function} callback - Called with the response status code, headers and body.
+ */
+function download(headers, callback) {
   const params = {
     projectid: projectID,
     refid: branchID,
-    blobid: artData.id
+    blobid: testData.artifacts[0].id
   };
   const body = {};
   const method = 'GET';
   const req = testUtils.createRequest(adminUser, params, body, method);
+  req.headers = Object.assign({}, req.headers, headers);
+  // Streamed blobs are piped to the response, so it is a writable stream rather than the
+  // response of the test utilities
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, encoding, cb) {
+      chunks.push(chunk);
+      cb();
+    }
+  });
+  res.locals = {};
+
+  let statusCode = null;
+  const resHeaders = {};
+  res.status = function(code) {
+    statusCode = code;
+    return res;
+  };
+  res.header = function(name, value) {
+    resHeaders[name] = value;
+    return res;
+  };
+  res.send = function(_data) {
+    callback(statusCode || res.locals.statusCode, resHeaders, _data);
+  };
+  res.on('finish', () => {
+    callback(statusCode, resHeaders, (chunks.length !== 0) ? Buffer.concat(chunks) : undefined);
+  });
+
+  APIController.getBlob(req, res, next(req, res));
+}
+
+/**
+ * @description Uploads a file to an artifact through the postArtifact function.
+ *
+ * @param {string} id - The id of the artifact.
+ * @param {object} file - The uploaded file.
+ * @param {Function} callback - Called with the response status code and data.
+ */
+function upload(id, file, callback) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const body = {
+    id: id
+  };
+  const method = 'POST';
+  const req = testUtils.createRequest(adminUser, params, body, method);
   const res = {
     locals: {}
   };
   testUtils.createResponse(res);
+  req.file = file;
 
-  // Get the blob for comparison
-  const artifactPath = path.join(M.root, artData.location, artData.filename);
-  const actualBlob = fs.readFileSync(artifactPath);
+  res.send = function(_data) {
+    callback(res.locals.statusCode, _data);
+  };
 
-  res.send = async function(_data) {
-    chai.expect(_data).to.deep.equal(actualBlob);
+  APIController.postArtifact(req, res, next(req, res));
+}
 
-    done();
+/**
+ * @description Calls an artifact API function on the artifact test ref.
+ *
+ * @param {string} func - The name of the API controller function.
+ * @param {object} params - Extra request parameters.
+ * @param {object} body - The request body.
+ * @param {string} method - The request method.
+ * @param {object} query - The request query.
+ * @param {Function} callback - Called with the response status code and data.
+ */
+function request(func, params, body, method, query, callback) {
+  const req = testUtils.createRequest(adminUser,
+    Object.assign({ projectid: projectID, refid: branchID }, params), body, method, query);
+  const res = {
+    locals: {}
   };
+  testUtils.createResponse(res);
 
-  APIController.getBlob(req, res, next(req, res));
+  res.send = function(_data) {
+    callback(res.locals.statusCode, _data);
+  };
+
+  APIController[func](req, res, next(req, res));
+}
+
+/**
+ * @description Replaces the artifacts section of the adapter config while a test runs.
+ *
+ * @param {object} config - The artifacts config to use.
+ *
+ * @returns {Function} Restores the previous config when called.
+ */
+function useArtifactConfig(config) {
+  const adapterConfig = M.config.server.plugins.plugins['mms-adapter'];
+  const previous = adapterConfig.artifacts;
+  adapterConfig.artifacts = config;
+  return () => { adapterConfig.artifacts = previous; };
+}
+
+/* --------------------( Upload Tests )-------------------- */
+/**
+ * @description Verifies that an artifact of any content type is named after its content type
+ * and stored with its checksum and size.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postArtifactPdf(done) {
+  const file = { buffer: pdfV1, mimetype: 'application/pdf', originalname: 'doc.pdf' };
+  upload(pdfID, file, (status, artifact) => {
+    chai.expect(status).to.equal(200);
+    chai.expect(artifact.id).to.equal(pdfID);
+    chai.expect(artifact.filename).to.equal(`${pdfID}.pdf`);
+    chai.expect(artifact.contentType).to.equal('application/pdf');
+    chai.expect(artifact.checksum).to.equal(
+      crypto.createHash('sha256').update(pdfV1).digest('hex')
+    );
+    chai.expect(artifact.size).to.equal(pdfV1.length);
+    chai.expect(artifact.versions).to.deep.equal([]);
+
+    done();
+  });
+}
+
+/**
+ * @description Verifies that uploading new content to an artifact stores it as a new version
+ * and keeps the previous blob.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postArtifactVersion(done) {
+  const file = { buffer: pdfV2, mimetype: 'application/pdf', originalname: 'doc.pdf' };
+  upload(pdfID, file, (status, artifact) => {
+    chai.expect(status).to.equal(200);
+    chai.expect(artifact.filename).to.equal(`${pdfID}_v2.pdf`);
+    chai.expect(artifact.size).to.equal(pdfV2.length);
+    chai.expect(artifact.versions.length).to.equal(1);
+    chai.expect(artifact.versions[0].filename).to.equal(`${pdfID}.pdf`);
+    chai.expect(artifact.versions[0].checksum).to.equal(
+      crypto.createHash('sha256').update(pdfV1).digest('hex')
+    );
+
+    done();
+  });
+}
+
+/**
+ * @description Verifies that uploading the current content of an artifact again does not
+ * create a version.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postArtifactSameContent(done) {
+  const file = { buffer: pdfV2, mimetype: 'application/pdf', originalname: 'doc.pdf' };
+  upload(pdfID, file, (status, artifact) => {
+    chai.expect(status).to.equal(200);
+    chai.expect(artifact.filename).to.equal(`${pdfID}_v2.pdf`);
+    chai.expect(artifact.versions.length).to.equal(1);
+
+    done();
+  });
+}
+
+/**
+ * @description Verifies that content types outside the configured allow-list are rejected.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postArtifactNotAllowed(done) {
+  const restore = useArtifactConfig({ allowedTypes: ['image/*', 'application/pdf'] });
+  const file = { buffer: Buffer.from('a,b'), mimetype: 'text/csv', originalname: 'data.csv' };
+  upload('test_csv_artifact', file, (status, message) => {
+    restore();
+    chai.expect(status).to.equal(400);
+    chai.expect(message).to.equal('Artifacts of type text/csv are not allowed.');
+
+    done();
+  });
+}
+
+/**
+ * @description Verifies that artifacts larger than the configured size limit are rejected.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postArtifactTooLarge(done) {
+  const restore = useArtifactConfig({ maxSize: 4 });
+  const file = { buffer: pdfV1, mimetype: 'application/pdf', originalname: 'doc.pdf' };
+  upload('test_large_artifact', file, (status, message) => {
+    restore();
+    chai.expect(status).to.equal(400);
+    chai.expect(message).to.equal('Artifact exceeds the maximum size of 4 bytes.');
+
+    done();
+  });
+}
+
+/* --------------------( Listing and Metadata Tests )-------------------- */
+/**
+ * @description Verifies that artifacts can be listed by exact and wildcard content types.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function getArtifactsByType(done) {
+  request('getArtifacts', {}, {}, 'GET', { contentType: 'application/pdf' }, (status, data) => {
+    chai.expect(status).to.equal(200);
+    chai.expect(data.total).to.equal(1);
+    chai.expect(data.artifacts.map((a) => a.id)).to.deep.equal([pdfID]);
+
+    request('getArtifacts', {}, {}, 'GET', { contentType: 'image/*' }, (status2, data2) => {
+      chai.expect(status2).to.equal(200);
+      chai.expect(data2.total).to.equal(1);
+      chai.expect(data2.artifacts[0].id).to.equal(testData.artifacts[0].id);
+      chai.expect(data2.artifacts[0].contentType).to.equal('image/svg+xml');
+
+      done();
+    });
+  });
+}
+
+/**
+ * @description Verifies that the artifact list is paged with limit and skip while the total
+ * counts every artifact.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function getArtifactsPaged(done) {
+  request('getArtifacts', {}, {}, 'GET', { limit: '1', skip: '1' }, (status, data) => {
+    chai.expect(status).to.equal(200);
+    chai.expect(data.total).to.equal(2);
+    chai.expect(data.artifacts.length).to.equal(1);
+    chai.expect(data.artifacts[0].id).to.equal(testData.artifacts[0].id);
+
+    done();
+  });
+}
+
+/**
+ * @description Verifies that artifact metadata is merged into the artifact without changing
+ * its blob.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function patchArtifact(done) {
+  const body = { title: 'Exported document' };
+  request('patchArtifact', { artifactid: pdfID }, body, 'PATCH', {}, (status, data) => {
+    chai.expect(status).to.equal(200);
+    const artifact = data.artifacts[0];
+    chai.expect(artifact.id).to.equal(pdfID);
+    chai.expect(artifact.title).to.equal('Exported document');
+    chai.expect(artifact.filename).to.equal(`${pdfID}_v2.pdf`);
+    chai.expect(artifact.contentType).to.equal('application/pdf');
+    chai.expect(artifact.versions.length).to.equal(1);
+
+    done();
+  });
+}
+
+/**
+ * @description Verifies that fields managed by the adapter cannot be updated.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function patchArtifactManaged(done) {
+  const body = { checksum: 'abc', title: 'Changed' };
+  request('patchArtifact', { artifactid: pdfID }, body, 'PATCH', {}, (status, message) => {
+    chai.expect(status).to.equal(400);
+    chai.expect(message).to.equal('Artifact fields cannot be updated: checksum.');
+
+    done();
+  });
+}
+
+/**
+ * @description Verifies that an artifact is deleted and no longer listed.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function deleteArtifact(done) {
+  request('deleteArtifact', { artifactid: pdfID }, {}, 'DELETE', {}, (status, data) => {
+    chai.expect(status).to.equal(200);
+    chai.expect(data.artifacts[0].id).to.equal(pdfID);
+
+    request('getArtifacts', {}, {}, 'GET', {}, (status2, data2) => {
+      chai.expect(status2).to.equal(200);
+      chai.expect(data2.artifacts.map((a) => a.id)).to.not.include(pdfID);
+
+      request('deleteArtifact', { artifactid: pdfID }, {}, 'DELETE', {}, (status3) => {
+        chai.expect(status3).to.equal(404);
+
+        done();
+      });
+    });
+  });
 }
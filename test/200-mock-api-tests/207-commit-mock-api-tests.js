@@ -0,0 +1,624 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module test.207-commit-mock-api-tests
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Verifies that the commit API endpoints are functioning correctly.
+ */
+
+// NPM modules
+const chai = require('chai');
+
+// MCF modules
+const EventEmitter = M.require('lib.events');
+const mcfUtils = M.require('lib.utils');
+
+// Adapter modules
+const APIController = require('../../src/api-controller.js');
+
+/* --------------------( Test Data )-------------------- */
+// Variables used across test functions
+const testUtils = M.require('lib.test-utils');
+const next = testUtils.next;
+let adminUser = null;
+let org = null;
+let projectID = null;
+const branchID = 'master';
+const tagID = 'test_commit_tag';
+let commits = [];
+
+/* --------------------( Main )-------------------- */
+/**
+ * The "describe" function is provided by Mocha and provides a way of wrapping
+ * or grouping several "it" tests into a single group. In this case, the name of
+ * that group (the first parameter passed into describe) is derived from the
+ * name of the current file.
+ */
+describe(M.getModuleName(module.filename), () => {
+  /**
+   * Before: Run before all tests. Creates the admin user, test org and test project.
+   */
+  before(async () => {
+    try {
+      adminUser = await testUtils.createTestAdmin();
+      org = await testUtils.createTestOrg(adminUser);
+      const project = await testUtils.createTestProject(adminUser, org._id);
+      projectID = mcfUtils.parseID(project._id).pop();
+    }
+    catch (error) {
+      M.log.error(error);
+      // Expect no error
+      chai.expect(error).to.equal(null);
+    }
+  });
+
+  /**
+   * After: Run after all tests. Delete admin user and test org.
+   */
+  after(async () => {
+    try {
+      await testUtils.removeTestOrg();
+      await testUtils.removeTestAdmin();
+    }
+    catch (error) {
+      M.log.error(error);
+      // Expect no error
+      chai.expect(error).to.equal(null);
+    }
+  });
+
+  /* Execute tests */
+  it('should record a commit when elements are posted', postElementsCommit);
+  it('should record a commit when elements are updated', updateElementsCommit);
+  it('should record a commit when elements are deleted', deleteElementsCommit);
+  it('should return the commits on a ref newest first', getCommits);
+  it('should limit the number of commits returned', getCommitsLimit);
+  it('should get an element as it was at a commit', getElementAtCommit);
+  it('should find elements as they were at a commit', putElementsAtCommit);
+  it('should diff the elements of a ref at two commits', getDiffCommits);
+  it('should diff the elements of a ref at a commit with its current state', getDiffCurrent);
+  it('should create a tag from an earlier commit', postTagAtCommit);
+  it('should reject element writes to a tag', postElementsToTag);
+  it('should list only the tags of a project', getTags);
+  it('should merge a tag into its parent ref', postMergeTag);
+  it('should reject merges into a tag', postMergeIntoTag);
+});
+
+/* --------------------( Tests )-------------------- */
+/**
+ * @description Verifies that posting elements records a commit containing the added elements.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postElementsCommit(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const body = {
+    elements: [
+      { id: 'test_commit_elem_001', ownerId: 'model', testing: 'v1' },
+      { id: 'test_commit_elem_002', ownerId: 'model' }
+    ],
+    comment: 'first commit'
+  };
+  const method = 'POST';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    chai.expect(_data.elements.length).to.equal(2);
+
+    done();
+  };
+
+  APIController.postElements(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that updating elements records a commit containing the updated elements.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function updateElementsCommit(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const body = {
+    elements: [{ id: 'test_commit_elem_001', testing: 'v2' }]
+  };
+  const method = 'POST';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    chai.expect(_data.elements[0].testing).to.equal('v2');
+
+    done();
+  };
+
+  APIController.postElements(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that deleting elements records a commit containing the deleted elements.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function deleteElementsCommit(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const body = {
+    elements: [{ id: 'test_commit_elem_002' }]
+  };
+  const method = 'DELETE';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    chai.expect(_data.elements.length).to.equal(1);
+
+    done();
+  };
+
+  APIController.deleteElements(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that the getCommits function returns the recorded commits in MMS
+ * format, newest first.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function getCommits(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const body = {};
+  const method = 'GET';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    commits = _data.commits;
+    chai.expect(commits.length).to.equal(3);
+    commits.forEach((commit) => {
+      chai.expect(typeof commit.id).to.equal('string');
+      chai.expect(commit._creator).to.equal(adminUser._id);
+      chai.expect(commit._projectId).to.equal(projectID);
+      chai.expect(commit._refId).to.equal(branchID);
+    });
+    // The delete happened last, so it should be listed first
+    chai.expect(commits[2].comment).to.equal('first commit');
+    chai.expect(new Date(commits[0]._created).getTime())
+    .to.be.at.least(new Date(commits[1]._created).getTime());
+
+    done();
+  };
+
+  APIController.getCommits(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that the getCommits function honors the limit query parameter.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function getCommitsLimit(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const body = {};
+  const method = 'GET';
+  const query = { limit: '1' };
+  const req = testUtils.createRequest(adminUser, params, body, method, query);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    chai.expect(_data.commits.length).to.equal(1);
+    chai.expect(_data.commits[0].comment).to.equal('');
+
+    done();
+  };
+
+  APIController.getCommits(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that the getElement function returns an element as it was at a commit
+ * when a commitId is provided in the query.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function getElementAtCommit(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID,
+    elementid: 'test_commit_elem_001'
+  };
+  const body = {};
+  const method = 'GET';
+  // The first commit is listed last
+  const query = { commitId: commits[2].id };
+  const req = testUtils.createRequest(adminUser, params, body, method, query);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    const element = _data.elements[0];
+    chai.expect(element.id).to.equal('test_commit_elem_001');
+    chai.expect(element.testing).to.equal('v1');
+    chai.expect(element._refId).to.equal(branchID);
+    chai.expect(element._commitId).to.equal(commits[2].id);
+
+    done();
+  };
+
+  APIController.getElement(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that the putElements function returns elements as they were at a commit
+ * when a commitId is provided in the query, omitting elements which did not exist at that commit.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function putElementsAtCommit(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const body = {
+    elements: [{ id: 'test_commit_elem_001' }, { id: 'test_commit_elem_002' }]
+  };
+  const method = 'PUT';
+  // The second commit updated the first element but had not yet deleted the second
+  const query = { commitId: commits[1].id };
+  const req = testUtils.createRequest(adminUser, params, body, method, query);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    const elements = _data.elements;
+    chai.expect(elements.map((e) => e.id)).to.have.members(['test_commit_elem_001',
+      'test_commit_elem_002']);
+    const updated = elements.find((e) => e.id === 'test_commit_elem_001');
+    chai.expect(updated.testing).to.equal('v2');
+
+    done();
+  };
+
+  APIController.putElements(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that the getDiff function returns the per-field changes made to the
+ * elements of a ref between two commits.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function getDiffCommits(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const body = {};
+  const method = 'GET';
+  const query = { commitId: commits[2].id, compareCommitId: commits[1].id };
+  const req = testUtils.createRequest(adminUser, params, body, method, query);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    const result = _data.diff;
+    chai.expect(result._commitId).to.equal(commits[2].id);
+    chai.expect(result._compareCommitId).to.equal(commits[1].id);
+    chai.expect(result.added.length).to.equal(0);
+    chai.expect(result.removed.length).to.equal(0);
+    chai.expect(result.updated.length).to.equal(1);
+    chai.expect(result.updated[0].id).to.equal('test_commit_elem_001');
+    chai.expect(result.updated[0].element.testing).to.equal('v2');
+    chai.expect(result.updated[0].changes).to.deep.equal({
+      testing: { before: 'v1', after: 'v2' }
+    });
+
+    done();
+  };
+
+  APIController.getDiff(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that the getDiff function compares a ref at a commit with its current
+ * state when no compareCommitId is provided.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function getDiffCurrent(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const body = {};
+  const method = 'GET';
+  const query = { commitId: commits[1].id };
+  const req = testUtils.createRequest(adminUser, params, body, method, query);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    const result = _data.diff;
+    chai.expect(result.added.length).to.equal(0);
+    chai.expect(result.updated.length).to.equal(0);
+    chai.expect(result.removed.map((e) => e.id)).to.deep.equal(['test_commit_elem_002']);
+
+    done();
+  };
+
+  APIController.getDiff(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that a tag created from an earlier commit starts with the elements as
+ * they were at that commit, and that the element events of the copies are emitted.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postTagAtCommit(done) {
+  const created = [];
+  const onCreated = (elements) => created.push(...elements.map((e) => e._id));
+  EventEmitter.on('elements-created', onCreated);
+
+  const params = {
+    projectid: projectID
+  };
+  const body = {
+    refs: [{
+      id: tagID,
+      name: tagID,
+      type: 'Tag',
+      parentRefId: branchID,
+      // The first commit is listed last
+      parentCommitId: commits[2].id
+    }]
+  };
+  const method = 'POST';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    EventEmitter.removeListener('elements-created', onCreated);
+    const tag = _data.refs[0];
+    chai.expect(tag.id).to.equal(tagID);
+    chai.expect(tag.type).to.equal('tag');
+    chai.expect(tag.parentCommitId).to.equal(commits[2].id);
+    chai.expect(created).to.include(mcfUtils.createID(org._id, projectID, tagID,
+      'test_commit_elem_001'));
+
+    const elemParams = {
+      projectid: projectID,
+      refid: tagID
+    };
+    const elemBody = {
+      elements: [{ id: 'test_commit_elem_001' }, { id: 'test_commit_elem_002' }]
+    };
+    const elemReq = testUtils.createRequest(adminUser, elemParams, elemBody, 'PUT');
+    const elemRes = {
+      locals: {}
+    };
+    testUtils.createResponse(elemRes);
+
+    elemRes.send = function(_elemData) {
+      const elements = {};
+      _elemData.elements.forEach((e) => { elements[e.id] = e; });
+      chai.expect(elements.test_commit_elem_001.testing).to.equal('v1');
+      chai.expect(elements.test_commit_elem_001._refId).to.equal(tagID);
+      chai.expect(elements.test_commit_elem_001.ownerId).to.equal('model');
+      // The element was deleted from master after the tagged commit
+      chai.expect(elements).to.have.property('test_commit_elem_002');
+
+      done();
+    };
+
+    APIController.putElements(elemReq, elemRes, next(elemReq, elemRes));
+  };
+
+  APIController.postRefs(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that elements cannot be written to a tag.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postElementsToTag(done) {
+  const params = {
+    projectid: projectID,
+    refid: tagID
+  };
+  const body = {
+    elements: [{ id: 'test_commit_elem_001', testing: 'v3' }]
+  };
+  const method = 'POST';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    chai.expect(res.locals.statusCode).to.equal(403);
+    chai.expect(_data).to.equal(`Ref ${tagID} is a tag and cannot be modified.`);
+
+    done();
+  };
+
+  APIController.postElements(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that the getRefs function lists only the tags of a project when the
+ * Tag type is requested.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function getTags(done) {
+  const params = {
+    projectid: projectID
+  };
+  const body = {};
+  const method = 'GET';
+  const query = { type: 'Tag' };
+  const req = testUtils.createRequest(adminUser, params, body, method, query);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    chai.expect(_data.refs.map((r) => r.id)).to.deep.equal([tagID]);
+
+    done();
+  };
+
+  APIController.getRefs(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that a tag, which is only read by a merge, can be merged into its
+ * parent ref and keeps the commit it was created at.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postMergeTag(done) {
+  const params = {
+    projectid: projectID,
+    refid: tagID
+  };
+  const req = testUtils.createRequest(adminUser, params, {}, 'POST');
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    chai.expect(res.locals.statusCode).to.equal(200);
+    chai.expect(_data.merge._refId).to.equal(tagID);
+    chai.expect(_data.merge._targetRefId).to.equal(branchID);
+
+    const refReq = testUtils.createRequest(adminUser, params, {}, 'GET');
+    const refRes = {
+      locals: {}
+    };
+    testUtils.createResponse(refRes);
+
+    refRes.send = function(_refData) {
+      chai.expect(_refData.refs[0].parentCommitId).to.equal(commits[2].id);
+
+      done();
+    };
+
+    APIController.getRef(refReq, refRes, next(refReq, refRes));
+  };
+
+  APIController.postMerge(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that a ref created from a tag cannot be merged into it, since the
+ * merge would write to the tag.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postMergeIntoTag(done) {
+  const refID = 'test_commit_tag_branch';
+  const params = {
+    projectid: projectID
+  };
+  const body = {
+    refs: [{
+      id: refID,
+      name: refID,
+      type: 'Branch',
+      parentRefId: tagID
+    }]
+  };
+  const req = testUtils.createRequest(adminUser, params, body, 'POST');
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function() {
+    const mergeParams = {
+      projectid: projectID,
+      refid: refID
+    };
+    const mergeReq = testUtils.createRequest(adminUser, mergeParams, {}, 'POST');
+    const mergeRes = {
+      locals: {}
+    };
+    testUtils.createResponse(mergeRes);
+
+    mergeRes.send = function(_data) {
+      chai.expect(mergeRes.locals.statusCode).to.equal(403);
+      chai.expect(_data).to.equal(`Ref ${tagID} is a tag and cannot be modified.`);
+
+      done();
+    };
+
+    APIController.postMerge(mergeReq, mergeRes, next(mergeReq, mergeRes));
+  };
+
+  APIController.postRefs(req, res, next(req, res));
+}
@@ -0,0 +1,267 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module test.208-merge-mock-api-tests
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Verifies that refs can be merged into their parent refs.
+ */
+
+// NPM modules
+const chai = require('chai');
+
+// MCF modules
+const mcfUtils = M.require('lib.utils');
+
+// Adapter modules
+const APIController = require('../../src/api-controller.js');
+
+/* --------------------( Test Data )-------------------- */
+// Variables used across test functions
+const testUtils = M.require('lib.test-utils');
+const next = testUtils.next;
+let adminUser = null;
+let org = null;
+let projectID = null;
+const masterID = 'master';
+const branchID = 'test_merge_branch';
+
+/* --------------------( Main )-------------------- */
+/**
+ * The "describe" function is provided by Mocha and provides a way of wrapping
+ * or grouping several "it" tests into a single group. In this case, the name of
+ * that group (the first parameter passed into describe) is derived from the
+ * name of the current file.
+ */
+describe(M.getModuleName(module.filename), () => {
+  /**
+   * Before: Run before all tests. Creates the admin user, test org and test project.
+   */
+  before(async () => {
+    try {
+      adminUser = await testUtils.createTestAdmin();
+      org = await testUtils.createTestOrg(adminUser);
+      const project = await testUtils.createTestProject(adminUser, org._id);
+      projectID = mcfUtils.parseID(project._id).pop();
+    }
+    catch (error) {
+      M.log.error(error);
+      // Expect no error
+      chai.expect(error).to.equal(null);
+    }
+  });
+
+  /**
+   * After: Run after all tests. Delete admin user and test org.
+   */
+  after(async () => {
+    try {
+      await testUtils.removeTestOrg();
+      await testUtils.removeTestAdmin();
+    }
+    catch (error) {
+      M.log.error(error);
+      // Expect no error
+      chai.expect(error).to.equal(null);
+    }
+  });
+
+  /* Execute tests */
+  it('should post the elements to be branched', postBaseElements);
+  it('should record the parent commit of a new ref', postMergeRef);
+  it('should post changes to the ref', postRefChanges);
+  it('should post conflicting changes to the parent ref', postParentChanges);
+  it('should report conflicts without merging', postMergeConflicts);
+  it('should merge a ref using the theirs strategy', postMergeTheirs);
+});
+
+/* --------------------( Helpers )-------------------- */
+/**
+ * @description Posts elements to a ref of the test project.
+ *
+ * @param {string} refID - The id of the ref to post to.
+ * @param {object[]} elements - The MMS elements to post.
+ * @param {Function} done - The Mocha callback.
+ */
+function postElements(refID, elements, done) {
+  const params = {
+    projectid: projectID,
+    refid: refID
+  };
+  const body = { elements: elements };
+  const method = 'POST';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    chai.expect(_data.elements.length).to.equal(elements.length);
+
+    done();
+  };
+
+  APIController.postElements(req, res, next(req, res));
+}
+
+/* --------------------( Tests )-------------------- */
+/**
+ * @description Posts the elements which will be changed on both refs.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postBaseElements(done) {
+  postElements(masterID, [
+    { id: 'test_merge_elem_001', ownerId: 'model', testing: 'base' },
+    { id: 'test_merge_elem_002', ownerId: 'model', testing: 'base' }
+  ], done);
+}
+
+/**
+ * @description Verifies that creating a ref records the latest commit on its parent ref as its
+ * parentCommitId.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postMergeRef(done) {
+  const params = {
+    orgid: org._id,
+    projectid: projectID
+  };
+  const body = {
+    refs: [{ id: branchID, name: 'Merge Branch', parentRefId: masterID }]
+  };
+  const method = 'POST';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    const ref = _data.refs[0];
+    chai.expect(ref.id).to.equal(branchID);
+    chai.expect(ref.parentRefId).to.equal(masterID);
+    chai.expect(ref.parentCommitId).to.be.a('string');
+
+    done();
+  };
+
+  APIController.postRefs(req, res, next(req, res));
+}
+
+/**
+ * @description Posts an update to both elements and a new element to the ref.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postRefChanges(done) {
+  postElements(branchID, [
+    { id: 'test_merge_elem_001', testing: 'theirs' },
+    { id: 'test_merge_elem_002', testing: 'theirs' },
+    { id: 'test_merge_elem_003', ownerId: 'model', testing: 'new' }
+  ], done);
+}
+
+/**
+ * @description Posts a conflicting update to one of the elements on the parent ref.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postParentChanges(done) {
+  postElements(masterID, [
+    { id: 'test_merge_elem_002', testing: 'ours' }
+  ], done);
+}
+
+/**
+ * @description Verifies that the postMerge function returns the conflicting fields without
+ * writing anything when no strategy is provided.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postMergeConflicts(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const body = {};
+  const method = 'POST';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    chai.expect(res.locals.statusCode).to.equal(409);
+    chai.expect(_data.conflicts).to.deep.equal([{
+      id: 'test_merge_elem_002',
+      field: 'testing',
+      base: 'base',
+      ours: 'ours',
+      theirs: 'theirs'
+    }]);
+
+    done();
+  };
+
+  APIController.postMerge(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that the postMerge function applies the changes made on the ref to its
+ * parent ref, resolving conflicts with the changes made on the ref.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postMergeTheirs(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const body = { comment: 'merge commit' };
+  const method = 'POST';
+  const query = { strategy: 'theirs' };
+  const req = testUtils.createRequest(adminUser, params, body, method, query);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    const merge = _data.merge;
+    chai.expect(merge._targetRefId).to.equal(masterID);
+    chai.expect(merge._commitId).to.be.a('string');
+    chai.expect(merge.conflicts.length).to.equal(1);
+    chai.expect(merge.added.map((e) => e.id)).to.deep.equal(['test_merge_elem_003']);
+    chai.expect(merge.added[0]._refId).to.equal(masterID);
+    chai.expect(merge.updated.map((e) => e.id)).to.have.members(['test_merge_elem_001',
+      'test_merge_elem_002']);
+    merge.updated.forEach((e) => chai.expect(e.testing).to.equal('theirs'));
+    chai.expect(merge.deleted.length).to.equal(0);
+
+    done();
+  };
+
+  APIController.postMerge(req, res, next(req, res));
+}
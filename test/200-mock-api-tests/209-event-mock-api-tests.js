@@ -0,0 +1,200 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module test.209-event-mock-api-tests
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Verifies that element changes are pushed to listening clients.
+ */
+
+// NPM modules
+const chai = require('chai');
+
+// MCF modules
+const mcfUtils = M.require('lib.utils');
+
+// Adapter modules
+const APIController = require('../../src/api-controller.js');
+
+/* --------------------( Test Data )-------------------- */
+// Variables used across test functions
+const testUtils = M.require('lib.test-utils');
+const next = testUtils.next;
+let adminUser = null;
+let org = null;
+let projectID = null;
+const branchID = 'master';
+
+/* --------------------( Main )-------------------- */
+/**
+ * The "describe" function is provided by Mocha and provides a way of wrapping
+ * or grouping several "it" tests into a single group. In this case, the name of
+ * that group (the first parameter passed into describe) is derived from the
+ * name of the current file.
+ */
+describe(M.getModuleName(module.filename), () => {
+  /**
+   * Before: Run before all tests. Creates the admin user, test org and test project.
+   */
+  before(async () => {
+    try {
+      adminUser = await testUtils.createTestAdmin();
+      org = await testUtils.createTestOrg(adminUser);
+      const project = await testUtils.createTestProject(adminUser, org._id);
+      projectID = mcfUtils.parseID(project._id).pop();
+    }
+    catch (error) {
+      M.log.error(error);
+      // Expect no error
+      chai.expect(error).to.equal(null);
+    }
+  });
+
+  /**
+   * After: Run after all tests. Delete admin user and test org.
+   */
+  after(async () => {
+    try {
+      await testUtils.removeTestOrg();
+      await testUtils.removeTestAdmin();
+    }
+    catch (error) {
+      M.log.error(error);
+      // Expect no error
+      chai.expect(error).to.equal(null);
+    }
+  });
+
+  /* Execute tests */
+  it('should push an event when elements are posted', getEventsPost);
+  it('should not open an event stream on a missing ref', getEventsNotFound);
+  it('should describe the realtime sync connections', getJmsConnection);
+});
+
+/* --------------------( Tests )-------------------- */
+/**
+ * @description Verifies that a client listening to a ref receives an event holding the ids of
+ * the elements posted to it.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function getEventsPost(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const method = 'GET';
+  const req = testUtils.createRequest(adminUser, params, {}, method);
+  let close = null;
+  req.on = (event, callback) => {
+    if (event === 'close') close = callback;
+  };
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.write = function(chunk) {
+    if (!chunk.startsWith('id: ')) return;
+    const lines = chunk.split('\n');
+    chai.expect(lines[1]).to.equal('event: elements');
+    const event = JSON.parse(lines[2].slice('data: '.length));
+    chai.expect(lines[0]).to.equal(`id: ${event.commitId}`);
+    chai.expect(event._projectId).to.equal(projectID);
+    chai.expect(event._refId).to.equal(branchID);
+    chai.expect(event.added).to.have.members(['test_event_elem_001']);
+
+    // Stop listening to the ref
+    close();
+    done();
+  };
+
+  APIController.getEvents(req, res, next(req, res))
+  .then(() => {
+    chai.expect(close).to.be.a('function');
+
+    const postParams = {
+      projectid: projectID,
+      refid: branchID
+    };
+    const body = {
+      elements: [{ id: 'test_event_elem_001', ownerId: 'model' }]
+    };
+    const postReq = testUtils.createRequest(adminUser, postParams, body, 'POST');
+    const postRes = {
+      locals: {}
+    };
+    testUtils.createResponse(postRes);
+    postRes.send = function() {};
+
+    return APIController.postElements(postReq, postRes, next(postReq, postRes));
+  })
+  .catch(done);
+}
+
+/**
+ * @description Verifies that listening to a ref which does not exist fails with a 404.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function getEventsNotFound(done) {
+  const params = {
+    projectid: projectID,
+    refid: 'not_a_ref'
+  };
+  const method = 'GET';
+  const req = testUtils.createRequest(adminUser, params, {}, method);
+  req.on = () => {};
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    chai.expect(res.locals.statusCode).to.equal(404);
+
+    done();
+  };
+
+  APIController.getEvents(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that the connection descriptor always describes the event stream.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function getJmsConnection(done) {
+  const req = testUtils.createRequest(adminUser, {}, {}, 'GET');
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    chai.expect(_data.connections).to.be.an('array');
+    chai.expect(_data.events.uri).to.equal('/projects/{projectid}/refs/{refid}/events');
+
+    done();
+  };
+
+  APIController.getJmsConnection(req, res, next(req, res));
+}
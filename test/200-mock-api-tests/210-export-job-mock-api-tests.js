@@ -0,0 +1,459 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module test.210-export-job-mock-api-tests
+ *
+ * @license
+ * Copyright 2020 Lockheed Martin Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Verifies that the export job API endpoints are functioning correctly.
+ */
+
+// Node modules
+const { Writable } = require('stream');
+
+// NPM modules
+const chai = require('chai');
+
+// MCF modules
+const mcfUtils = M.require('lib.utils');
+
+// Adapter modules
+const APIController = require('../../src/api-controller.js');
+const ExportJob = require('../../src/models/export-job.js');
+const exportJobs = require('../../src/export-jobs.js');
+
+/* --------------------( Test Data )-------------------- */
+// Variables used across test functions
+const testUtils = M.require('lib.test-utils');
+const next = testUtils.next;
+let adminUser = null;
+let org = null;
+let projectID = null;
+const branchID = 'master';
+let jobID = null;
+let htmlJobID = null;
+let pdfConfig = null;
+
+/* --------------------( Main )-------------------- */
+/**
+ * The "describe" function is provided by Mocha and provides a way of wrapping
+ * or grouping several "it" tests into a single group. In this case, the name of
+ * that group (the first parameter passed into describe) is derived from the
+ * name of the current file.
+ */
+describe(M.getModuleName(module.filename), () => {
+  /**
+   * Before: Run before all tests. Creates the admin user, test org and test project, and
+   * renders PDFs with a command which copies the HTML, so that jobs succeed without a
+   * renderer installed.
+   */
+  before(async () => {
+    try {
+      const adapterConfig = M.config.server.plugins.plugins['mms-adapter'];
+      pdfConfig = adapterConfig.pdf;
+      adapterConfig.pdf = Object.assign({}, pdfConfig, {
+        renderer: 'command',
+        command: {
+          exec: process.execPath,
+          args: ['-e', 'require("fs").copyFileSync(process.argv[1], process.argv[2])',
+            '{input}', '{output}']
+        }
+      });
+
+      adminUser = await testUtils.createTestAdmin();
+      org = await testUtils.createTestOrg(adminUser);
+      const project = await testUtils.createTestProject(adminUser, org._id);
+      projectID = mcfUtils.parseID(project._id).pop();
+    }
+    catch (error) {
+      M.log.error(error);
+      // Expect no error
+      chai.expect(error).to.equal(null);
+    }
+  });
+
+  /**
+   * After: Run after all tests. Delete admin user and test org.
+   */
+  after(async () => {
+    try {
+      M.config.server.plugins.plugins['mms-adapter'].pdf = pdfConfig;
+      await testUtils.removeTestOrg();
+      await testUtils.removeTestAdmin();
+    }
+    catch (error) {
+      M.log.error(error);
+      // Expect no error
+      chai.expect(error).to.equal(null);
+    }
+  });
+
+  /* Execute tests */
+  it('should queue an export job', postHtml2Pdf);
+  it('should reject an export without an HTML body', postHtml2PdfNoBody);
+  it('should list the export jobs of the user', getExportJobs);
+  it('should reject listing export jobs in an unknown state', getExportJobsInvalidState);
+  it('should get an export job', getExportJob);
+  it('should not find an export job which does not exist', getExportJobNotFound);
+  it('should queue a standalone HTML export job', postHtml2PdfHtml);
+  it('should serve standalone HTML exports as sandboxed attachments', getHtmlExportBlob);
+  it('should reject an unknown export format', postHtml2PdfInvalidFormat);
+  it('should fail the jobs interrupted by a restart', failInterruptedJobs);
+});
+
+/* --------------------( Helpers )-------------------- */
+/**
+ * @description Waits for an export job to finish.
+ * @async
+ *
+ * @param {string} id - The id of the job.
+ *
+ * @returns {Promise<object>} The finished job.
+ */
+async function waitForJob(id) {
+  let job = await exportJobs.findJob(adminUser, id);
+  while (['queued', 'running'].includes(job.state)) {
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    job = await exportJobs.findJob(adminUser, id); // eslint-disable-line no-await-in-loop
+  }
+  return job;
+}
+
+/**
+ * @description Downloads an artifact blob of the test ref through the getBlob function.
+ *
+ * @param {string} artifactID - The id of the artifact.
+ *
+ * @returns {Promise<object>} The "statusCode" and "headers" of the response.
+ */
+function downloadBlob(artifactID) {
+  const params = {
+    projectid: projectID,
+    refid: branchID,
+    blobid: artifactID
+  };
+  const req = testUtils.createRequest(adminUser, params, {}, 'GET');
+  // Blobs are piped to the response, so it is a writable stream which discards them
+  const res = new Writable({
+    write(chunk, encoding, cb) {
+      cb();
+    }
+  });
+  res.locals = {};
+
+  let statusCode = null;
+  const headers = {};
+  res.status = function(code) {
+    statusCode = code;
+    return res;
+  };
+  res.header = function(name, value) {
+    headers[name] = value;
+    return res;
+  };
+
+  return new Promise((resolve) => {
+    res.send = () => resolve({ statusCode: res.locals.statusCode, headers: headers });
+    res.on('finish', () => resolve({ statusCode: statusCode, headers: headers }));
+    APIController.getBlob(req, res, next(req, res));
+  });
+}
+
+/* --------------------( Tests )-------------------- */
+/**
+ * @description Verifies that converting a document queues an export job and returns it.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postHtml2Pdf(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const body = {
+    name: 'Test Document',
+    body: '<html><body><p>Test Document</p></body></html>'
+  };
+  const method = 'POST';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    chai.expect(res.locals.statusCode).to.equal(202);
+    const job = _data.job;
+    chai.expect(job.id).to.be.a('string');
+    chai.expect(job.format).to.equal('pdf');
+    chai.expect(job.state).to.equal('queued');
+    chai.expect(job.artifactId).to.equal(null);
+    chai.expect(job._projectId).to.equal(projectID);
+    chai.expect(job._refId).to.equal(branchID);
+    chai.expect(job._creator).to.equal(adminUser._id);
+    jobID = job.id;
+
+    done();
+  };
+
+  APIController.postHtml2Pdf(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that an export without an HTML body is rejected with a 400.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postHtml2PdfNoBody(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const method = 'POST';
+  const req = testUtils.createRequest(adminUser, params, { name: 'Test Document' }, method);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    chai.expect(res.locals.statusCode).to.equal(400);
+
+    done();
+  };
+
+  APIController.postHtml2Pdf(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that the export jobs of the user are listed with their state, once the
+ * queued job has been exported. The test config has no public URL, so the job succeeds without
+ * a download link.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function getExportJobs(done) {
+  const query = {
+    projectId: projectID
+  };
+  const method = 'GET';
+  const req = testUtils.createRequest(adminUser, {}, {}, method, query);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    chai.expect(_data.jobs.length).to.equal(1);
+    const job = _data.jobs[0];
+    chai.expect(job.id).to.equal(jobID);
+    chai.expect(job.state).to.equal('succeeded');
+    chai.expect(job.artifactId).to.equal(`export_${jobID}`);
+
+    done();
+  };
+
+  waitForJob(jobID)
+  .then(() => APIController.getExportJobs(req, res, next(req, res)))
+  .catch(done);
+}
+
+/**
+ * @description Verifies that listing export jobs in an unknown state is rejected with a 400.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function getExportJobsInvalidState(done) {
+  const query = {
+    state: 'not_a_state'
+  };
+  const method = 'GET';
+  const req = testUtils.createRequest(adminUser, {}, {}, method, query);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    chai.expect(res.locals.statusCode).to.equal(400);
+
+    done();
+  };
+
+  APIController.getExportJobs(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that a single export job is found by its id.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function getExportJob(done) {
+  const params = {
+    jobid: jobID
+  };
+  const method = 'GET';
+  const req = testUtils.createRequest(adminUser, params, {}, method);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    chai.expect(_data.jobs.length).to.equal(1);
+    chai.expect(_data.jobs[0].id).to.equal(jobID);
+
+    done();
+  };
+
+  APIController.getExportJob(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that getting an export job which does not exist fails with a 404.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function getExportJobNotFound(done) {
+  const params = {
+    jobid: 'not_a_job'
+  };
+  const method = 'GET';
+  const req = testUtils.createRequest(adminUser, params, {}, method);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    chai.expect(res.locals.statusCode).to.equal(404);
+
+    done();
+  };
+
+  APIController.getExportJob(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that exporting a document as standalone HTML queues an HTML job.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postHtml2PdfHtml(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const body = {
+    name: 'Test Document',
+    format: 'html',
+    body: '<html><body><img src="/projects/p/refs/master/artifacts/blob/image"></body></html>'
+  };
+  const method = 'POST';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    chai.expect(res.locals.statusCode).to.equal(202);
+    chai.expect(_data.job.format).to.equal('html');
+    chai.expect(_data.job.state).to.equal('queued');
+    htmlJobID = _data.job.id;
+
+    done();
+  };
+
+  APIController.postHtml2Pdf(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that a standalone HTML export is downloaded as a sandboxed attachment,
+ * so that the exported page cannot run scripts in the adapter's origin.
+ */
+async function getHtmlExportBlob() {
+  const job = await waitForJob(htmlJobID);
+  chai.expect(job.state).to.equal('succeeded');
+
+  const response = await downloadBlob(job.artifact);
+  chai.expect(response.statusCode).to.equal(200);
+  chai.expect(response.headers['Content-Type']).to.equal('text/html');
+  chai.expect(response.headers['Content-Disposition']).to.match(/^attachment;/);
+  chai.expect(response.headers['Content-Security-Policy']).to.equal('sandbox');
+  chai.expect(response.headers['X-Content-Type-Options']).to.equal('nosniff');
+}
+
+/**
+ * @description Verifies that an export to an unknown format is rejected with a 400.
+ *
+ * @param {Function} done - The Mocha callback.
+ */
+function postHtml2PdfInvalidFormat(done) {
+  const params = {
+    projectid: projectID,
+    refid: branchID
+  };
+  const body = {
+    format: 'odt',
+    body: '<html></html>'
+  };
+  const method = 'POST';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+  const res = {
+    locals: {}
+  };
+  testUtils.createResponse(res);
+
+  res.send = function(_data) {
+    chai.expect(res.locals.statusCode).to.equal(400);
+    chai.expect(_data).to.equal('Invalid export format odt; expected one of pdf, html, docx.');
+
+    done();
+  };
+
+  APIController.postHtml2Pdf(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that jobs left running by an earlier run of the adapter, which will
+ * never finish, are marked as failed.
+ */
+async function failInterruptedJobs() {
+  const interruptedID = 'test_interrupted_job';
+  await ExportJob.insertMany([{
+    _id: interruptedID,
+    org: org._id,
+    project: projectID,
+    branch: branchID,
+    creator: adminUser._id,
+    state: 'running',
+    started: new Date()
+  }]);
+
+  await exportJobs.failInterruptedJobs();
+
+  const job = await exportJobs.findJob(adminUser, interruptedID);
+  chai.expect(job.state).to.equal('failed');
+  chai.expect(job.error).to.equal('The adapter restarted before the job finished.');
+  chai.expect(job.finished).to.not.equal(null);
+  await ExportJob.deleteMany({ _id: interruptedID });
+}
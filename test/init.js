@@ -37,6 +37,14 @@ const User = M.require('models.user');
 const Webhook = M.require('models.webhook');
 const db = M.require('db');
 
+// Adapter modules
+const Commit = require('../src/models/commit.js');
+const ElementSnapshot = require('../src/models/element-snapshot.js');
+const CrossReference = require('../src/models/cross-reference.js');
+const ExportJob = require('../src/models/export-job.js');
+const IndexedRef = require('../src/models/indexed-ref.js');
+const RenderToken = require('../src/models/render-token.js');
+
 // Before function, is run before any tests are run
 before(async () => {
   try {
@@ -46,7 +54,8 @@ before(async () => {
     // Initialize all models
     await Promise.all([Artifact.init(), Branch.init(), Element.init(),
       Organization.init(), Project.init(), ServerData.init(), User.init(),
-      Webhook.init()]);
+      Webhook.init(), Commit.init(), ElementSnapshot.init(), CrossReference.init(),
+      ExportJob.init(), IndexedRef.init(), RenderToken.init()]);
   }
   catch (error) {
     M.log.error(error);